@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { hashPassword, comparePassword, generateToken, readBearerToken } from './auth.js';
+
+dotenv.config();
+
+/**
+ * Admin principals and role-based access control.
+ *
+ * Admins live in their own `admins` collection and log in separately from
+ * users and merchants; their tokens carry `principal: 'admin'`. Every admin
+ * route declares the permission it needs with requirePermission(), which
+ * checks the admin's current role (re-read on each request, so role changes
+ * and disabling take effect before the token expires). User and merchant
+ * tokens are refused on admin routes.
+ *
+ * The first admin is created at startup from ADMIN_EMAIL / ADMIN_PASSWORD
+ * when the collection is empty.
+ */
+
+const ADMIN_JWT_EXPIRE = process.env.ADMIN_JWT_EXPIRE || '8h';
+
+export const PERMISSIONS = [
+  'dashboard:view',
+  'users:read',
+  'merchants:read',
+  'vouchers:read',
+  'fraud:read',
+  'kyc:read',
+  'kyc:manage',
+  'onboarding:read',
+  'onboarding:review',
+  'policy:read',
+  'policy:manage',
+  'reviews:read',
+  'reviews:resolve',
+  'disputes:read',
+  'disputes:resolve',
+  'settlements:run',
+  'audit:read',
+  'admins:manage',
+];
+
+const READ_PERMISSIONS = PERMISSIONS.filter(p => p.endsWith(':read') || p === 'dashboard:view');
+
+export const ROLE_PERMISSIONS = {
+  admin: PERMISSIONS,
+  support: [
+    ...READ_PERMISSIONS,
+    'kyc:manage',
+    'onboarding:review',
+    'reviews:resolve',
+    'disputes:resolve',
+  ],
+  finance: [
+    ...READ_PERMISSIONS,
+    'settlements:run',
+  ],
+  read_only: READ_PERMISSIONS,
+};
+
+export const ADMIN_ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * True if an admin role grants a permission
+ */
+export function hasPermission(role, permission) {
+  return ROLE_PERMISSIONS[role]?.includes(permission) || false;
+}
+
+function formatAdmin(admin) {
+  return {
+    adminId: admin.adminId,
+    email: admin.email,
+    name: admin.name,
+    role: admin.role,
+    disabled: admin.disabled || false,
+    createdAt: admin.createdAt,
+    createdBy: admin.createdBy || null,
+  };
+}
+
+/**
+ * Create an admin. Returns { admin } or { status, error }.
+ */
+export async function createAdmin({ email, password, name = null, role, createdBy = null }) {
+  const admin = {
+    adminId: `A_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    email: email.trim().toLowerCase(),
+    name,
+    role,
+    passwordHash: await hashPassword(password),
+    disabled: false,
+    createdAt: new Date().toISOString(),
+    createdBy,
+  };
+
+  try {
+    await getDB().collection('admins').insertOne(admin);
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 400, error: 'Admin with this email already exists' };
+    }
+    throw error;
+  }
+  return { admin: formatAdmin(admin) };
+}
+
+/**
+ * Check admin credentials. Returns { token, admin } or null.
+ */
+export async function loginAdmin(email, password) {
+  const admin = await getDB().collection('admins').findOne({ email: email.trim().toLowerCase() });
+  if (!admin || admin.disabled || !(await comparePassword(password, admin.passwordHash))) {
+    return null;
+  }
+
+  const token = generateToken({ adminId: admin.adminId, email: admin.email, principal: 'admin' }, ADMIN_JWT_EXPIRE);
+  return { token, admin: formatAdmin(admin) };
+}
+
+/**
+ * All admins, oldest first
+ */
+export async function listAdmins() {
+  const admins = await getDB().collection('admins').find().sort({ createdAt: 1 }).toArray();
+  return admins.map(formatAdmin);
+}
+
+/**
+ * Change an admin's role and/or disable them. Returns the admin or null.
+ */
+export async function updateAdmin(adminId, { role, disabled }) {
+  const admin = await getDB().collection('admins').findOneAndUpdate(
+    { adminId },
+    {
+      $set: {
+        ...(role !== undefined && { role }),
+        ...(disabled !== undefined && { disabled }),
+        updatedAt: new Date().toISOString(),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  return admin && formatAdmin(admin);
+}
+
+/**
+ * Create the first admin from ADMIN_EMAIL / ADMIN_PASSWORD if there is none.
+ * Returns the created admin or null.
+ */
+export async function ensureBootstrapAdmin() {
+  if (await getDB().collection('admins').countDocuments({}, { limit: 1 }) > 0) {
+    return null;
+  }
+
+  const { ADMIN_EMAIL: email, ADMIN_PASSWORD: password } = process.env;
+  if (!email || !password) {
+    console.warn('⚠️  No admins yet: set ADMIN_EMAIL and ADMIN_PASSWORD to create the first one');
+    return null;
+  }
+
+  const { admin } = await createAdmin({ email, password, name: 'Bootstrap admin', role: 'admin', createdBy: 'bootstrap' });
+  return admin;
+}
+
+/**
+ * Admin auth middleware: accepts admin tokens only and attaches the current
+ * admin record to req.admin
+ */
+export async function adminAuthMiddleware(req, res, next) {
+  const decoded = readBearerToken(req, res);
+  if (!decoded) return;
+
+  if (decoded.principal !== 'admin' || !decoded.adminId) {
+    return res.status(403).json({ error: 'Admin token required' });
+  }
+
+  try {
+    const admin = await getDB().collection('admins').findOne({ adminId: decoded.adminId });
+    if (!admin || admin.disabled) {
+      return res.status(401).json({ error: 'Admin account not found or disabled' });
+    }
+    req.admin = formatAdmin(admin);
+    next();
+  } catch (error) {
+    console.error('Admin auth error:', error);
+    res.status(500).json({ error: 'Database error' });
+  }
+}
+
+/**
+ * Middleware chain for a route that needs `permission`
+ */
+export function requirePermission(permission) {
+  return [
+    adminAuthMiddleware,
+    (req, res, next) => {
+      if (!hasPermission(req.admin.role, permission)) {
+        return res.status(403).json({ error: `Role ${req.admin.role} lacks permission ${permission}`, permission });
+      }
+      next();
+    },
+  ];
+}
@@ -0,0 +1,134 @@
+import { getDB } from './db.js';
+import {
+  postEntry,
+  getAccount,
+  getAccountBalances,
+  getAccountBalance,
+  walletAccount,
+  escrowAccount,
+  debtAccount,
+  merchantAccount,
+  merchantHoldAccount,
+  walletHoldAccount,
+} from './ledger.js';
+
+/**
+ * Offline allowance (escrow) helpers.
+ *
+ * While online, a user moves funds from their wallet into their escrow
+ * account. Synced vouchers (merchant or P2P) are settled against that escrow;
+ * anything it cannot cover is posted to the user's debt account and
+ * repaid from the next load. All movements are ledger entries.
+ */
+
+// Postings compute their split from a read and are retried if the
+// accounts changed before the posting applied
+const MAX_POST_ATTEMPTS = 5;
+
+/**
+ * Sum the gross amount of a user's ledger entries of one type
+ */
+async function totalPosted(userId, type) {
+  const [result] = await getDB().collection('ledger_entries').aggregate([
+    { $match: { type, 'reference.userId': userId } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]).toArray();
+  return result?.total || 0;
+}
+
+/**
+ * Current offline allowance of a user
+ */
+export async function getAllowance(userId) {
+  const balances = await getAccountBalances([escrowAccount(userId), debtAccount(userId)]);
+  return {
+    balance: balances[escrowAccount(userId)],
+    debt: -balances[debtAccount(userId)],
+    totalLoaded: await totalPosted(userId, 'offline_load'),
+    totalSettled: await totalPosted(userId, 'offline_payment'),
+  };
+}
+
+/**
+ * Move `amount` from the wallet into the offline allowance.
+ * Outstanding debt is repaid first. Returns the ledger entry,
+ * or null if the wallet balance is insufficient.
+ */
+export async function loadAllowance(userId, amount) {
+  for (let attempt = 0; attempt < MAX_POST_ATTEMPTS; attempt++) {
+    const debtAcc = await getAccount(debtAccount(userId));
+    const repaid = Math.min(-debtAcc.balance, amount);
+
+    const entry = await postEntry({
+      type: 'offline_load',
+      lines: [
+        { accountId: walletAccount(userId), amount: -amount, min: 0 },
+        { accountId: debtAccount(userId), amount: repaid, expectedVersion: debtAcc.version },
+        { accountId: escrowAccount(userId), amount: amount - repaid },
+      ],
+      reference: { userId, debtRepaid: repaid },
+    });
+    if (entry) return entry;
+
+    // Wallet too low, or the debt changed while we were posting
+    const wallet = await getAccountBalance(walletAccount(userId));
+    if (wallet < amount) return null;
+  }
+  throw new Error(`Could not load offline allowance for ${userId}: balances kept changing`);
+}
+
+function payeeAccount({ merchantId, payeeUserId }, held) {
+  if (payeeUserId) {
+    return held ? walletHoldAccount(payeeUserId) : walletAccount(payeeUserId);
+  }
+  return held ? merchantHoldAccount(merchantId) : merchantAccount(merchantId);
+}
+
+/**
+ * Settle a synced voucher against the payer's offline allowance.
+ * The payee is the merchant's receivable, or the receiving user's wallet
+ * for P2P vouchers (`payeeUserId`). Whatever the escrow cannot cover is
+ * posted to the payer's debt and the payee's credit is held until the
+ * overspend is reviewed. `counters` are daily limit counters moved with
+ * the posting (see kyc.js). `voucherRecord({ fromAllowance, debt, settledAt })`
+ * returns the voucher document to store in the same posting, for a voucher
+ * that is not stored yet; a stored duplicate then throws its duplicate key error.
+ * Returns { fromAllowance, debt, settledAt, totalSettled, totalLoaded }.
+ */
+export async function settleVoucher({ userId, merchantId, payeeUserId, voucherId, amount, counters = [], voucherRecord = null }) {
+  for (let attempt = 0; attempt < MAX_POST_ATTEMPTS; attempt++) {
+    const escrow = await getAccountBalance(escrowAccount(userId));
+    const fromAllowance = Math.min(amount, Math.max(0, escrow));
+    const debt = amount - fromAllowance;
+    const settledAt = new Date().toISOString();
+
+    const entry = await postEntry({
+      type: 'offline_payment',
+      lines: [
+        { accountId: escrowAccount(userId), amount: -fromAllowance, min: 0 },
+        { accountId: debtAccount(userId), amount: -debt },
+        { accountId: payeeAccount({ merchantId, payeeUserId }, debt > 0), amount },
+      ],
+      reference: payeeUserId ? { userId, payeeUserId, voucherId } : { userId, merchantId, voucherId },
+      idempotencyKey: `voucher:${voucherId}`,
+      counters,
+      documents: voucherRecord ? [{ collection: 'vouchers', document: voucherRecord({ fromAllowance, debt, settledAt }) }] : [],
+    });
+
+    if (entry) {
+      // Read the split back from the entry: it may have been posted by an earlier attempt
+      const posted = -entry.lines
+        .filter(line => line.accountId === debtAccount(userId))
+        .reduce((sum, line) => sum + line.amount, 0);
+      const allowance = await getAllowance(userId);
+      return {
+        fromAllowance: amount - posted,
+        debt: posted,
+        settledAt: entry.createdAt,
+        totalSettled: allowance.totalSettled,
+        totalLoaded: allowance.totalLoaded,
+      };
+    }
+  }
+  throw new Error(`Could not settle voucher ${voucherId}: escrow kept changing`);
+}
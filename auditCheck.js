@@ -0,0 +1,61 @@
+import { connectDB, getDB, closeDB } from './db.js';
+import { verifyAuditLog } from './auditLog.js';
+
+/**
+ * Verify the audit log hash chain.
+ *
+ *   npm run check:audit
+ *
+ * Reports edited entries, deleted entries and broken links, then prints the
+ * chain head. Pass a head recorded by an earlier run to also catch entries
+ * deleted from the end of the log:
+ *
+ *   AUDIT_LOG_HEAD=<seq>:<hash> npm run check:audit
+ *
+ * Exits non-zero if the chain does not verify.
+ */
+
+async function checkRecordedHead(head) {
+  const [seq, hash] = head.split(':');
+  const entry = await getDB().collection('audit_log').findOne({ seq: Number(seq) });
+  if (!entry) return `Recorded head ${seq} is missing (log truncated)`;
+  if (entry.hash !== hash) return `Recorded head ${seq} has a different hash`;
+  return null;
+}
+
+async function main() {
+  await connectDB();
+
+  const result = await verifyAuditLog();
+  for (const { seq, problem } of result.problems) {
+    console.log(`❌ #${seq}: ${problem}`);
+  }
+
+  if (process.env.AUDIT_LOG_HEAD) {
+    const problem = await checkRecordedHead(process.env.AUDIT_LOG_HEAD);
+    if (problem) {
+      console.log(`❌ ${problem}`);
+      result.ok = false;
+    }
+  }
+
+  console.log(`📜 Checked ${result.entries} entries`);
+  if (result.head) {
+    console.log(`   Head: ${result.head.seq}:${result.head.hash}`);
+  }
+  return result.ok;
+}
+
+main()
+  .then(ok => {
+    console.log(ok ? '✅ Audit log chain intact' : '❌ Audit log chain is broken');
+    return ok;
+  })
+  .catch(error => {
+    console.error('❌ Audit check crashed:', error);
+    return false;
+  })
+  .then(async (ok) => {
+    await closeDB();
+    process.exit(ok ? 0 : 1);
+  });
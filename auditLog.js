@@ -0,0 +1,211 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+import { canonicalize } from './canonical.js';
+import { requireSecret } from './secrets.js';
+
+/**
+ * Append-only, tamper-evident audit log.
+ *
+ * Entries are numbered by `seq` (from 1, no gaps) and each carries
+ * `prevHash`, the hash of the entry before it (GENESIS_HASH for the first).
+ * An entry's `hash` is an HMAC-SHA256, keyed with AUDIT_LOG_SECRET, of its
+ * canonical JSON without the hash itself, so editing an entry breaks its
+ * hash and deleting one leaves a gap in `seq` and a broken link. Without the
+ * secret the chain cannot be rewritten to hide either.
+ *
+ * The application only ever inserts into `audit_log`; verifyAuditLog()
+ * walks the chain (see auditCheck.js for the command line). Entries that
+ * cannot be appended when the action happens wait in `audit_pending` (or in
+ * memory if the database is down) until retryQueuedAudits() appends them.
+ */
+
+export const GENESIS_HASH = '0'.repeat(64);
+const AUDIT_LOG_SECRET = requireSecret('AUDIT_LOG_SECRET', 'dev_audit_log_secret');
+const MAX_APPEND_ATTEMPTS = 20;
+const MAX_REPORTED_PROBLEMS = 100;
+const MAX_MEMORY_QUEUE = 10000;
+const RETRY_BATCH_SIZE = 100;
+
+// Entries that could not even be queued in the database
+const memoryQueue = [];
+
+// Fields covered by an entry's hash
+const HASHED_FIELDS = ['entryId', 'seq', 'prevHash', 'at', 'actor', 'action', 'target', 'before', 'after', 'metadata'];
+
+function hashEntry(entry) {
+  const content = Object.fromEntries(HASHED_FIELDS.map(field => [field, entry[field] ?? null]));
+  return crypto.createHmac('sha256', AUDIT_LOG_SECRET).update(canonicalize(content)).digest('hex');
+}
+
+// Plain JSON values only (Dates become ISO strings), so the stored entry hashes the same when read back
+const toJson = (value) => value === undefined ? null : JSON.parse(JSON.stringify(value));
+
+function entryContent({ actor, action, target = null, before = null, after = null, metadata = null }) {
+  return {
+    entryId: `AUD_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    actor: toJson(actor),
+    action,
+    target: toJson(target),
+    before: toJson(before),
+    after: toJson(after),
+    metadata: toJson(metadata),
+  };
+}
+
+/**
+ * Append an entry to the log and return it.
+ *   actor     { type: 'user' | 'merchant' | 'admin' | 'system' | 'anonymous', id }
+ *   action    dotted name, e.g. 'auth.login', 'wallet.deduct'
+ *   target    { type, id } the action applied to
+ *   before / after  the changed values, if any
+ *   metadata  request details ({ ip, userAgent, method, path }) and context
+ */
+export async function recordAudit(fields) {
+  return await appendEntry(entryContent(fields));
+}
+
+async function appendEntry(content) {
+  const log = getDB().collection('audit_log');
+
+  // Concurrent appends race for the next seq; the unique index lets one win and the others retry
+  for (let attempt = 0; attempt < MAX_APPEND_ATTEMPTS; attempt++) {
+    const last = await log.findOne({}, { sort: { seq: -1 } });
+    const entry = {
+      ...content,
+      seq: (last?.seq || 0) + 1,
+      prevHash: last?.hash || GENESIS_HASH,
+      at: new Date().toISOString(),
+    };
+    entry.hash = hashEntry(entry);
+
+    try {
+      await log.insertOne(entry);
+      return entry;
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+    }
+  }
+  throw new Error(`Could not append audit entry ${content.action} after ${MAX_APPEND_ATTEMPTS} attempts`);
+}
+
+/**
+ * Append an entry like recordAudit(), but never throw: an entry that cannot
+ * be appended now is queued with the time it happened (`metadata.occurredAt`)
+ * and appended by retryQueuedAudits(). Returns the entry, or null if queued.
+ */
+export async function recordAuditOrQueue(fields) {
+  const content = entryContent(fields);
+  try {
+    return await appendEntry(content);
+  } catch (error) {
+    console.error(`❌ Audit log write failed for ${content.action}, queued for retry:`, error);
+    const pending = {
+      ...content,
+      metadata: { ...content.metadata, occurredAt: new Date().toISOString() },
+      queuedAt: new Date().toISOString(),
+    };
+    try {
+      await getDB().collection('audit_pending').insertOne(pending);
+    } catch (queueError) {
+      if (memoryQueue.length >= MAX_MEMORY_QUEUE) {
+        const dropped = memoryQueue.shift();
+        console.error(`❌ Audit memory queue full, dropped ${dropped.entryId} (${dropped.action})`);
+      }
+      memoryQueue.push(pending);
+    }
+    return null;
+  }
+}
+
+/**
+ * Append queued entries, oldest first, stopping at the first failure.
+ * Returns how many were appended.
+ */
+export async function retryQueuedAudits() {
+  const pendingCollection = getDB().collection('audit_pending');
+
+  // Move entries held in memory into the database queue first
+  while (memoryQueue.length > 0) {
+    await pendingCollection.insertOne(memoryQueue[0]);
+    memoryQueue.shift();
+  }
+
+  const pending = await pendingCollection.find({}).sort({ queuedAt: 1 }).limit(RETRY_BATCH_SIZE).toArray();
+  const log = getDB().collection('audit_log');
+  let appended = 0;
+  for (const { _id, queuedAt, ...content } of pending) {
+    // An earlier retry may have appended it but not removed it from the queue
+    if (!await log.findOne({ entryId: content.entryId }, { projection: { _id: 1 } })) {
+      await appendEntry(content);
+      appended++;
+    }
+    await pendingCollection.deleteOne({ _id });
+  }
+  return appended;
+}
+
+/**
+ * Entries matching the filters, newest first. Pass `beforeSeq` (the last
+ * seq of the previous page) to page back.
+ */
+export async function queryAuditLog({ actorId, action, targetId, from, to, beforeSeq, limit = 50 } = {}) {
+  const filter = {};
+  if (actorId) filter['actor.id'] = actorId;
+  if (action) filter.action = action.endsWith('.') ? { $regex: `^${action.replace(/[.]/g, '\\.')}` } : action;
+  if (targetId) filter['target.id'] = targetId;
+  if (from || to) {
+    filter.at = {
+      ...(from && { $gte: new Date(from).toISOString() }),
+      ...(to && { $lte: new Date(to).toISOString() }),
+    };
+  }
+  if (beforeSeq) filter.seq = { $lt: beforeSeq };
+
+  return await getDB().collection('audit_log')
+    .find(filter, { projection: { _id: 0 } })
+    .sort({ seq: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Walk the whole chain and report entries that were edited, removed or
+ * re-linked. Returns { ok, entries, head, problems } where `head` is the
+ * last { seq, hash } (record it elsewhere to also detect a truncated tail)
+ * and each problem is { seq, problem }.
+ */
+export async function verifyAuditLog() {
+  const cursor = getDB().collection('audit_log').find({}).sort({ seq: 1 });
+  const problems = [];
+  const report = (seq, problem) => {
+    if (problems.length < MAX_REPORTED_PROBLEMS) problems.push({ seq, problem });
+  };
+
+  let entries = 0;
+  let previous = null;
+  for await (const entry of cursor) {
+    entries++;
+    const expectedSeq = (previous?.seq || 0) + 1;
+
+    if (entry.seq !== expectedSeq) {
+      const missing = entry.seq - 1 === expectedSeq ? `Entry ${expectedSeq} is` : `Entries ${expectedSeq}-${entry.seq - 1} are`;
+      report(entry.seq, entry.seq > expectedSeq
+        ? `${missing} missing`
+        : `Duplicate or out of order seq after ${previous?.seq}`);
+    }
+    if (entry.prevHash !== (previous?.hash || GENESIS_HASH)) {
+      report(entry.seq, 'prevHash does not match the previous entry');
+    }
+    if (entry.hash !== hashEntry(entry)) {
+      report(entry.seq, 'Entry was modified (hash mismatch)');
+    }
+    previous = entry;
+  }
+
+  return {
+    ok: problems.length === 0,
+    entries,
+    head: previous && { seq: previous.seq, hash: previous.hash },
+    problems,
+  };
+}
@@ -1,11 +1,31 @@
 import jwt from 'jsonwebtoken';
 import bcrypt from 'bcryptjs';
 import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { requireSecret } from './secrets.js';
 
 dotenv.config();
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-const JWT_EXPIRE = process.env.JWT_EXPIRE || '7d';
+const JWT_SECRET = requireSecret('JWT_SECRET', 'dev_jwt_secret');
+// Access tokens are short-lived; clients renew them with a session refresh token (sessions.js)
+export const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+export const PASSWORD_MIN_LENGTH = Number(process.env.PASSWORD_MIN_LENGTH || 8);
+// bcrypt ignores everything past 72 bytes
+const PASSWORD_MAX_BYTES = 72;
+
+/**
+ * Check a new password against the password policy. Returns an error
+ * message or null.
+ */
+export function passwordError(password) {
+  if (typeof password !== 'string' || password.length < PASSWORD_MIN_LENGTH) {
+    return `Password must be at least ${PASSWORD_MIN_LENGTH} characters`;
+  }
+  if (Buffer.byteLength(password, 'utf8') > PASSWORD_MAX_BYTES) {
+    return `Password must be at most ${PASSWORD_MAX_BYTES} bytes`;
+  }
+  return null;
+}
 
 /**
  * Hash password with bcrypt
@@ -25,8 +45,8 @@ export async function comparePassword(password, hash) {
 /**
  * Generate JWT token
  */
-export function generateToken(payload) {
-  return jwt.sign(payload, JWT_SECRET, { expiresIn: JWT_EXPIRE });
+export function generateToken(payload, expiresIn = ACCESS_TOKEN_TTL_SECONDS) {
+  return jwt.sign(payload, JWT_SECRET, { expiresIn });
 }
 
 /**
@@ -41,20 +61,57 @@ export function verifyToken(token) {
 }
 
 /**
- * Auth middleware - protects routes
+ * Decode the request's Bearer token, or send a 401 and return null
  */
-export function authMiddleware(req, res, next) {
+export function readBearerToken(req, res) {
   const authHeader = req.headers.authorization;
   
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
-    return res.status(401).json({ error: 'No token provided' });
+    res.status(401).json({ error: 'No token provided' });
+    return null;
   }
 
   const token = authHeader.substring(7); // Remove 'Bearer '
   const decoded = verifyToken(token);
 
   if (!decoded) {
-    return res.status(401).json({ error: 'Invalid or expired token' });
+    res.status(401).json({ error: 'Invalid or expired token' });
+    return null;
+  }
+  return decoded;
+}
+
+/**
+ * True if the token belongs to a session that has not been revoked
+ */
+async function hasActiveSession(decoded) {
+  if (!decoded.sid) return false; // issued before sessions existed
+  const session = await getDB().collection('sessions').findOne(
+    { sessionId: decoded.sid, revokedAt: null },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(session);
+}
+
+/**
+ * Auth middleware - protects user and merchant routes
+ * (admin tokens are only accepted by admin routes, see admins.js)
+ */
+export async function authMiddleware(req, res, next) {
+  const decoded = readBearerToken(req, res);
+  if (!decoded) return;
+
+  if (decoded.principal === 'admin') {
+    return res.status(403).json({ error: 'Admin tokens cannot be used on user or merchant routes' });
+  }
+
+  try {
+    if (!(await hasActiveSession(decoded))) {
+      return res.status(401).json({ error: 'Session expired or revoked, please log in again' });
+    }
+  } catch (error) {
+    console.error('Session check error:', error);
+    return res.status(500).json({ error: 'Database error' });
   }
 
   req.user = decoded; // Attach user info to request
@@ -64,14 +121,18 @@ export function authMiddleware(req, res, next) {
 /**
  * Optional auth middleware - doesn't fail if no token
  */
-export function optionalAuthMiddleware(req, res, next) {
+export async function optionalAuthMiddleware(req, res, next) {
   const authHeader = req.headers.authorization;
   
   if (authHeader && authHeader.startsWith('Bearer ')) {
     const token = authHeader.substring(7);
     const decoded = verifyToken(token);
-    if (decoded) {
-      req.user = decoded;
+    try {
+      if (decoded && decoded.principal !== 'admin' && await hasActiveSession(decoded)) {
+        req.user = decoded;
+      }
+    } catch (error) {
+      console.error('Session check error:', error);
     }
   }
   
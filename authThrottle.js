@@ -0,0 +1,237 @@
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+
+dotenv.config();
+
+/**
+ * Brute-force protection for auth routes.
+ *
+ * Failed attempts are counted per account (scope + phone or email, e.g.
+ * `login:user:9876543210`) and per client IP. Past `delayAfter` failures in
+ * the window every further attempt must wait a doubling delay; at
+ * `maxFailures` the key is locked for `lockoutMinutes`, doubling with each
+ * repeated lockout up to `maxLockoutMinutes`. A successful attempt clears
+ * the account counters (never the IP's).
+ *
+ * Limits come from DEFAULT_AUTH_LIMITS, overridden by the AUTH_LIMITS env
+ * var holding any subset of the same table as JSON, e.g.
+ *   AUTH_LIMITS='{"account":{"maxFailures":10}}'
+ *
+ * Counters live in a store shared by every server instance (MongoDB
+ * `auth_throttle`). AUTH_THROTTLE_STORE=memory keeps them in process
+ * instead; that is only safe for a single local instance, so it has to be
+ * asked for.
+ */
+
+export const DEFAULT_AUTH_LIMITS = {
+  account: { delayAfter: 3, maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15, maxLockoutMinutes: 24 * 60 },
+  ip: { delayAfter: 20, maxFailures: 50, windowMinutes: 15, lockoutMinutes: 15, maxLockoutMinutes: 24 * 60 },
+};
+const DELAY_BASE_SECONDS = 1;
+const DELAY_MAX_SECONDS = 60;
+const MAX_UPDATE_ATTEMPTS = 5;
+
+function loadLimits() {
+  const limits = structuredClone(DEFAULT_AUTH_LIMITS);
+  if (!process.env.AUTH_LIMITS) return limits;
+
+  try {
+    const override = JSON.parse(process.env.AUTH_LIMITS);
+    for (const kind of Object.keys(limits)) {
+      Object.assign(limits[kind], override?.[kind]);
+    }
+  } catch (error) {
+    console.warn('⚠️  Ignoring invalid AUTH_LIMITS:', error.message);
+  }
+  return limits;
+}
+
+export const AUTH_LIMITS = loadLimits();
+
+// ---- Stores: get(key), compareAndSet(key, expectedVersion, state), delete(key) ----
+
+const MEMORY_STORE_SWEEP_SIZE = 10000;
+
+function memoryStore() {
+  const entries = new Map();
+  const sweep = () => {
+    const now = new Date();
+    for (const [key, entry] of entries) {
+      if (entry.expireAt <= now) entries.delete(key);
+    }
+  };
+  return {
+    name: 'memory',
+    async get(key) {
+      const entry = entries.get(key);
+      if (entry && entry.expireAt <= new Date()) {
+        entries.delete(key);
+        return null;
+      }
+      return entry || null;
+    },
+    async compareAndSet(key, expectedVersion, state) {
+      const current = await this.get(key);
+      if ((current?.version ?? null) !== expectedVersion) return false;
+      if (entries.size >= MEMORY_STORE_SWEEP_SIZE) sweep();
+      entries.set(key, { ...state, version: (expectedVersion || 0) + 1 });
+      return true;
+    },
+    async delete(key) {
+      entries.delete(key);
+    },
+  };
+}
+
+function mongoStore() {
+  const collection = () => getDB().collection('auth_throttle');
+  return {
+    name: 'mongo',
+    async get(key) {
+      return await collection().findOne({ _id: key, expireAt: { $gt: new Date() } });
+    },
+    async compareAndSet(key, expectedVersion, state) {
+      if (expectedVersion === null) {
+        // Replaces an expired document the TTL monitor has not removed yet
+        const result = await collection().updateOne(
+          { _id: key, expireAt: { $lte: new Date() } },
+          { $set: { ...state, version: 1 } }
+        );
+        if (result.matchedCount === 1) return true;
+        try {
+          await collection().insertOne({ _id: key, ...state, version: 1 });
+          return true;
+        } catch (error) {
+          if (error.code === 11000) return false;
+          throw error;
+        }
+      }
+      const result = await collection().updateOne(
+        { _id: key, version: expectedVersion },
+        { $set: { ...state, version: expectedVersion + 1 } }
+      );
+      return result.matchedCount === 1;
+    },
+    async delete(key) {
+      await collection().deleteOne({ _id: key });
+    },
+  };
+}
+
+const storeName = process.env.AUTH_THROTTLE_STORE || 'mongo';
+if (!['mongo', 'memory'].includes(storeName)) {
+  throw new Error(`AUTH_THROTTLE_STORE must be mongo or memory, got ${storeName}`);
+}
+const store = storeName === 'memory' ? memoryStore() : mongoStore();
+
+// ---- Counting ----
+
+const limitsFor = (key) => AUTH_LIMITS[key.startsWith('ip:') ? 'ip' : 'account'];
+
+/**
+ * Counter state after one more failure at `now` (ms)
+ */
+export function nextState(current, limits, now) {
+  const windowMs = limits.windowMinutes * 60 * 1000;
+  const inWindow = current && current.windowStartedAt + windowMs > now;
+  const failures = (inWindow ? current.failures : 0) + 1;
+  const lockouts = current?.lockouts || 0;
+  const state = {
+    failures,
+    windowStartedAt: inWindow ? current.windowStartedAt : now,
+    lockouts,
+    lockedUntil: current?.lockedUntil || 0,
+    nextAttemptAt: 0,
+  };
+
+  if (failures >= limits.maxFailures) {
+    const minutes = Math.min(limits.lockoutMinutes * 2 ** lockouts, limits.maxLockoutMinutes);
+    Object.assign(state, { failures: 0, windowStartedAt: now, lockouts: lockouts + 1, lockedUntil: now + minutes * 60 * 1000 });
+  } else if (failures >= limits.delayAfter) {
+    const seconds = Math.min(DELAY_BASE_SECONDS * 2 ** (failures - limits.delayAfter), DELAY_MAX_SECONDS);
+    state.nextAttemptAt = now + seconds * 1000;
+  }
+
+  // Remember repeated lockouts for a full maximum lockout after the last one
+  const keepUntil = Math.max(state.windowStartedAt + windowMs, state.lockedUntil + limits.maxLockoutMinutes * 60 * 1000);
+  return { ...state, expireAt: new Date(keepUntil) };
+}
+
+/**
+ * Refuse an attempt while any of the keys is locked or waiting out a delay.
+ * Returns null, or { code, error, retryAfterSeconds }.
+ */
+export async function checkAttempt(keys, now = Date.now()) {
+  let blocked = null;
+  for (const key of keys) {
+    const state = await store.get(key);
+    if (!state) continue;
+
+    const locked = state.lockedUntil > now;
+    const until = locked ? state.lockedUntil : state.nextAttemptAt;
+    if (until > now && (!blocked || until > blocked.until)) {
+      blocked = { locked, until };
+    }
+  }
+  if (!blocked) return null;
+
+  return {
+    code: blocked.locked ? 'AUTH_LOCKED' : 'AUTH_THROTTLED',
+    error: blocked.locked
+      ? 'Too many failed attempts, temporarily locked'
+      : 'Too many failed attempts, wait before trying again',
+    retryAfterSeconds: Math.ceil((blocked.until - now) / 1000),
+  };
+}
+
+/**
+ * Count a failed attempt against every key
+ */
+export async function recordFailure(keys, now = Date.now()) {
+  for (const key of keys) {
+    for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+      const current = await store.get(key);
+      if (await store.compareAndSet(key, current?.version ?? null, nextState(current, limitsFor(key), now))) break;
+    }
+  }
+}
+
+/**
+ * Clear the counters of the given keys after a successful attempt
+ */
+export async function clearFailures(keys) {
+  for (const key of keys) {
+    await store.delete(key);
+  }
+}
+
+/**
+ * Middleware for an auth route. Refuses the request with 429 while the
+ * client IP or the account named by identify(req) is throttled, and gives
+ * the handler req.authThrottle.fail() / .succeed() to report the outcome.
+ */
+export function authThrottle(scope, identify = () => null) {
+  return async (req, res, next) => {
+    const identity = identify(req);
+    const accountKeys = typeof identity === 'string' && identity
+      ? [`${scope}:${identity.trim().toLowerCase()}`]
+      : [];
+    const keys = [`ip:${req.ip}`, ...accountKeys];
+
+    try {
+      const blocked = await checkAttempt(keys);
+      if (blocked) {
+        return res.status(429).set('Retry-After', String(blocked.retryAfterSeconds)).json(blocked);
+      }
+    } catch (error) {
+      console.error('Auth throttle error:', error);
+      return res.status(500).json({ error: 'Database error' });
+    }
+
+    req.authThrottle = {
+      fail: () => recordFailure(keys),
+      succeed: () => clearFailures(accountKeys),
+    };
+    next();
+  };
+}
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { nextState } from './authThrottle.js';
+
+const limits = { delayAfter: 3, maxFailures: 5, windowMinutes: 15, lockoutMinutes: 15, maxLockoutMinutes: 60 };
+const MINUTE = 60 * 1000;
+const now = Date.parse('2026-01-10T12:00:00.000Z');
+
+// State after `count` failures one second apart, starting from `state`
+function failTimes(count, state = null, start = now) {
+  for (let i = 0; i < count; i++) state = nextState(state, limits, start + i * 1000);
+  return state;
+}
+
+test('nextState counts failures within the window without delay', () => {
+  const state = failTimes(2);
+  assert.equal(state.failures, 2);
+  assert.equal(state.windowStartedAt, now);
+  assert.equal(state.nextAttemptAt, 0);
+  assert.equal(state.lockedUntil, 0);
+});
+
+test('nextState starts a new window once the old one has passed', () => {
+  const state = nextState(failTimes(2), limits, now + 16 * MINUTE);
+  assert.equal(state.failures, 1);
+  assert.equal(state.windowStartedAt, now + 16 * MINUTE);
+});
+
+test('nextState doubles the delay past delayAfter', () => {
+  const third = failTimes(3);
+  assert.equal(third.nextAttemptAt, now + 2000 + 1000);
+  const fourth = nextState(third, limits, now + 3000);
+  assert.equal(fourth.nextAttemptAt, now + 3000 + 2000);
+});
+
+test('nextState locks out at maxFailures and doubles repeated lockouts up to the maximum', () => {
+  const first = failTimes(5);
+  assert.equal(first.lockouts, 1);
+  assert.equal(first.failures, 0);
+  assert.equal(first.lockedUntil, now + 4000 + 15 * MINUTE);
+
+  const secondAt = now + 20 * MINUTE;
+  const second = failTimes(5, first, secondAt);
+  assert.equal(second.lockedUntil, secondAt + 4000 + 30 * MINUTE);
+
+  const thirdAt = now + 60 * MINUTE;
+  const third = failTimes(5, second, thirdAt);
+  assert.equal(third.lockedUntil, thirdAt + 4000 + 60 * MINUTE);
+});
+
+test('nextState keeps the counter until a full maximum lockout after the last one', () => {
+  const state = failTimes(5);
+  assert.deepEqual(state.expireAt, new Date(state.lockedUntil + 60 * MINUTE));
+});
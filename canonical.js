@@ -0,0 +1,33 @@
+/**
+ * JSON canonicalization (RFC 8785 / JCS).
+ *
+ * Object keys are sorted by UTF-16 code units, no whitespace is emitted,
+ * and strings and numbers use the ECMAScript JSON serialization, which is
+ * what JCS specifies. Non-finite numbers cannot be represented.
+ */
+export function canonicalize(value) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new TypeError('Cannot canonicalize non-finite number');
+    }
+    return JSON.stringify(value);
+  }
+
+  if (Array.isArray(value)) {
+    return '[' + value.map(item => canonicalize(item === undefined ? null : item)).join(',') + ']';
+  }
+
+  if (typeof value === 'object') {
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => JSON.stringify(key) + ':' + canonicalize(value[key]));
+    return '{' + members.join(',') + '}';
+  }
+
+  throw new TypeError(`Cannot canonicalize ${typeof value}`);
+}
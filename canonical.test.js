@@ -0,0 +1,25 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { canonicalize } from './canonical.js';
+
+test('canonicalize sorts keys at every level and drops whitespace', () => {
+  assert.equal(canonicalize({ b: 1, a: { d: [1, 'x'], c: null } }), '{"a":{"c":null,"d":[1,"x"]},"b":1}');
+});
+
+test('canonicalize sorts keys by UTF-16 code units', () => {
+  assert.equal(canonicalize({ a: 1, B: 2, é: 3, '\u{1F600}': 4 }), '{"B":2,"a":1,"é":3,"\u{1F600}":4}');
+});
+
+test('canonicalize skips undefined members and nulls undefined array items', () => {
+  assert.equal(canonicalize({ a: undefined, b: [undefined] }), '{"b":[null]}');
+});
+
+test('canonicalize uses the JSON number form', () => {
+  assert.equal(canonicalize([1e21, 0.1, -0, 100]), '[1e+21,0.1,0,100]');
+});
+
+test('canonicalize rejects values JSON cannot represent', () => {
+  assert.throws(() => canonicalize({ a: NaN }), TypeError);
+  assert.throws(() => canonicalize(Infinity), TypeError);
+  assert.throws(() => canonicalize(() => {}), TypeError);
+});
@@ -0,0 +1,164 @@
+import crypto from 'crypto';
+import pkg from 'elliptic';
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { CURRENCY, toMajorUnits } from './money.js';
+
+dotenv.config();
+
+const { ec: EC } = pkg;
+const ec = new EC('secp256k1');
+
+const CERT_TTL_HOURS = Number(process.env.CERT_TTL_HOURS || 24);
+
+/**
+ * Offline spending certificates.
+ *
+ * The server signs { certId, userId, publicKeyHex, offlineLimit, issuedAt,
+ * expiresAt } with its own secp256k1 key. The device attaches the
+ * certificate to every voucher so a merchant app can check it offline
+ * against the published server key.
+ *
+ * The signed `offlineLimit` is in rupees like voucher amounts; the stored
+ * certificate tracks `spendLimit` and `spent` in paise.
+ */
+
+let serverKey;
+if (process.env.SERVER_SIGNING_KEY) {
+  serverKey = ec.keyFromPrivate(process.env.SERVER_SIGNING_KEY, 'hex');
+} else {
+  serverKey = ec.genKeyPair();
+  console.warn('⚠️ SERVER_SIGNING_KEY not set - using an ephemeral certificate key (certificates will not survive restart)');
+}
+
+/**
+ * Public half of the server certificate key
+ */
+export function getServerPublicKey() {
+  return {
+    publicKeyHex: serverKey.getPublic('hex'),
+    curve: 'secp256k1',
+    hash: 'sha256',
+    signedFields: ['certId', 'userId', 'publicKeyHex', 'offlineLimit', 'issuedAt', 'expiresAt'],
+  };
+}
+
+/**
+ * Rebuild the signed part of a certificate in a fixed key order
+ */
+function certificatePayload(cert) {
+  return {
+    certId: cert.certId,
+    userId: cert.userId,
+    publicKeyHex: cert.publicKeyHex,
+    offlineLimit: cert.offlineLimit,
+    issuedAt: cert.issuedAt,
+    expiresAt: cert.expiresAt,
+  };
+}
+
+function hashPayload(payload) {
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Verify the server signature of a certificate, returns an error reason or null
+ */
+export function verifyCertificate(cert) {
+  if (!cert || typeof cert !== 'object' || !cert.certId || !cert.signature) {
+    return 'Missing certificate';
+  }
+  try {
+    if (!serverKey.verify(hashPayload(certificatePayload(cert)), cert.signature)) {
+      return 'Invalid certificate signature';
+    }
+  } catch (err) {
+    return 'Invalid certificate signature';
+  }
+  return null;
+}
+
+/**
+ * Paise of a user's escrow already promised offline: the unspent limits of
+ * their live certificates plus vouchers counted against a certificate that
+ * have not been settled from the escrow yet (held or in flight)
+ */
+export async function committedSpend(userId) {
+  const db = getDB();
+  const [live] = await db.collection('certificates').aggregate([
+    { $match: { userId, expiresAt: { $gt: new Date().toISOString() } } },
+    { $group: { _id: null, headroom: { $sum: { $max: [0, { $subtract: ['$spendLimit', '$spent'] }] } } } },
+  ]).toArray();
+  const [pending] = await db.collection('vouchers').aggregate([
+    { $match: { issuedTo: userId, certId: { $exists: true }, status: { $in: ['held', 'synced'] }, 'settlement.settledAt': { $exists: false } } },
+    { $group: { _id: null, amount: { $sum: '$amount' } } },
+  ]).toArray();
+  return (live?.headroom || 0) + (pending?.amount || 0);
+}
+
+/**
+ * Issue and store a short-lived certificate for a user's registered key.
+ * Its `spendLimit` is `requestedLimit` (or all of it when omitted) capped at
+ * the part of `escrow` not already committed, so the limits of all live
+ * certificates together never exceed the escrowed allowance.
+ * Returns { certificate, spendLimit } or { error, status }.
+ */
+export async function issueCertificate({ userId, publicKeyHex, requestedLimit, escrow }) {
+  const available = escrow - await committedSpend(userId);
+  if (available <= 0) {
+    return { error: 'Offline allowance is already committed to live certificates', status: 409 };
+  }
+  const spendLimit = Math.min(requestedLimit || available, available);
+
+  const now = new Date();
+  const cert = certificatePayload({
+    certId: `CERT_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    userId,
+    publicKeyHex,
+    offlineLimit: toMajorUnits(spendLimit),
+    issuedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + CERT_TTL_HOURS * 60 * 60 * 1000).toISOString(),
+  });
+  const signature = serverKey.sign(hashPayload(cert)).toDER('hex');
+
+  const certificates = getDB().collection('certificates');
+  await certificates.insertOne({ ...cert, signature, spendLimit, spent: 0, currency: CURRENCY });
+
+  // Concurrent requests saw the same headroom: re-check with this one stored and back out if over
+  if (await committedSpend(userId) > escrow) {
+    await certificates.deleteOne({ certId: cert.certId });
+    return { error: 'Another certificate was issued at the same time, try again', status: 409 };
+  }
+
+  return { certificate: { ...cert, signature }, spendLimit };
+}
+
+/**
+ * Atomically count `amount` paise against a certificate's offline limit.
+ * Returns false if the certificate is unknown or the limit would be exceeded.
+ */
+export async function reserveCertificateSpend(certId, amount) {
+  const result = await getDB().collection('certificates').updateOne(
+    { certId, $expr: { $lte: [{ $add: ['$spent', amount] }, '$spendLimit'] } },
+    { $inc: { spent: amount } }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Give back `amount` paise reserved by reserveCertificateSpend() for a
+ * voucher that was not stored or will never be settled
+ */
+export async function releaseCertificateSpend(certId, amount) {
+  await getDB().collection('certificates').updateOne(
+    { certId, spent: { $gte: amount } },
+    { $inc: { spent: -amount } }
+  );
+}
+
+/**
+ * Look up a stored certificate
+ */
+export async function findCertificate(certId) {
+  return await getDB().collection('certificates').findOne({ certId });
+}
@@ -0,0 +1,146 @@
+import { getDB } from './db.js';
+
+/**
+ * Voucher hash chain helpers.
+ *
+ * Chained vouchers carry a per-key sequence number `seq` (starting at 1)
+ * and `prevHash`, the hash of the previous voucher signed by the same key.
+ * A voucher's hash is the SHA-256 of its signed payload, i.e. the same
+ * digest the device signs. The first voucher of a chain links to GENESIS_HASH.
+ * Once a key has sent a chained voucher, all of its vouchers must be chained.
+ */
+
+export const GENESIS_HASH = '0'.repeat(64);
+// Far beyond what a device signs in its lifetime; bounds what a client-chosen seq can claim
+export const MAX_CHAIN_SEQ = 10_000_000;
+
+/**
+ * Whether a voucher uses the chained format
+ */
+export function isChained(voucher) {
+  return voucher.seq !== undefined || voucher.prevHash !== undefined;
+}
+
+/**
+ * Validate the chain fields of a voucher, returns an error reason or null
+ */
+export function validateChainFields(voucher) {
+  if (!Number.isInteger(voucher.seq) || voucher.seq < 1 || voucher.seq > MAX_CHAIN_SEQ) {
+    return 'Invalid seq';
+  }
+  if (typeof voucher.prevHash !== 'string' || !/^[0-9a-f]{64}$/.test(voucher.prevHash)) {
+    return 'Invalid prevHash';
+  }
+  if (voucher.seq === 1 && voucher.prevHash !== GENESIS_HASH) {
+    return 'First voucher must link to genesis hash';
+  }
+  return null;
+}
+
+/**
+ * Whether a key has already sent chained vouchers, so unchained ones from it
+ * must be refused (e.g. a cloned device leaving the chain fields out)
+ */
+export async function keyUsesChain(publicKeyHex) {
+  const chained = await getDB().collection('vouchers').findOne(
+    { publicKeyHex, seq: { $exists: true } },
+    { projection: { _id: 1 } }
+  );
+  return Boolean(chained);
+}
+
+/**
+ * Check a chained voucher against the vouchers already stored for its key.
+ * Returns { fork, anomalies } where `fork` is the stored voucher that
+ * conflicts with this one (same seq, or a link that does not match).
+ */
+export async function checkChain({ publicKeyHex, seq, prevHash, voucherHash, createdAt }) {
+  const vouchers = getDB().collection('vouchers');
+  const neighbours = await vouchers
+    .find({ publicKeyHex, seq: { $in: [seq - 1, seq, seq + 1] } })
+    .toArray();
+
+  const same = neighbours.find(n => n.seq === seq);
+  const prev = neighbours.find(n => n.seq === seq - 1);
+  const next = neighbours.find(n => n.seq === seq + 1);
+  const anomalies = [];
+
+  if (same && same.voucherHash !== voucherHash) {
+    return { fork: same, reason: `Sequence ${seq} already used`, anomalies };
+  }
+  if (prev && prev.voucherHash !== prevHash) {
+    return { fork: prev, reason: `prevHash does not match sequence ${seq - 1}`, anomalies };
+  }
+  if (next && next.prevHash !== voucherHash) {
+    return { fork: next, reason: `Sequence ${seq + 1} links to a different voucher`, anomalies };
+  }
+
+  if (prev && new Date(prev.createdAt) > new Date(createdAt)) {
+    anomalies.push({ type: 'reordered', seq, before: prev.voucherId });
+  }
+  if (next && new Date(next.createdAt) < new Date(createdAt)) {
+    anomalies.push({ type: 'reordered', seq: seq + 1, before: next.voucherId });
+  }
+
+  return { fork: null, anomalies };
+}
+
+/**
+ * Build a per-key chain report for a user: head, gaps (as { from, to }
+ * ranges of missing seqs), broken links and out-of-order timestamps across
+ * all merchant uploads. Works from the stored seqs only, so the cost does
+ * not depend on how large a seq a client signed.
+ */
+export async function getChainReport(userId) {
+  const vouchers = await getDB()
+    .collection('vouchers')
+    .find({ issuedTo: userId, seq: { $exists: true } })
+    .sort({ seq: 1 })
+    .toArray();
+
+  const byKey = new Map();
+  for (const v of vouchers) {
+    if (!byKey.has(v.publicKeyHex)) byKey.set(v.publicKeyHex, []);
+    byKey.get(v.publicKeyHex).push(v);
+  }
+
+  const chains = [];
+  for (const [publicKeyHex, list] of byKey) {
+    const head = list[list.length - 1].seq;
+    const gaps = [];
+    const brokenLinks = [];
+    const reordered = [];
+
+    let lastSeq = 0;
+    let previous = null;
+    for (const v of list) {
+      if (v.seq === lastSeq) continue; // same seq twice is a fork, reported by fraud cases
+      if (v.seq > lastSeq + 1) {
+        gaps.push({ from: lastSeq + 1, to: v.seq - 1 });
+      }
+
+      const prev = previous?.seq === v.seq - 1 ? previous : null;
+      const expectedPrev = v.seq === 1 ? GENESIS_HASH : prev?.voucherHash;
+      if (expectedPrev && v.prevHash !== expectedPrev) {
+        brokenLinks.push({ seq: v.seq, voucherId: v.voucherId });
+      }
+      if (prev && new Date(prev.createdAt) > new Date(v.createdAt)) {
+        reordered.push({ seq: v.seq, voucherId: v.voucherId });
+      }
+      lastSeq = v.seq;
+      previous = v;
+    }
+
+    chains.push({
+      publicKeyHex,
+      head,
+      vouchersCount: list.length,
+      gaps,
+      brokenLinks,
+      reordered,
+      merchants: [...new Set(list.map(v => v.merchantId))],
+    });
+  }
+
+  return chains;
+}
@@ -0,0 +1,149 @@
+import crypto from 'crypto';
+import { connectDB, getDB, closeDB, supportsTransactions } from './db.js';
+import {
+  SYSTEM_FLOAT,
+  walletAccount,
+  escrowAccount,
+  debtAccount,
+  merchantAccount,
+  merchantHoldAccount,
+  postEntry,
+  getAccount,
+  getAccountBalances,
+  deriveAccountBalance,
+} from './ledger.js';
+import { loadAllowance, settleVoucher } from './allowance.js';
+import { migrateAmountsToMinorUnits, formatMoney } from './money.js';
+
+/**
+ * Concurrency harness for the ledger.
+ *
+ * Fires parallel wallet loads, payments, allowance loads and voucher
+ * settlements at a handful of throwaway accounts, then checks that no money
+ * was created or lost. Run against a scratch database:
+ *
+ *   MONGODB_DB_NAME=offline_pay_check npm run check:concurrency
+ *
+ * Exits non-zero if any invariant fails.
+ */
+
+const ROUNDS = Number(process.env.CHECK_ROUNDS) || 50;
+const runId = `check_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+const userId = `${runId}_user`;
+const merchantId = `${runId}_merchant`;
+
+const failures = [];
+
+function check(condition, message) {
+  if (!condition) failures.push(message);
+  console.log(`${condition ? '✅' : '❌'} ${message}`);
+}
+
+function pay(amount, expectedVersion) {
+  return postEntry({
+    type: 'payment',
+    lines: [
+      { accountId: walletAccount(userId), amount: -amount, min: 0, expectedVersion },
+      { accountId: merchantAccount(merchantId), amount },
+    ],
+    reference: { userId, merchantId, runId },
+  });
+}
+
+function load(amount) {
+  return postEntry({
+    type: 'wallet_load',
+    lines: [
+      { accountId: SYSTEM_FLOAT, amount: -amount },
+      { accountId: walletAccount(userId), amount },
+    ],
+    reference: { userId, runId },
+  });
+}
+
+async function main() {
+  await connectDB();
+  // Mark a scratch database as migrated so the server never rescales this run's paise
+  await migrateAmountsToMinorUnits();
+  console.log(`🧪 Ledger concurrency check ${runId} (${supportsTransactions() ? 'transactions' : 'compensating updates'})`);
+
+  const accounts = [
+    walletAccount(userId),
+    escrowAccount(userId),
+    debtAccount(userId),
+    merchantAccount(merchantId),
+    merchantHoldAccount(merchantId),
+  ];
+
+  // 1. Parallel payments against a wallet that can cover only some of them
+  await load(100);
+  const payments = await Promise.all(Array.from({ length: ROUNDS }, () => pay(7)));
+  const paid = payments.filter(Boolean).length;
+  let balances = await getAccountBalances(accounts);
+  check(paid === Math.floor(100 / 7), `${paid} of ${ROUNDS} parallel 7-paisa payments succeeded on 100 paise`);
+  check(balances[walletAccount(userId)] === 100 - paid * 7, 'wallet equals loads minus successful payments');
+
+  // 2. Loads and payments interleaved
+  await Promise.all(Array.from({ length: ROUNDS }, (_, i) => (i % 2 ? load(5) : pay(5))));
+  balances = await getAccountBalances(accounts);
+  check(balances[walletAccount(userId)] >= 0, 'wallet never goes negative');
+
+  // 3. Optimistic versioning: only one writer wins per version
+  const wallet = await getAccount(walletAccount(userId));
+  const versioned = await Promise.all(Array.from({ length: 10 }, () => pay(1, wallet.version)));
+  check(versioned.filter(Boolean).length <= 1, 'at most one payment applies per expected version');
+
+  // 4. Allowance loads racing with settlements of the same vouchers
+  await load(ROUNDS * 2);
+  const voucherIds = Array.from({ length: ROUNDS }, (_, i) => `${runId}_V${i}`);
+  for (let i = 0; i < voucherIds.length; i += 10) {
+    const chunk = voucherIds.slice(i, i + 10);
+    await Promise.all([
+      loadAllowance(userId, 10),
+      ...chunk.map(voucherId => settleVoucher({ userId, merchantId, voucherId, amount: 3 })),
+      // Re-settle every voucher to exercise idempotency keys
+      ...chunk.map(voucherId => settleVoucher({ userId, merchantId, voucherId, amount: 3 })),
+    ]);
+  }
+  const settlements = await getDB().collection('ledger_entries')
+    .countDocuments({ type: 'offline_payment', 'reference.voucherId': { $in: voucherIds } });
+  check(settlements === voucherIds.length, 'each voucher settled exactly once');
+
+  // 5. Conservation: every entry is balanced, so the run's accounts plus the
+  //    float movements of this run must sum to zero
+  balances = await getAccountBalances(accounts);
+  const [float] = await getDB().collection('ledger_entries').aggregate([
+    { $match: { 'reference.runId': runId } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.accountId': SYSTEM_FLOAT } },
+    { $group: { _id: null, total: { $sum: '$lines.amount' } } },
+  ]).toArray();
+  const held = Object.values(balances).reduce((sum, balance) => sum + balance, 0);
+  check(held + (float?.total || 0) === 0, `no money created or lost (accounts hold ₹${held})`);
+
+  for (const accountId of accounts) {
+    const derived = await deriveAccountBalance(accountId);
+    check(derived === balances[accountId], `${accountId.split(':')[0]} cache matches journal (${formatMoney(derived)})`);
+  }
+}
+
+async function cleanup() {
+  const db = getDB();
+  const pattern = new RegExp(`^[a-z_]+:${runId}_`);
+  await db.collection('ledger_accounts').deleteMany({ accountId: pattern });
+  await db.collection('ledger_entries').deleteMany({
+    $or: [{ 'reference.runId': runId }, { 'reference.userId': userId }],
+  });
+}
+
+main()
+  .catch(error => {
+    failures.push(error.message);
+    console.error('❌ Concurrency check crashed:', error);
+  })
+  .finally(async () => {
+    await cleanup().catch(() => {});
+    await closeDB();
+    console.log(failures.length ? `❌ ${failures.length} check(s) failed` : '✅ All ledger invariants held');
+    process.exit(failures.length ? 1 : 0);
+  });
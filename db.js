@@ -12,20 +12,107 @@ console.log(`📍 URI: ${uri.includes('mongodb+srv') ? 'MongoDB Atlas (Cloud)' :
 const client = new MongoClient(uri);
 
 let db;
+let transactionsSupported = false;
 
 export async function connectDB() {
   try {
     await client.connect();
     db = client.db(dbName);
     console.log(`✅ Connected to MongoDB database: ${dbName}`);
+
+    // Multi-document transactions need a replica set or sharded cluster
+    const hello = await db.admin().command({ hello: 1 });
+    transactionsSupported = Boolean(hello.setName || hello.msg === 'isdbgrid');
+    if (!transactionsSupported) {
+      console.warn('⚠️  MongoDB is standalone: ledger postings fall back to compensating updates');
+    }
     
     // Create indexes
     await db.collection('users').createIndex({ userId: 1 }, { unique: true });
     await db.collection('users').createIndex({ phone: 1 }, { unique: true, sparse: true });
     await db.collection('merchants').createIndex({ merchantId: 1 }, { unique: true });
+    await db.collection('merchants').createIndex({ 'onboarding.status': 1, 'onboarding.submittedAt': 1 });
     await db.collection('vouchers').createIndex({ voucherId: 1 }, { unique: true });
     await db.collection('vouchers').createIndex({ issuedTo: 1 });
     await db.collection('vouchers').createIndex({ merchantId: 1 });
+    await db.collection('vouchers').createIndex({ payeeId: 1 }, { sparse: true });
+    await db.collection('vouchers').createIndex(
+      { publicKeyHex: 1, seq: 1 },
+      { unique: true, partialFilterExpression: { seq: { $exists: true } } }
+    );
+    await db.collection('key_challenges').createIndex({ challengeId: 1 }, { unique: true });
+    await db.collection('key_challenges').createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('user_keys').createIndex({ keyId: 1 }, { unique: true });
+    await db.collection('user_keys').createIndex({ userId: 1, validFrom: -1 });
+    await db.collection('user_keys').createIndex(
+      { userId: 1 },
+      { unique: true, partialFilterExpression: { status: 'active' } }
+    );
+    await db.collection('merchant_keys').createIndex({ keyId: 1 }, { unique: true });
+    await db.collection('merchant_keys').createIndex({ merchantId: 1, validFrom: -1 });
+    await db.collection('merchant_keys').createIndex(
+      { merchantId: 1 },
+      { unique: true, partialFilterExpression: { status: 'active' } }
+    );
+    await db.collection('certificates').createIndex({ certId: 1 }, { unique: true });
+    await db.collection('certificates').createIndex({ userId: 1 });
+    await db.collection('review_queue').createIndex({ voucherId: 1 }, { unique: true });
+    await db.collection('review_queue').createIndex({ reviewId: 1 }, { unique: true });
+    await db.collection('sync_batches').createIndex({ merchantId: 1, idempotencyKey: 1 }, { unique: true });
+    await db.collection('sync_batches').createIndex({ batchId: 1 }, { unique: true });
+    await db.collection('ledger_accounts').createIndex({ accountId: 1 }, { unique: true });
+    await db.collection('ledger_entries').createIndex({ entryId: 1 }, { unique: true });
+    await db.collection('ledger_entries').createIndex({ idempotencyKey: 1 }, { unique: true, sparse: true });
+    await db.collection('ledger_entries').createIndex({ 'lines.accountId': 1, createdAt: -1 });
+    await db.collection('ledger_entries').createIndex({ 'reference.userId': 1, type: 1 });
+    await db.collection('vouchers').createIndex({ settlementBatchId: 1 }, { sparse: true });
+    await db.collection('vouchers').createIndex({ status: 1, syncedAt: 1 });
+    await db.collection('payments').createIndex({ paymentId: 1 }, { unique: true });
+    await db.collection('payments').createIndex({ merchantId: 1, status: 1 });
+    await db.collection('payments').createIndex({ settlementBatchId: 1 }, { sparse: true });
+    await db.collection('settlement_batches').createIndex({ batchId: 1 }, { unique: true });
+    await db.collection('settlement_batches').createIndex({ merchantId: 1, createdAt: -1 });
+    await db.collection('refunds').createIndex({ refundId: 1 }, { unique: true });
+    await db.collection('refunds').createIndex({ voucherId: 1 });
+    await db.collection('refunds').createIndex(
+      { merchantId: 1, idempotencyKey: 1 },
+      { unique: true, partialFilterExpression: { idempotencyKey: { $exists: true } } }
+    );
+    await db.collection('disputes').createIndex({ disputeId: 1 }, { unique: true });
+    await db.collection('disputes').createIndex(
+      { voucherId: 1 },
+      { unique: true, partialFilterExpression: { active: true } }
+    );
+    await db.collection('disputes').createIndex({ userId: 1, createdAt: -1 });
+    await db.collection('disputes').createIndex({ merchantId: 1, createdAt: -1 });
+    await db.collection('ledger_entries').createIndex({ 'reference.merchantId': 1, type: 1, createdAt: -1 });
+    await db.collection('topup_intents').createIndex({ intentId: 1 }, { unique: true });
+    await db.collection('topup_intents').createIndex({ gatewayReference: 1 }, { unique: true });
+    await db.collection('topup_intents').createIndex({ userId: 1, createdAt: -1 });
+    await db.collection('topup_intents').createIndex({ status: 1, expiresAt: 1 });
+    await db.collection('gateway_events').createIndex({ eventId: 1 }, { unique: true });
+    await db.collection('mock_gateway_orders').createIndex({ gatewayReference: 1 }, { unique: true });
+    await db.collection('admins').createIndex({ adminId: 1 }, { unique: true });
+    await db.collection('admins').createIndex({ email: 1 }, { unique: true });
+    await db.collection('otp_codes').createIndex({ purpose: 1, principal: 1, phone: 1 }, { unique: true });
+    await db.collection('otp_codes').createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('sessions').createIndex({ sessionId: 1 }, { unique: true });
+    await db.collection('sessions').createIndex({ userId: 1, revokedAt: 1 });
+    await db.collection('sessions').createIndex({ merchantId: 1, revokedAt: 1 });
+    await db.collection('sessions').createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('auth_throttle').createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('audit_log').createIndex({ seq: 1 }, { unique: true });
+    await db.collection('audit_log').createIndex({ 'actor.id': 1, seq: -1 });
+    await db.collection('audit_log').createIndex({ 'target.id': 1, seq: -1 });
+    await db.collection('audit_log').createIndex({ action: 1, seq: -1 });
+    await db.collection('audit_log').createIndex({ entryId: 1 });
+    await db.collection('audit_pending').createIndex({ queuedAt: 1 });
+    await db.collection('usage_counters').createIndex({ expireAt: 1 }, { expireAfterSeconds: 0 });
+    await db.collection('fraud_cases').createIndex({ caseId: 1 }, { unique: true });
+    await db.collection('fraud_cases').createIndex(
+      { userId: 1, type: 1 },
+      { unique: true, partialFilterExpression: { status: 'open' } }
+    );
     
     console.log('✅ Database indexes created');
   } catch (error) {
@@ -41,6 +128,23 @@ export function getDB() {
   return db;
 }
 
+export function supportsTransactions() {
+  return transactionsSupported;
+}
+
+/**
+ * Run `fn(session)` inside a multi-document transaction. The driver retries
+ * the whole callback on transient errors such as write conflicts.
+ */
+export async function withTransaction(fn) {
+  const session = client.startSession();
+  try {
+    return await session.withTransaction(() => fn(session));
+  } finally {
+    await session.endSession();
+  }
+}
+
 export async function closeDB() {
   await client.close();
 }
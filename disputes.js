@@ -0,0 +1,243 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+import { walletAccount, merchantAccount, merchantHoldAccount, postEntry } from './ledger.js';
+import { refundableAmount } from './refunds.js';
+import { CURRENCY } from './money.js';
+
+/**
+ * Payment disputes.
+ *
+ * open -> merchant_responded -> resolved_user | resolved_merchant
+ *
+ * Opening a dispute moves the disputed amount from the merchant's
+ * receivable into their hold account and keeps the voucher out of
+ * settlement batches. An admin resolves it either for the user (the held
+ * amount is reversed to the payer's wallet) or for the merchant (the hold
+ * is released back to the receivable). Every transition is appended to the
+ * dispute's `history`.
+ */
+
+const DISPUTABLE_STATUSES = ['synced', 'settled'];
+const ACTIVE_STATUSES = ['open', 'merchant_responded'];
+export const DISPUTE_STATUSES = [...ACTIVE_STATUSES, 'resolving', 'resolved_user', 'resolved_merchant'];
+
+function historyEntry(status, actor, note = null) {
+  return { status, at: new Date().toISOString(), by: actor, note };
+}
+
+/**
+ * Open a dispute on a voucher paid by `userId`.
+ * Returns { dispute } or { status, error, ... }.
+ */
+export async function openDispute({ userId, voucherId, reason, amount }) {
+  const db = getDB();
+  const vouchers = db.collection('vouchers');
+  const disputes = db.collection('disputes');
+
+  const voucher = await vouchers.findOne({ voucherId });
+  if (!voucher || (voucher.issuedTo || voucher.payerId) !== userId) {
+    return { status: 404, error: 'Voucher not found' };
+  }
+  if (voucher.type === 'p2p') {
+    return { status: 409, error: 'P2P payments cannot be disputed' };
+  }
+  if (!DISPUTABLE_STATUSES.includes(voucher.status)) {
+    return { status: 409, error: `Voucher cannot be disputed while ${voucher.status}` };
+  }
+
+  const disputable = refundableAmount(voucher);
+  const disputedAmount = amount === undefined ? disputable : amount;
+  if (disputedAmount <= 0 || disputedAmount > disputable) {
+    return { status: 400, error: 'Disputed amount exceeds what was paid', disputable };
+  }
+
+  const now = new Date().toISOString();
+  const dispute = {
+    disputeId: `DP_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    voucherId,
+    userId,
+    merchantId: voucher.merchantId,
+    amount: disputedAmount,
+    currency: CURRENCY,
+    reason,
+    status: 'open',
+    active: true,
+    evidence: [],
+    history: [historyEntry('open', { role: 'user', id: userId }, reason)],
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  try {
+    await disputes.insertOne(dispute);
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 409, error: 'A dispute is already open for this voucher' };
+    }
+    throw error;
+  }
+
+  // Freeze the voucher: refunds and settlement skip it while disputed.
+  // Vouchers claimed by a settlement batch that has not paid out yet wait for
+  // it, and a refund that landed since the read above cannot be disputed again.
+  const frozen = await vouchers.findOneAndUpdate(
+    {
+      voucherId,
+      status: { $in: DISPUTABLE_STATUSES },
+      disputeId: { $exists: false },
+      $or: [{ settlementBatchId: { $exists: false } }, { status: 'settled' }],
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$reversedAmount', 0] }, disputedAmount] },
+          '$amount',
+        ],
+      },
+    },
+    { $set: { disputeId: dispute.disputeId } },
+    { returnDocument: 'after' }
+  );
+  if (!frozen) {
+    await disputes.deleteOne({ disputeId: dispute.disputeId });
+    const current = await vouchers.findOne({ voucherId });
+    if (!DISPUTABLE_STATUSES.includes(current.status)) {
+      return { status: 409, error: `Voucher cannot be disputed while ${current.status}` };
+    }
+    if (current.settlementBatchId && current.status === 'synced') {
+      return { status: 409, error: 'Voucher is being settled, retry shortly' };
+    }
+    return { status: 400, error: 'Disputed amount exceeds what was paid', disputable: refundableAmount(current) };
+  }
+
+  // The receivable may go negative if the voucher was already paid out;
+  // the merchant's next settlement nets it
+  const entry = await postEntry({
+    type: 'dispute_hold',
+    lines: [
+      { accountId: merchantAccount(voucher.merchantId), amount: -disputedAmount },
+      { accountId: merchantHoldAccount(voucher.merchantId), amount: disputedAmount },
+    ],
+    reference: { userId, merchantId: voucher.merchantId, voucherId, disputeId: dispute.disputeId },
+    idempotencyKey: `dispute:${dispute.disputeId}:hold`,
+  });
+
+  return {
+    dispute: await disputes.findOneAndUpdate(
+      { disputeId: dispute.disputeId },
+      { $set: { holdEntryId: entry.entryId } },
+      { returnDocument: 'after' }
+    ),
+  };
+}
+
+/**
+ * Attach the merchant's response and evidence to an active dispute.
+ * Returns { dispute } or { status, error }.
+ */
+export async function respondToDispute({ merchantId, disputeId, message, evidence = [] }) {
+  const now = new Date().toISOString();
+  const dispute = await getDB().collection('disputes').findOneAndUpdate(
+    { disputeId, merchantId, status: { $in: ACTIVE_STATUSES } },
+    {
+      $set: { status: 'merchant_responded', updatedAt: now },
+      $push: {
+        evidence: { message, items: evidence, submittedAt: now },
+        history: historyEntry('merchant_responded', { role: 'merchant', id: merchantId }, message),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  if (!dispute) {
+    return { status: 404, error: 'Dispute not found or already resolved' };
+  }
+  return { dispute };
+}
+
+/**
+ * Resolve an active dispute for the 'user' (reversal) or the 'merchant'
+ * (hold released). Returns { dispute } or { status, error }.
+ *
+ * A resolution that failed part way leaves the dispute 'resolving'; calling
+ * again with the same outcome finishes it. Each step is safe to repeat: the
+ * posting is idempotent by key and the voucher is only updated while it
+ * still carries the dispute.
+ */
+export async function resolveDispute({ disputeId, outcome, note = null, adminId = null }) {
+  const db = getDB();
+  const disputes = db.collection('disputes');
+
+  // Claim the dispute for one outcome, so only one resolution is posted
+  const dispute = await disputes.findOneAndUpdate(
+    {
+      disputeId,
+      $or: [{ status: { $in: ACTIVE_STATUSES } }, { status: 'resolving', resolvingOutcome: outcome }],
+    },
+    { $set: { status: 'resolving', resolvingOutcome: outcome, updatedAt: new Date().toISOString() } },
+    { returnDocument: 'after' }
+  );
+  if (!dispute) {
+    const current = await disputes.findOne({ disputeId });
+    if (current?.status === 'resolving') {
+      return { status: 409, error: `Dispute is being resolved for the ${current.resolvingOutcome}` };
+    }
+    return { status: 404, error: 'Dispute not found or already resolved' };
+  }
+
+  const { merchantId, userId, voucherId, amount } = dispute;
+  const forUser = outcome === 'user';
+
+  const entry = await postEntry({
+    type: forUser ? 'dispute_reversal' : 'dispute_release',
+    lines: [
+      { accountId: merchantHoldAccount(merchantId), amount: -amount },
+      { accountId: forUser ? walletAccount(userId) : merchantAccount(merchantId), amount },
+    ],
+    reference: { userId, merchantId, voucherId, disputeId },
+    idempotencyKey: `dispute:${disputeId}:resolution`,
+  });
+
+  const vouchers = db.collection('vouchers');
+  if (forUser) {
+    const voucher = await vouchers.findOneAndUpdate(
+      { voucherId, disputeId },
+      { $inc: { reversedAmount: amount }, $unset: { disputeId: '' } },
+      { returnDocument: 'after' }
+    ) || await vouchers.findOne({ voucherId });
+    if (refundableAmount(voucher) <= 0) {
+      await vouchers.updateOne({ voucherId }, { $set: { status: 'reversed' } });
+    }
+  } else {
+    await vouchers.updateOne({ voucherId, disputeId }, { $unset: { disputeId: '' } });
+  }
+
+  const status = forUser ? 'resolved_user' : 'resolved_merchant';
+  const resolved = await disputes.findOneAndUpdate(
+    { disputeId, status: 'resolving' },
+    {
+      $set: {
+        status,
+        active: false,
+        resolution: { outcome, note, entryId: entry.entryId },
+        resolvedAt: entry.createdAt,
+        updatedAt: entry.createdAt,
+      },
+      $unset: { resolvingOutcome: '' },
+      $push: { history: historyEntry(status, { role: 'admin', id: adminId }, note) },
+    },
+    { returnDocument: 'after' }
+  ) || await disputes.findOne({ disputeId });
+  return { dispute: resolved };
+}
+
+/**
+ * Find one dispute
+ */
+export async function findDispute(disputeId) {
+  return await getDB().collection('disputes').findOne({ disputeId });
+}
+
+/**
+ * Disputes matching a filter, newest first
+ */
+export async function listDisputes(filter = {}) {
+  return await getDB().collection('disputes').find(filter).sort({ createdAt: -1 }).toArray();
+}
@@ -0,0 +1,98 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestDB } from './testDb.js';
+import { openDispute, resolveDispute } from './disputes.js';
+import { createRefund } from './refunds.js';
+import { getAccountBalance, walletAccount, merchantAccount, merchantHoldAccount } from './ledger.js';
+
+const db = await useTestDB();
+beforeEach(() => db.reset());
+
+const USER = 'USER_1';
+const MERCHANT = 'MERCHANT_1';
+
+async function seedVoucher(voucherId = 'V_1', amount = 50000) {
+  await db.collection('vouchers').insertOne({
+    voucherId,
+    issuedTo: USER,
+    merchantId: MERCHANT,
+    amount,
+    status: 'synced',
+  });
+  return voucherId;
+}
+
+async function openedDispute(amount) {
+  const voucherId = await seedVoucher();
+  const { dispute } = await openDispute({ userId: USER, voucherId, reason: 'not delivered', amount });
+  return dispute;
+}
+
+test('resolveDispute for the user reverses the held amount to the wallet', async () => {
+  const dispute = await openedDispute(20000);
+  const { dispute: resolved } = await resolveDispute({ disputeId: dispute.disputeId, outcome: 'user' });
+
+  assert.equal(resolved.status, 'resolved_user');
+  assert.equal(await getAccountBalance(walletAccount(USER)), 20000);
+  assert.equal(await getAccountBalance(merchantHoldAccount(MERCHANT)), 0);
+  const voucher = await db.collection('vouchers').findOne({ voucherId: dispute.voucherId });
+  assert.equal(voucher.reversedAmount, 20000);
+  assert.equal(voucher.disputeId, undefined);
+});
+
+test('a resolution whose posting failed can be retried with the same outcome', async () => {
+  const dispute = await openedDispute(20000);
+
+  db.failNext('ledger_entries', 'insertOne');
+  await assert.rejects(resolveDispute({ disputeId: dispute.disputeId, outcome: 'user' }));
+  assert.equal((await db.collection('disputes').findOne({ disputeId: dispute.disputeId })).status, 'resolving');
+
+  const other = await resolveDispute({ disputeId: dispute.disputeId, outcome: 'merchant' });
+  assert.equal(other.status, 409);
+
+  const { dispute: resolved } = await resolveDispute({ disputeId: dispute.disputeId, outcome: 'user' });
+  assert.equal(resolved.status, 'resolved_user');
+  assert.equal(resolved.resolvingOutcome, undefined);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 20000);
+  assert.equal(await getAccountBalance(merchantHoldAccount(MERCHANT)), 0);
+});
+
+test('a retried resolution reverses the voucher only once', async () => {
+  const dispute = await openedDispute(20000);
+
+  db.failNext('vouchers', 'findOneAndUpdate');
+  await assert.rejects(resolveDispute({ disputeId: dispute.disputeId, outcome: 'user' }));
+  await resolveDispute({ disputeId: dispute.disputeId, outcome: 'user' });
+
+  const voucher = await db.collection('vouchers').findOne({ voucherId: dispute.voucherId });
+  assert.equal(voucher.reversedAmount, 20000);
+  assert.equal(await db.collection('ledger_entries').countDocuments({ type: 'dispute_reversal' }), 1);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 20000);
+});
+
+test('a resolved dispute cannot be resolved again', async () => {
+  const dispute = await openedDispute();
+  await resolveDispute({ disputeId: dispute.disputeId, outcome: 'merchant' });
+
+  const again = await resolveDispute({ disputeId: dispute.disputeId, outcome: 'merchant' });
+  assert.equal(again.status, 404);
+  assert.equal(await getAccountBalance(merchantAccount(MERCHANT)), 0);
+});
+
+test('openDispute refuses an amount a concurrent refund already took', async () => {
+  const voucherId = await seedVoucher();
+
+  // Both read the voucher before either writes; the refund reserves first
+  const [refund, dispute] = await Promise.all([
+    createRefund({ merchantId: MERCHANT, voucherId }),
+    openDispute({ userId: USER, voucherId, reason: 'not delivered' }),
+  ]);
+
+  assert.equal(refund.refund.status, 'completed');
+  assert.equal(dispute.status, 400);
+  assert.equal(dispute.disputable, 0);
+  const voucher = await db.collection('vouchers').findOne({ voucherId });
+  assert.equal(voucher.disputeId, undefined);
+  assert.equal(await db.collection('disputes').countDocuments({}), 0);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 50000);
+});
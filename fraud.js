@@ -0,0 +1,93 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+
+/**
+ * Fraud case helpers.
+ *
+ * A user has at most one open case per type. New evidence for the same
+ * user (more vouchers, more merchants) is appended to that open case
+ * until it is closed.
+ */
+
+export const FRAUD_CASE_STATUSES = ['open', 'closed'];
+
+/**
+ * Append evidence to the user's open case of the given type,
+ * opening a new case if there is none
+ */
+async function appendToOpenCase(userId, type, { entry, merchantIds, set = {}, inc = {} }) {
+  const db = getDB();
+  const now = new Date().toISOString();
+
+  return await db.collection('fraud_cases').findOneAndUpdate(
+    { userId, type, status: 'open' },
+    {
+      $setOnInsert: {
+        caseId: `FC_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        userId,
+        type,
+        status: 'open',
+        openedAt: now,
+      },
+      $push: { vouchers: { ...entry, flaggedAt: now } },
+      $addToSet: { merchantIds: { $each: merchantIds } },
+      $inc: inc,
+      $set: { ...set, updatedAt: now },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * Open (or extend) an overspend case for a voucher that pushed its
+ * issuer past their offline allowance
+ */
+export async function recordOverspend({ userId, voucher, overspend, totalSpent, limit }) {
+  return await appendToOpenCase(userId, 'overspend', {
+    entry: {
+      voucherId: voucher.voucherId,
+      merchantId: voucher.merchantId,
+      ...(voucher.payeeId && { payeeId: voucher.payeeId }),
+      amount: voucher.amount,
+      overspend,
+      createdAt: voucher.createdAt,
+    },
+    merchantIds: [voucher.merchantId].filter(Boolean),
+    set: { totalSpent, limit },
+    inc: { totalOverspend: overspend },
+  });
+}
+
+/**
+ * Open (or extend) a double-spend case for a chained voucher that forks
+ * its issuer's hash chain. Both signed vouchers are kept as evidence.
+ */
+export async function recordChainFork({ userId, voucher, signature, conflicting, reason }) {
+  return await appendToOpenCase(userId, 'double_spend', {
+    entry: {
+      ...voucher,
+      signature,
+      reason,
+      conflictsWith: {
+        voucherId: conflicting.voucherId,
+        merchantId: conflicting.merchantId,
+        ...(conflicting.payeeId && { payeeId: conflicting.payeeId }),
+        amount: conflicting.amount,
+        seq: conflicting.seq,
+        prevHash: conflicting.prevHash,
+        voucherHash: conflicting.voucherHash,
+        signature: conflicting.signature,
+      },
+    },
+    merchantIds: [voucher.merchantId, conflicting.merchantId].filter(Boolean),
+    inc: { totalExposure: voucher.amount },
+  });
+}
+
+/**
+ * List fraud cases, newest first
+ */
+export async function listFraudCases(filter = {}) {
+  const db = getDB();
+  return await db.collection('fraud_cases').find(filter).sort({ openedAt: -1 }).toArray();
+}
@@ -0,0 +1,124 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { requireSecret } from './secrets.js';
+
+dotenv.config();
+
+/**
+ * Payment gateway integration.
+ *
+ * The gateway confirms payments with webhooks signed like:
+ *   X-Gateway-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">
+ * using GATEWAY_WEBHOOK_SECRET. Signatures older than the tolerance are
+ * refused so captured webhooks cannot be replayed later.
+ *
+ * With MOCK_GATEWAY=true a mock gateway is built in for local runs: it
+ * creates orders locally and, when an order is completed, posts a signed
+ * webhook back to this server exactly as the real gateway would. Its
+ * completion route is unauthenticated, so it is never enabled by default
+ * and refused in production.
+ */
+
+const WEBHOOK_SECRET = requireSecret('GATEWAY_WEBHOOK_SECRET', 'mock_gateway_webhook_secret');
+const WEBHOOK_TOLERANCE_SECONDS = Number(process.env.GATEWAY_WEBHOOK_TOLERANCE_SECONDS || 300);
+
+export const MOCK_GATEWAY_ENABLED = process.env.MOCK_GATEWAY === 'true';
+
+if (MOCK_GATEWAY_ENABLED && process.env.NODE_ENV === 'production') {
+  throw new Error('MOCK_GATEWAY must not be enabled in production');
+}
+
+/**
+ * Signature header value for a raw webhook body
+ */
+export function signWebhook(rawBody, timestamp = Math.floor(Date.now() / 1000), secret = WEBHOOK_SECRET) {
+  const hmac = crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+  return `t=${timestamp},v1=${hmac}`;
+}
+
+/**
+ * Check a webhook signature header against the raw body.
+ * Returns an error reason, or null if the signature is valid and fresh.
+ */
+export function verifyWebhookSignature(rawBody, header, now = Date.now()) {
+  if (!rawBody || !header) {
+    return 'Missing signature';
+  }
+
+  const parts = Object.fromEntries(header.split(',').map(part => part.trim().split('=')));
+  const timestamp = Number(parts.t);
+  if (!Number.isInteger(timestamp) || !parts.v1) {
+    return 'Malformed signature';
+  }
+  if (Math.abs(now / 1000 - timestamp) > WEBHOOK_TOLERANCE_SECONDS) {
+    return 'Signature timestamp outside tolerance';
+  }
+
+  const expected = Buffer.from(signWebhook(rawBody, timestamp).split('v1=')[1], 'hex');
+  const received = Buffer.from(parts.v1, 'hex');
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return 'Bad signature';
+  }
+  return null;
+}
+
+/**
+ * Create a gateway order for `amount` paise that the client pays against.
+ * Returns { gatewayReference, checkoutUrl }.
+ */
+export async function createGatewayOrder({ intentId, amount, currency }) {
+  if (!MOCK_GATEWAY_ENABLED) {
+    throw new Error('No payment gateway configured');
+  }
+
+  const gatewayReference = `gw_${crypto.randomBytes(8).toString('hex')}`;
+  await getDB().collection('mock_gateway_orders').insertOne({
+    gatewayReference,
+    intentId,
+    amount,
+    currency,
+    status: 'created',
+    createdAt: new Date().toISOString(),
+  });
+
+  return {
+    gatewayReference,
+    checkoutUrl: `/api/mock-gateway/orders/${gatewayReference}`,
+  };
+}
+
+/**
+ * Mock gateway: settle an order as 'succeeded' or 'failed' and deliver the
+ * signed webhook to `webhookUrl`. Returns { order, event, delivery } or null
+ * if the order does not exist or is already completed.
+ */
+export async function completeMockOrder(gatewayReference, outcome, webhookUrl) {
+  const order = await getDB().collection('mock_gateway_orders').findOneAndUpdate(
+    { gatewayReference, status: 'created' },
+    { $set: { status: outcome, completedAt: new Date().toISOString() } },
+    { returnDocument: 'after' }
+  );
+  if (!order) return null;
+
+  const event = {
+    eventId: `evt_${crypto.randomBytes(8).toString('hex')}`,
+    type: outcome === 'succeeded' ? 'payment.succeeded' : 'payment.failed',
+    data: {
+      gatewayReference,
+      amount: order.amount,
+      currency: order.currency,
+      ...(outcome !== 'succeeded' && { failureReason: 'Declined by mock gateway' }),
+    },
+    createdAt: new Date().toISOString(),
+  };
+
+  const rawBody = JSON.stringify(event);
+  const response = await fetch(webhookUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'X-Gateway-Signature': signWebhook(rawBody) },
+    body: rawBody,
+  });
+
+  return { order, event, delivery: { status: response.status, body: await response.json().catch(() => null) } };
+}
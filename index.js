@@ -4,7 +4,121 @@ import crypto from "crypto";
 import pkg from "elliptic";
 import dotenv from "dotenv";
 import { connectDB, getDB } from "./db.js";
-import { hashPassword, comparePassword, generateToken, authMiddleware, optionalAuthMiddleware } from "./auth.js";
+import { hashPassword, comparePassword, passwordError, authMiddleware, optionalAuthMiddleware } from "./auth.js";
+import { authThrottle } from "./authThrottle.js";
+import { recordAuditOrQueue, retryQueuedAudits, queryAuditLog } from "./auditLog.js";
+import { createSession, refreshSession, listSessions, revokeSession, revokeAllSessions } from "./sessions.js";
+import {
+  ADMIN_ROLES,
+  ROLE_PERMISSIONS,
+  requirePermission,
+  adminAuthMiddleware,
+  createAdmin,
+  loginAdmin,
+  listAdmins,
+  updateAdmin,
+  ensureBootstrapAdmin,
+} from "./admins.js";
+import { issueOtp, consumeOtp, OTP_TTL_MINUTES } from "./otp.js";
+import { getAllowance, loadAllowance, settleVoucher } from "./allowance.js";
+import {
+  SYSTEM_FLOAT,
+  walletAccount,
+  escrowAccount,
+  debtAccount,
+  merchantAccount,
+  merchantHoldAccount,
+  postEntry,
+  getAccount,
+  getAccountBalance,
+  getAccountBalances,
+  listEntries,
+  netAmount,
+  balanceAfter,
+  versionAfter,
+  migrateBalancesToLedger,
+} from "./ledger.js";
+import { recordOverspend, recordChainFork, listFraudCases, FRAUD_CASE_STATUSES } from "./fraud.js";
+import { isChained, validateChainFields, checkChain, keyUsesChain, getChainReport } from "./chain.js";
+import { voucherVersion, voucherType, validateVoucherEnvelope, signedPayload, payloadDigest } from "./voucherFormat.js";
+import {
+  getServerPublicKey,
+  verifyCertificate,
+  issueCertificate,
+  reserveCertificateSpend,
+  releaseCertificateSpend,
+  findCertificate,
+} from "./certificates.js";
+import {
+  createKeyChallenge,
+  consumeKeyChallenge,
+  keyStore,
+  keyChallengeMessage,
+  keyIdFor,
+  findKeyByPublicKey,
+  getActiveKey,
+  hasRegisteredKey,
+  listKeys,
+  registerKey,
+  revokeKey,
+  resolveKeyAt,
+  migrateLegacyKeys,
+} from "./keys.js";
+import { resolvePolicy, parsePolicyOverride, checkVoucherPolicy, DEFAULT_VOUCHER_POLICY } from "./policy.js";
+import { queueForReview, listReviews, claimReview, releaseReview, resolveReview, REVIEW_STATUSES } from "./reviewQueue.js";
+import { beginSyncBatch, completeSyncBatch, releaseSyncBatch, getSyncBatch } from "./syncBatches.js";
+import {
+  runSettlementCycle,
+  listSettlementBatches,
+  getSettlementStatement,
+  statementToCsv,
+  paymentRecord,
+  migrateLegacyPayments,
+  SETTLEMENT_INTERVAL_MINUTES,
+} from "./settlements.js";
+import { createRefund, listRefunds } from "./refunds.js";
+import { openDispute, respondToDispute, resolveDispute, findDispute, listDisputes, DISPUTE_STATUSES } from "./disputes.js";
+import { createTransfer, findRecipient } from "./transfers.js";
+import {
+  createTopupIntent,
+  getTopupIntent,
+  listTopupIntents,
+  handleGatewayEvent,
+  expireStaleIntents,
+  TOPUP_INTENT_TTL_MINUTES,
+} from "./topups.js";
+import { verifyWebhookSignature, completeMockOrder, MOCK_GATEWAY_ENABLED } from "./gateway.js";
+import {
+  KYC_TIERS,
+  KYC_LIMITS,
+  DEFAULT_KYC_TIER,
+  userLimits,
+  merchantLimits,
+  offlineReceiveCounter,
+  getLimitStatus,
+  setKycTier,
+} from "./kyc.js";
+import {
+  CURRENCY,
+  readMinorAmount,
+  toMinorUnits,
+  formatMoney,
+  withDisplay,
+  migrateAmountsToMinorUnits,
+} from "./money.js";
+import {
+  REVIEW_DECISIONS,
+  ONBOARDING_STATUSES,
+  parseApplication,
+  onboardingStatus,
+  formatOnboarding,
+  initialOnboarding,
+  isMerchantVerified,
+  migrateLegacyMerchants,
+  submitApplication,
+  reviewApplication,
+  listApplications,
+} from "./onboarding.js";
 
 dotenv.config();
 
@@ -22,17 +136,34 @@ const ec = new EC("secp256k1");
 
 const app = express();
 
+// req.ip (used to throttle auth attempts) must be the client's address, not the proxy's.
+// TRUST_PROXY takes a hop count, true/false or a subnet list; deployments sit behind one proxy.
+function trustProxySetting(value = process.env.TRUST_PROXY) {
+  if (value === undefined || value === '') return process.env.NODE_ENV === 'production' ? 1 : false;
+  if (value === 'true' || value === 'false') return value === 'true';
+  return /^\d+$/.test(value) ? Number(value) : value;
+}
+app.set('trust proxy', trustProxySetting());
+
 // CORS configuration - allow all origins for mobile app compatibility
 app.use(cors({
   origin: true, // Allow all origins
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
+}));
+// Keep the raw body: gateway webhook signatures are computed over the exact bytes
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf.toString('utf8');
+  }
 }));
-app.use(express.json());
 
 const PORT = process.env.PORT || 4000;
-const JWT_SECRET = process.env.JWT_SECRET || "OFFLINE_DEMO_SECRET_123456";
+// Direct wallet credits without a gateway payment (local development only)
+const ALLOW_DIRECT_BALANCE_ADD = process.env.ALLOW_DIRECT_BALANCE_ADD === 'true';
+const SETTLEMENT_CLAIM_TIMEOUT_SECONDS = Number(process.env.SETTLEMENT_CLAIM_TIMEOUT_SECONDS || 120);
 const SIGNING_SECRET = "OFFLINE_DEMO_SECRET_123456";
 
 function computeSignature(payload) {
@@ -43,6 +174,18 @@ function computeSignature(payload) {
     .digest("hex");
 }
 
+/**
+ * Hash a merchant countersigns when accepting a voucher: SHA-256 of
+ * { voucherHash, signature, merchantId, acceptedAt } where `signature`
+ * is the payer's signature over the voucher
+ */
+function acceptanceHash({ voucherHash, signature, merchantId, acceptedAt }) {
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify({ voucherHash, signature, merchantId, acceptedAt }))
+    .digest("hex");
+}
+
 // Health check endpoint for Render/monitoring
 app.get("/api/health", async (req, res) => {
   try {
@@ -95,38 +238,83 @@ app.get("/api/status", (req, res) => {
       'POST /api/auth/login - User login',
       'POST /api/auth/merchant/register - Merchant registration',
       'POST /api/auth/merchant/login - Merchant login',
-      'POST /api/vouchers/sync - Sync offline vouchers',
-      'GET / - Dashboard'
+      'POST /api/auth/refresh - Rotate refresh token, get a new access token',
+      'POST /api/auth/logout - Revoke the current session (logout-all: every session)',
+      'GET /api/auth/sessions - Active device sessions',
+      'POST /api/auth/sessions/:sessionId/revoke - Sign out a device',
+      'POST /api/auth/forgot-password - Text a password reset OTP (also /api/auth/merchant/forgot-password)',
+      'POST /api/auth/reset-password - Reset password with the OTP (also /api/auth/merchant/reset-password)',
+      'POST /api/admin/auth/login - Admin login (admin routes need an admin token with the right role)',
+      'GET /api/merchant/onboarding - Onboarding status and application',
+      'POST /api/merchant/onboarding - Submit business details and documents for verification',
+      'POST /api/vouchers/sync - Sync offline vouchers (Idempotency-Key supported)',
+      'POST /api/vouchers/sync/status - Which of the merchant\'s vouchers the server has accepted (merchant token)',
+      'GET /api/allowance - Offline allowance',
+      'POST /api/certificates - Issue offline spending certificate',
+      'GET /api/certificates/server-key - Certificate verification key',
+      'POST /api/register-key/challenge - Key registration nonce',
+      'POST /api/register-key - Register signing key (signed challenge)',
+      'GET /api/keys - Signing key history',
+      'POST /api/merchant/keys/challenge - Merchant key registration nonce',
+      'POST /api/merchant/keys - Register merchant signing key (signed challenge)',
+      'POST /api/keys/:keyId/revoke - Revoke a signing key',
+      'POST /api/allowance/load - Move wallet funds into offline allowance',
+      'GET /api/merchant/settlements - Settlement batches and payouts',
+      'POST /api/merchant/vouchers/:voucherId/refunds - Full or partial refund (Idempotency-Key supported)',
+      'GET /api/merchant/vouchers/:voucherId/refunds - Refunds of a voucher',
+      'GET /api/limits - KYC tier, limits and remaining headroom',
+      'POST /api/topups - Create a wallet top-up intent with a gateway reference',
+      'GET /api/topups - Top-up intents',
+      'GET /api/topups/:intentId - Top-up intent status',
+      'POST /api/webhooks/gateway - Signed payment gateway webhooks',
+      'POST /api/transfers - Instant wallet-to-wallet transfer (Idempotency-Key supported)',
+      'POST /api/p2p/vouchers/sync - Receiver syncs offline P2P vouchers',
+      'POST /api/disputes - Dispute a voucher paid by the user',
+      'GET /api/disputes - User disputes',
+      'GET /api/merchant/disputes - Disputes against the merchant',
+      'POST /api/merchant/disputes/:disputeId/respond - Merchant response with evidence',
+      'GET /api/merchant/settlements/:batchId/statement - Itemized batch statement (CSV or ?format=json)',
+      'GET / - Dashboard (sign in with an admin account)',
+      'GET /api/admin/dashboard - Dashboard data (admin token)'
     ]
   });
 });
 
-// Dashboard HTML page
-app.get("/", async (req, res) => {
+/**
+ * GET /api/admin/dashboard
+ * Voucher and user totals with every voucher, as shown on the dashboard page
+ */
+app.get("/api/admin/dashboard", requirePermission('dashboard:view'), async (req, res) => {
   try {
     const db = getDB();
     const vouchersDb = await db.collection('vouchers').find().toArray();
     const usersCount = await db.collection('users').countDocuments();
-    
-    const totalVouchers = vouchersDb.length;
-    const totalAmount = vouchersDb.reduce((sum, v) => sum + v.amount, 0);
-    const syncedCount = vouchersDb.filter(v => v.status === "synced").length;
-    const offlineCount = vouchersDb.filter(v => v.status === "offline").length;
-    const registeredUsers = usersCount;
-
-    const voucherRows = vouchersDb.map(v => `
-    <tr>
-      <td>${v.voucherId}</td>
-      <td>${v.merchantId}</td>
-      <td>₹${v.amount}</td>
-      <td>${v.issuedTo || 'N/A'}</td>
-      <td><span class="badge ${v.status === 'synced' ? 'synced' : 'offline'}">${v.status}</span></td>
-      <td>${new Date(v.syncedAt || v.createdAt).toLocaleString()}</td>
-      <td style="font-family: monospace; font-size: 11px;">${v.signature.slice(0, 20)}...</td>
-    </tr>
-  `).join('');
-
-  const html = `
+
+    res.json(withDisplay({
+      totalVouchers: vouchersDb.length,
+      syncedCount: vouchersDb.filter(v => v.status === "synced" || v.status === "settled").length,
+      offlineCount: vouchersDb.filter(v => v.status === "offline").length,
+      totalAmount: vouchersDb.reduce((sum, v) => sum + v.amount, 0),
+      registeredUsers: usersCount,
+      vouchers: vouchersDb.map(v => ({
+        voucherId: v.voucherId,
+        merchant: v.merchantId || `P2P → ${v.payeeId}`,
+        amount: formatMoney(v.amount, v.currency),
+        issuedTo: v.issuedTo || 'N/A',
+        status: v.status,
+        date: v.syncedAt || v.createdAt,
+        signature: v.signature.slice(0, 20),
+      })),
+    }, ['totalAmount']));
+  } catch (error) {
+    console.error("Dashboard error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Dashboard page. It is public: the admin signs in on the page and the data
+// comes from /api/admin/dashboard with the admin token, kept in sessionStorage.
+const DASHBOARD_HTML = `
 <!DOCTYPE html>
 <html>
 <head>
@@ -259,6 +447,31 @@ app.get("/", async (req, res) => {
       transform: translateY(-2px);
       box-shadow: 0 6px 25px rgba(102, 126, 234, 0.5);
     }
+    .hidden { display: none; }
+    .login {
+      max-width: 360px;
+      margin: 40px auto;
+      display: flex;
+      flex-direction: column;
+      gap: 12px;
+    }
+    .login input {
+      padding: 12px;
+      border: 1px solid #dee2e6;
+      border-radius: 8px;
+      font-size: 14px;
+    }
+    .login button {
+      background: #667eea;
+      color: white;
+      border: none;
+      padding: 12px;
+      border-radius: 8px;
+      font-size: 15px;
+      font-weight: 600;
+      cursor: pointer;
+    }
+    .error { color: #c0392b; font-size: 14px; min-height: 18px; }
   </style>
 </head>
 <body>
@@ -267,40 +480,47 @@ app.get("/", async (req, res) => {
       <h1>🔐 Offline Pay Backend</h1>
       <p>Secure Payment Voucher Management System</p>
     </div>
-    
-    <div class="stats">
-      <div class="stat-card">
-        <div class="number">${totalVouchers}</div>
-        <div class="label">Total Vouchers</div>
-      </div>
-      <div class="stat-card">
-        <div class="number">${syncedCount}</div>
-        <div class="label">Synced</div>
-      </div>
-      <div class="stat-card">
-        <div class="number">${offlineCount}</div>
-        <div class="label">Pending</div>
-      </div>
-      <div class="stat-card">
-        <div class="number">₹${totalAmount}</div>
-        <div class="label">Total Amount</div>
-      </div>
-      <div class="stat-card">
-        <div class="number">${registeredUsers}</div>
-        <div class="label">Registered Users</div>
+
+    <form id="login" class="login hidden">
+      <h2>Admin sign in</h2>
+      <input id="email" type="email" placeholder="Email" autocomplete="username" required>
+      <input id="password" type="password" placeholder="Password" autocomplete="current-password" required>
+      <button type="submit">Sign in</button>
+      <div id="login-error" class="error"></div>
+    </form>
+
+    <div id="dashboard" class="hidden">
+      <div class="stats">
+        <div class="stat-card">
+          <div class="number" id="total-vouchers"></div>
+          <div class="label">Total Vouchers</div>
+        </div>
+        <div class="stat-card">
+          <div class="number" id="synced-count"></div>
+          <div class="label">Synced</div>
+        </div>
+        <div class="stat-card">
+          <div class="number" id="offline-count"></div>
+          <div class="label">Pending</div>
+        </div>
+        <div class="stat-card">
+          <div class="number" id="total-amount"></div>
+          <div class="label">Total Amount</div>
+        </div>
+        <div class="stat-card">
+          <div class="number" id="registered-users"></div>
+          <div class="label">Registered Users</div>
+        </div>
       </div>
-    </div>
 
-    <div class="content">
-      <h2>📋 All Vouchers</h2>
-      ${totalVouchers === 0 ? `
-        <div class="empty">
+      <div class="content">
+        <h2>📋 All Vouchers</h2>
+        <div id="empty" class="empty hidden">
           <div class="empty-icon">📭</div>
           <h3>No vouchers yet</h3>
           <p>Vouchers will appear here after merchant sync</p>
         </div>
-      ` : `
-        <table>
+        <table id="vouchers" class="hidden">
           <thead>
             <tr>
               <th>Voucher ID</th>
@@ -312,29 +532,108 @@ app.get("/", async (req, res) => {
               <th>Signature</th>
             </tr>
           </thead>
-          <tbody>
-            ${voucherRows}
-          </tbody>
+          <tbody></tbody>
         </table>
-      `}
+      </div>
     </div>
   </div>
 
-  <button class="refresh-btn" onclick="location.reload()">🔄 Refresh</button>
+  <button id="refresh" class="refresh-btn hidden">🔄 Refresh</button>
 
   <script>
+    const TOKEN_KEY = 'offlinePayAdminToken';
+    const $ = (id) => document.getElementById(id);
+
+    function showLogin(message) {
+      sessionStorage.removeItem(TOKEN_KEY);
+      $('dashboard').classList.add('hidden');
+      $('refresh').classList.add('hidden');
+      $('login').classList.remove('hidden');
+      $('login-error').textContent = message || '';
+    }
+
+    function cell(text, className) {
+      const td = document.createElement('td');
+      if (className) {
+        const badge = document.createElement('span');
+        badge.className = className;
+        badge.textContent = text;
+        td.appendChild(badge);
+      } else {
+        td.textContent = text;
+      }
+      return td;
+    }
+
+    function render(data) {
+      $('total-vouchers').textContent = data.totalVouchers;
+      $('synced-count').textContent = data.syncedCount;
+      $('offline-count').textContent = data.offlineCount;
+      $('total-amount').textContent = data.display.totalAmount;
+      $('registered-users').textContent = data.registeredUsers;
+
+      const rows = data.vouchers.map((v) => {
+        const tr = document.createElement('tr');
+        const synced = v.status === 'synced' || v.status === 'settled';
+        tr.append(
+          cell(v.voucherId),
+          cell(v.merchant),
+          cell(v.amount),
+          cell(v.issuedTo),
+          cell(v.status, 'badge ' + (synced ? 'synced' : 'offline')),
+          cell(new Date(v.date).toLocaleString()),
+          cell(v.signature + '...')
+        );
+        tr.lastChild.style.cssText = 'font-family: monospace; font-size: 11px;';
+        return tr;
+      });
+      document.querySelector('#vouchers tbody').replaceChildren(...rows);
+      $('vouchers').classList.toggle('hidden', rows.length === 0);
+      $('empty').classList.toggle('hidden', rows.length > 0);
+
+      $('login').classList.add('hidden');
+      $('dashboard').classList.remove('hidden');
+      $('refresh').classList.remove('hidden');
+    }
+
+    async function load() {
+      const token = sessionStorage.getItem(TOKEN_KEY);
+      if (!token) return showLogin();
+
+      const res = await fetch('/api/admin/dashboard', { headers: { Authorization: 'Bearer ' + token } });
+      if (res.status === 401 || res.status === 403) {
+        return showLogin(res.status === 403 ? 'This admin cannot view the dashboard' : 'Session expired, sign in again');
+      }
+      if (res.ok) render(await res.json());
+    }
+
+    $('login').addEventListener('submit', async (event) => {
+      event.preventDefault();
+      const res = await fetch('/api/admin/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ email: $('email').value, password: $('password').value }),
+      });
+      const body = await res.json();
+      if (!res.ok) return showLogin(body.error || 'Sign in failed');
+      sessionStorage.setItem(TOKEN_KEY, body.token);
+      $('password').value = '';
+      load();
+    });
+    $('refresh').addEventListener('click', load);
+
     // Auto-refresh every 5 seconds
-    setTimeout(() => location.reload(), 5000);
+    load();
+    setInterval(() => {
+      if (sessionStorage.getItem(TOKEN_KEY)) load();
+    }, 5000);
   </script>
 </body>
 </html>
-  `;
+`;
 
-    res.send(html);
-  } catch (error) {
-    console.error("Dashboard error:", error);
-    res.status(500).send("Database error");
-  }
+app.get("/", (req, res) => {
+  res.send(DASHBOARD_HTML);
 });
 
 // ==================== AUTHENTICATION ROUTES ====================
@@ -343,16 +642,20 @@ app.get("/", async (req, res) => {
  * POST /api/auth/register
  * Register a new user
  */
-app.post("/api/auth/register", async (req, res) => {
+app.post("/api/auth/register", authThrottle('register'), async (req, res) => {
   try {
-    const { phone, password, name, publicKeyHex } = req.body;
+    const { phone, password, name } = req.body;
     
     if (!phone || !password || !name) {
       return res.status(400).json({ error: "Phone, password, and name are required" });
     }
+    if (typeof phone !== 'string') {
+      return res.status(400).json({ error: "Phone must be a string" });
+    }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    const invalidPassword = passwordError(password);
+    if (invalidPassword) {
+      return res.status(400).json({ error: invalidPassword });
     }
 
     const db = getDB();
@@ -361,6 +664,7 @@ app.post("/api/auth/register", async (req, res) => {
     // Check if user already exists
     const existingUser = await usersCollection.findOne({ phone });
     if (existingUser) {
+      await req.authThrottle.fail();
       return res.status(400).json({ error: "User with this phone already exists" });
     }
 
@@ -376,29 +680,36 @@ app.post("/api/auth/register", async (req, res) => {
       phone,
       name,
       passwordHash,
-      publicKeyHex: publicKeyHex || null,
-      balance: 0, // Start with 0 balance
+      publicKeyHex: null,
+      kycTier: DEFAULT_KYC_TIER,
       createdAt: new Date().toISOString(),
       role: 'user',
     };
 
     await usersCollection.insertOne(newUser);
 
-    // Generate token
-    const token = generateToken({ userId, phone, role: 'user' });
+    // Open a device session (access + refresh token)
+    const session = await createSession({ userId, phone, role: 'user' }, deviceInfo(req));
 
     console.log("New user registered:", userId);
+    await audit(req, 'auth.register', {
+      actor: { type: 'user', id: userId },
+      target: { type: 'user', id: userId },
+      after: { phone, name, kycTier: DEFAULT_KYC_TIER },
+      metadata: { sessionId: session.sessionId },
+    });
 
     res.json({
       success: true,
-      token,
-      user: {
+      ...session,
+      user: withDisplay({
         userId,
         phone,
         name,
         balance: 0,
+        kycTier: DEFAULT_KYC_TIER,
         role: 'user',
-      },
+      }, ['balance']),
     });
   } catch (error) {
     console.error("Register error:", error);
@@ -410,44 +721,53 @@ app.post("/api/auth/register", async (req, res) => {
  * POST /api/auth/login
  * Login existing user
  */
-app.post("/api/auth/login", async (req, res) => {
+app.post("/api/auth/login", authThrottle('login:user', req => req.body?.phone), async (req, res) => {
   try {
     const { phone, password } = req.body;
     
     if (!phone || !password) {
       return res.status(400).json({ error: "Phone and password are required" });
     }
+    // Objects would reach the account lookup as query operators and skip the account throttle
+    if (typeof phone !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: "Phone and password must be strings" });
+    }
 
     const db = getDB();
     const usersCollection = db.collection('users');
 
     // Find user
     const user = await usersCollection.findOne({ phone });
-    if (!user) {
-      return res.status(401).json({ error: "Invalid phone or password" });
-    }
-
-    // Verify password
-    const isValidPassword = await comparePassword(password, user.passwordHash);
-    if (!isValidPassword) {
+    if (!user || !(await comparePassword(password, user.passwordHash))) {
+      await req.authThrottle.fail();
+      await audit(req, 'auth.login_failed', {
+        actor: { type: 'anonymous', id: null },
+        target: { type: 'user', id: user?.userId || null, phone },
+      });
       return res.status(401).json({ error: "Invalid phone or password" });
     }
+    await req.authThrottle.succeed();
 
-    // Generate token
-    const token = generateToken({ userId: user.userId, phone: user.phone, role: user.role || 'user' });
+    // Open a device session (access + refresh token)
+    const session = await createSession({ userId: user.userId, phone: user.phone, role: user.role || 'user' }, deviceInfo(req));
 
     console.log("User logged in:", user.userId);
+    await audit(req, 'auth.login', {
+      actor: { type: 'user', id: user.userId },
+      target: { type: 'user', id: user.userId },
+      metadata: { sessionId: session.sessionId },
+    });
 
     res.json({
       success: true,
-      token,
-      user: {
+      ...session,
+      user: withDisplay({
         userId: user.userId,
         phone: user.phone,
         name: user.name,
-        balance: user.balance || 0,
+        balance: await getAccountBalance(walletAccount(user.userId)),
         role: user.role || 'user',
-      },
+      }, ['balance']),
     });
   } catch (error) {
     console.error("Login error:", error);
@@ -459,16 +779,20 @@ app.post("/api/auth/login", async (req, res) => {
  * POST /api/auth/merchant/register
  * Register a new merchant
  */
-app.post("/api/auth/merchant/register", async (req, res) => {
+app.post("/api/auth/merchant/register", authThrottle('register'), async (req, res) => {
   try {
     const { phone, password, businessName, address } = req.body;
     
     if (!phone || !password || !businessName) {
       return res.status(400).json({ error: "Phone, password, and business name are required" });
     }
+    if (typeof phone !== 'string') {
+      return res.status(400).json({ error: "Phone must be a string" });
+    }
 
-    if (password.length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
+    const invalidPassword = passwordError(password);
+    if (invalidPassword) {
+      return res.status(400).json({ error: invalidPassword });
     }
 
     const db = getDB();
@@ -477,6 +801,7 @@ app.post("/api/auth/merchant/register", async (req, res) => {
     // Check if merchant already exists
     const existingMerchant = await merchantsCollection.findOne({ phone });
     if (existingMerchant) {
+      await req.authThrottle.fail();
       return res.status(400).json({ error: "Merchant with this phone already exists" });
     }
 
@@ -494,25 +819,35 @@ app.post("/api/auth/merchant/register", async (req, res) => {
       address: address || '',
       passwordHash,
       isVerified: false, // Requires admin verification
+      onboarding: initialOnboarding(),
+      kycTier: DEFAULT_KYC_TIER,
       createdAt: new Date().toISOString(),
       role: 'merchant',
     };
 
     await merchantsCollection.insertOne(newMerchant);
 
-    // Generate token
-    const token = generateToken({ merchantId, phone, role: 'merchant' });
+    // Open a device session (access + refresh token)
+    const session = await createSession({ merchantId, phone, role: 'merchant' }, deviceInfo(req));
 
     console.log("New merchant registered:", merchantId);
+    await audit(req, 'auth.register', {
+      actor: { type: 'merchant', id: merchantId },
+      target: { type: 'merchant', id: merchantId },
+      after: { phone, businessName, kycTier: DEFAULT_KYC_TIER },
+      metadata: { sessionId: session.sessionId },
+    });
 
     res.json({
       success: true,
-      token,
+      ...session,
       merchant: {
         merchantId,
         phone,
         businessName,
         isVerified: false,
+        onboardingStatus: 'not_submitted',
+        kycTier: DEFAULT_KYC_TIER,
         role: 'merchant',
       },
     });
@@ -526,42 +861,52 @@ app.post("/api/auth/merchant/register", async (req, res) => {
  * POST /api/auth/merchant/login
  * Login existing merchant
  */
-app.post("/api/auth/merchant/login", async (req, res) => {
+app.post("/api/auth/merchant/login", authThrottle('login:merchant', req => req.body?.phone), async (req, res) => {
   try {
     const { phone, password } = req.body;
     
     if (!phone || !password) {
       return res.status(400).json({ error: "Phone and password are required" });
     }
+    // Objects would reach the account lookup as query operators and skip the account throttle
+    if (typeof phone !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: "Phone and password must be strings" });
+    }
 
     const db = getDB();
     const merchantsCollection = db.collection('merchants');
 
     // Find merchant
     const merchant = await merchantsCollection.findOne({ phone });
-    if (!merchant) {
-      return res.status(401).json({ error: "Invalid phone or password" });
-    }
-
-    // Verify password
-    const isValidPassword = await comparePassword(password, merchant.passwordHash);
-    if (!isValidPassword) {
+    if (!merchant || !(await comparePassword(password, merchant.passwordHash))) {
+      await req.authThrottle.fail();
+      await audit(req, 'auth.login_failed', {
+        actor: { type: 'anonymous', id: null },
+        target: { type: 'merchant', id: merchant?.merchantId || null, phone },
+      });
       return res.status(401).json({ error: "Invalid phone or password" });
     }
+    await req.authThrottle.succeed();
 
-    // Generate token
-    const token = generateToken({ merchantId: merchant.merchantId, phone: merchant.phone, role: 'merchant' });
+    // Open a device session (access + refresh token)
+    const session = await createSession({ merchantId: merchant.merchantId, phone: merchant.phone, role: 'merchant' }, deviceInfo(req));
 
     console.log("Merchant logged in:", merchant.merchantId);
+    await audit(req, 'auth.login', {
+      actor: { type: 'merchant', id: merchant.merchantId },
+      target: { type: 'merchant', id: merchant.merchantId },
+      metadata: { sessionId: session.sessionId },
+    });
 
     res.json({
       success: true,
-      token,
+      ...session,
       merchant: {
         merchantId: merchant.merchantId,
         phone: merchant.phone,
         businessName: merchant.businessName,
         isVerified: merchant.isVerified || false,
+        onboardingStatus: onboardingStatus(merchant),
         role: 'merchant',
       },
     });
@@ -589,6 +934,7 @@ app.get("/api/auth/me", authMiddleware, async (req, res) => {
         phone: merchant.phone,
         businessName: merchant.businessName,
         isVerified: merchant.isVerified || false,
+        onboardingStatus: onboardingStatus(merchant),
         role: 'merchant',
       });
     } else {
@@ -596,13 +942,13 @@ app.get("/api/auth/me", authMiddleware, async (req, res) => {
       if (!user) {
         return res.status(404).json({ error: "User not found" });
       }
-      return res.json({
+      return res.json(withDisplay({
         userId: user.userId,
         phone: user.phone,
         name: user.name,
-        balance: user.balance || 0,
+        balance: await getAccountBalance(walletAccount(user.userId)),
         role: 'user',
-      });
+      }, ['balance']));
     }
   } catch (error) {
     console.error("Get me error:", error);
@@ -610,118 +956,414 @@ app.get("/api/auth/me", authMiddleware, async (req, res) => {
   }
 });
 
+const PASSWORD_RESET_ACCOUNTS = {
+  user: { collection: 'users', idField: 'userId' },
+  merchant: { collection: 'merchants', idField: 'merchantId' },
+};
+
+// Attempts to reset the password of a user or merchant phone
+const resetThrottle = (principal) => authThrottle(`reset:${principal}`, req => req.body?.phone);
+
+// Request handler texting a password reset OTP to a user or merchant phone
+function requestPasswordReset(principal) {
+  const { collection, idField } = PASSWORD_RESET_ACCOUNTS[principal];
+
+  return async (req, res) => {
+    try {
+      const { phone, newPassword } = req.body || {};
+
+      if (!phone || typeof phone !== 'string') {
+        return res.status(400).json({ error: "Phone is required" });
+      }
+      if (newPassword !== undefined) {
+        return res.status(400).json({
+          error: "Password reset needs an OTP: send newPassword with the code to the reset-password endpoint",
+        });
+      }
+
+      const account = await getDB().collection(collection).findOne({ phone });
+      const result = await issueOtp({
+        purpose: 'password_reset',
+        principal,
+        phone,
+        message: account && ((code) => `${code} is your Offline Pay password reset code. It expires in ${OTP_TTL_MINUTES} minutes. Do not share it.`),
+      });
+      if (result.error) {
+        const { status, ...body } = result;
+        return res.status(status).set('Retry-After', String(body.retryAfterSeconds)).json(body);
+      }
+
+      if (account) {
+        console.log(`🔑 Password reset code sent to ${principal} ${account[idField]}`);
+      }
+
+      // Same answer whether or not the phone is registered
+      res.json({
+        success: true,
+        message: "If an account exists for this phone, a reset code has been sent.",
+        ...result,
+      });
+    } catch (error) {
+      console.error(`Forgot password error (${principal}):`, error);
+      res.status(500).json({ error: "Failed to send reset code" });
+    }
+  };
+}
+
+// Request handler resetting a password with the OTP from requestPasswordReset
+function confirmPasswordReset(principal) {
+  const { collection, idField } = PASSWORD_RESET_ACCOUNTS[principal];
+
+  return async (req, res) => {
+    try {
+      const { phone, otp, newPassword } = req.body || {};
+
+      if (!phone || !otp || !newPassword) {
+        return res.status(400).json({ error: "Phone, otp and new password are required" });
+      }
+      // Objects would reach the account filter as query operators
+      if (typeof phone !== 'string' || typeof otp !== 'string') {
+        return res.status(400).json({ error: "Phone and otp must be strings" });
+      }
+
+      const invalidPassword = passwordError(newPassword);
+      if (invalidPassword) {
+        return res.status(400).json({ error: invalidPassword });
+      }
+
+      const verified = await consumeOtp({ purpose: 'password_reset', principal, phone, code: otp });
+      if (verified.error) {
+        await req.authThrottle.fail();
+        const { status, ...body } = verified;
+        return res.status(status).json(body);
+      }
+
+      const passwordHash = await hashPassword(newPassword);
+      const now = new Date().toISOString();
+      const account = await getDB().collection(collection).findOneAndUpdate(
+        { phone },
+        { $set: { passwordHash, passwordChangedAt: now, updatedAt: now } },
+        { returnDocument: 'after' }
+      );
+      if (!account) {
+        return res.status(400).json({ error: "Invalid or expired code" });
+      }
+
+      await req.authThrottle.succeed();
+
+      // Tokens issued before the reset stop working
+      const revoked = await revokeAllSessions({ [idField]: account[idField] }, 'password_reset');
+
+      console.log(`Password reset for ${principal}:`, account[idField], `(${revoked} sessions revoked)`);
+      await audit(req, 'auth.password_reset', {
+        actor: { type: principal, id: account[idField] },
+        target: { type: principal, id: account[idField] },
+        after: { passwordChangedAt: now },
+        metadata: { revokedSessions: revoked },
+      });
+
+      res.json({
+        success: true,
+        message: "Password reset successfully! You can now login with your new password.",
+      });
+    } catch (error) {
+      console.error(`Reset password error (${principal}):`, error);
+      res.status(500).json({ error: "Failed to reset password" });
+    }
+  };
+}
+
 /**
  * POST /api/auth/forgot-password
- * Reset password for user
+ * Body: { phone } - text a password reset code to a user
  */
-app.post("/api/auth/forgot-password", async (req, res) => {
+app.post("/api/auth/forgot-password", resetThrottle('user'), requestPasswordReset('user'));
+
+/**
+ * POST /api/auth/reset-password
+ * Body: { phone, otp, newPassword } - reset a user's password with the code
+ */
+app.post("/api/auth/reset-password", resetThrottle('user'), confirmPasswordReset('user'));
+
+/**
+ * POST /api/auth/merchant/forgot-password
+ * Body: { phone } - text a password reset code to a merchant
+ */
+app.post("/api/auth/merchant/forgot-password", resetThrottle('merchant'), requestPasswordReset('merchant'));
+
+/**
+ * POST /api/auth/merchant/reset-password
+ * Body: { phone, otp, newPassword } - reset a merchant's password with the code
+ */
+app.post("/api/auth/merchant/reset-password", resetThrottle('merchant'), confirmPasswordReset('merchant'));
+
+// Device details stored with a session so users can recognise it
+function deviceInfo(req) {
+  const name = req.body?.deviceName;
+  return {
+    name: typeof name === 'string' ? name.slice(0, 100) : null,
+    userAgent: req.get('User-Agent') || null,
+    ip: req.ip,
+  };
+}
+
+// Session owner of the current user or merchant token
+function sessionOwner(req) {
+  return req.user.role === 'merchant' ? { merchantId: req.user.merchantId } : { userId: req.user.userId };
+}
+
+// Audit actor of the current admin, user or merchant token
+function requestActor(req) {
+  if (req.admin) return { type: 'admin', id: req.admin.adminId };
+  if (req.user?.role === 'merchant') return { type: 'merchant', id: req.user.merchantId };
+  if (req.user) return { type: 'user', id: req.user.userId };
+  return { type: 'anonymous', id: null };
+}
+
+// Append an audit log entry for the request. The action has already happened,
+// so a failed write is queued for retry and does not fail the request.
+async function audit(req, action, { actor = requestActor(req), target = null, before = null, after = null, metadata = {} } = {}) {
+  await recordAuditOrQueue({
+    actor,
+    action,
+    target,
+    before,
+    after,
+    metadata: { ip: req.ip, userAgent: req.get('User-Agent') || null, method: req.method, path: req.path, ...metadata },
+  });
+}
+
+/**
+ * POST /api/auth/refresh
+ * Body: { refreshToken } - new access token and rotated refresh token
+ */
+app.post("/api/auth/refresh", authThrottle('refresh'), async (req, res) => {
   try {
-    const { phone, newPassword } = req.body;
-    
-    if (!phone || !newPassword) {
-      return res.status(400).json({ error: "Phone and new password are required" });
+    const result = await refreshSession(req.body?.refreshToken);
+    if (result.error) {
+      await req.authThrottle.fail();
+      const { status, ...body } = result;
+      return res.status(status).json(body);
     }
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error("Refresh token error:", error);
+    res.status(500).json({ error: "Failed to refresh session" });
+  }
+});
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
-    }
+/**
+ * POST /api/auth/logout
+ * Revoke the current session
+ */
+app.post("/api/auth/logout", authMiddleware, async (req, res) => {
+  try {
+    await revokeSession(sessionOwner(req), req.user.sid, 'logout');
+    res.json({ success: true });
+  } catch (error) {
+    console.error("Logout error:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
 
-    const db = getDB();
-    const usersCollection = db.collection('users');
+/**
+ * POST /api/auth/logout-all
+ * Revoke every session of the current user or merchant, this one included
+ */
+app.post("/api/auth/logout-all", authMiddleware, async (req, res) => {
+  try {
+    const revoked = await revokeAllSessions(sessionOwner(req), 'logout_all');
+    await audit(req, 'auth.logout_all', { target: requestActor(req), metadata: { revokedSessions: revoked } });
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error("Logout all error:", error);
+    res.status(500).json({ error: "Failed to log out" });
+  }
+});
 
-    // Find user
-    const user = await usersCollection.findOne({ phone });
-    if (!user) {
-      return res.status(404).json({ error: "No account found with this phone number" });
+/**
+ * GET /api/auth/sessions
+ * Active sessions (devices) of the current user or merchant
+ */
+app.get("/api/auth/sessions", authMiddleware, async (req, res) => {
+  try {
+    const sessions = await listSessions(sessionOwner(req), req.user.sid);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error("List sessions error:", error);
+    res.status(500).json({ error: "Failed to get sessions" });
+  }
+});
+
+/**
+ * POST /api/auth/sessions/:sessionId/revoke
+ * Sign out one of the current user's or merchant's devices
+ */
+app.post("/api/auth/sessions/:sessionId/revoke", authMiddleware, async (req, res) => {
+  try {
+    const session = await revokeSession(sessionOwner(req), req.params.sessionId);
+    if (!session) {
+      return res.status(404).json({ error: "Session not found or already revoked" });
     }
 
-    // Hash new password
-    const passwordHash = await hashPassword(newPassword);
+    console.log(`🔒 Session ${session.sessionId} revoked by its owner`);
+    await audit(req, 'auth.session_revoked', { target: { type: 'session', id: session.sessionId }, after: { revokedAt: session.revokedAt } });
+    res.json({ success: true, session });
+  } catch (error) {
+    console.error("Revoke session error:", error);
+    res.status(500).json({ error: "Failed to revoke session" });
+  }
+});
 
-    // Update password
-    await usersCollection.updateOne(
-      { phone },
-      { $set: { passwordHash, updatedAt: new Date().toISOString() } }
-    );
+// ==================== END AUTHENTICATION ROUTES ====================
 
-    console.log("Password reset for user:", user.userId);
+// ==================== ADMIN ROUTES ====================
+// Every admin route declares its permission with requirePermission();
+// user and merchant tokens are refused (see admins.js)
 
-    res.json({
-      success: true,
-      message: "Password reset successfully! You can now login with your new password.",
+/**
+ * POST /api/admin/auth/login
+ * Body: { email, password } - admin login, returns an admin token
+ */
+app.post("/api/admin/auth/login", authThrottle('login:admin', req => req.body?.email), async (req, res) => {
+  try {
+    const { email, password } = req.body || {};
+    if (typeof email !== 'string' || typeof password !== 'string') {
+      return res.status(400).json({ error: "Email and password are required" });
+    }
+
+    const result = await loginAdmin(email, password);
+    if (!result) {
+      await req.authThrottle.fail();
+      await audit(req, 'admin.login_failed', { target: { type: 'admin', id: null, email: email.trim().toLowerCase() } });
+      return res.status(401).json({ error: "Invalid email or password" });
+    }
+
+    await req.authThrottle.succeed();
+
+    console.log("Admin logged in:", result.admin.adminId);
+    await audit(req, 'admin.login', {
+      actor: { type: 'admin', id: result.admin.adminId },
+      target: { type: 'admin', id: result.admin.adminId },
     });
+
+    res.json({ success: true, token: result.token, admin: result.admin });
   } catch (error) {
-    console.error("Forgot password error:", error);
-    res.status(500).json({ error: "Failed to reset password" });
+    console.error("Admin login error:", error);
+    res.status(500).json({ error: "Login failed" });
   }
 });
 
 /**
- * POST /api/auth/merchant/forgot-password
- * Reset password for merchant
+ * GET /api/admin/auth/me
+ * Current admin and the permissions of their role
  */
-app.post("/api/auth/merchant/forgot-password", async (req, res) => {
+app.get("/api/admin/auth/me", adminAuthMiddleware, (req, res) => {
+  res.json({ admin: req.admin, permissions: ROLE_PERMISSIONS[req.admin.role] || [] });
+});
+
+// Admin endpoint to list admins and the role table
+app.get("/api/admin/admins", requirePermission('admins:manage'), async (req, res) => {
   try {
-    const { phone, newPassword } = req.body;
-    
-    if (!phone || !newPassword) {
-      return res.status(400).json({ error: "Phone and new password are required" });
-    }
+    const admins = await listAdmins();
+    res.json({ total: admins.length, admins, roles: ROLE_PERMISSIONS });
+  } catch (error) {
+    console.error("List admins error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
 
-    if (newPassword.length < 6) {
-      return res.status(400).json({ error: "Password must be at least 6 characters" });
+/**
+ * POST /api/admin/admins
+ * Body: { email, password, name?, role } - create another admin
+ */
+app.post("/api/admin/admins", requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email, password, name = null, role } = req.body || {};
+    if (typeof email !== 'string' || !email.includes('@')) {
+      return res.status(400).json({ error: "A valid email is required" });
+    }
+    if (typeof password !== 'string' || password.length < 12) {
+      return res.status(400).json({ error: "Password must be at least 12 characters" });
+    }
+    if (!ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
     }
 
-    const db = getDB();
-    const merchantsCollection = db.collection('merchants');
-
-    // Find merchant
-    const merchant = await merchantsCollection.findOne({ phone });
-    if (!merchant) {
-      return res.status(404).json({ error: "No merchant account found with this phone number" });
+    const result = await createAdmin({ email, password, name, role, createdBy: req.admin.adminId });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
     }
 
-    // Hash new password
-    const passwordHash = await hashPassword(newPassword);
+    console.log(`🛂 Admin ${result.admin.adminId} (${role}) created by ${req.admin.adminId}`);
+    await audit(req, 'admin.created', {
+      target: { type: 'admin', id: result.admin.adminId },
+      after: { email: result.admin.email, role, disabled: false },
+    });
+    res.json({ success: true, admin: result.admin });
+  } catch (error) {
+    console.error("Create admin error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
 
-    // Update password
-    await merchantsCollection.updateOne(
-      { phone },
-      { $set: { passwordHash, updatedAt: new Date().toISOString() } }
-    );
+/**
+ * PUT /api/admin/admins/:adminId
+ * Body: { role?, disabled? } - change another admin's role or disable them
+ */
+app.put("/api/admin/admins/:adminId", requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { role, disabled } = req.body || {};
+    if (role !== undefined && !ADMIN_ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ADMIN_ROLES.join(', ')}` });
+    }
+    if (disabled !== undefined && typeof disabled !== 'boolean') {
+      return res.status(400).json({ error: "disabled must be a boolean" });
+    }
+    if (req.params.adminId === req.admin.adminId) {
+      return res.status(400).json({ error: "Admins cannot change their own role or disable themselves" });
+    }
 
-    console.log("Password reset for merchant:", merchant.merchantId);
+    const previous = await getDB().collection('admins').findOne({ adminId: req.params.adminId });
+    const admin = previous && await updateAdmin(req.params.adminId, { role, disabled });
+    if (!admin) {
+      return res.status(404).json({ error: "Admin not found" });
+    }
 
-    res.json({
-      success: true,
-      message: "Password reset successfully! You can now login with your new password.",
+    console.log(`🛂 Admin ${admin.adminId} updated by ${req.admin.adminId}: role ${admin.role}, disabled ${admin.disabled}`);
+    await audit(req, 'admin.updated', {
+      target: { type: 'admin', id: admin.adminId },
+      before: { role: previous.role, disabled: previous.disabled || false },
+      after: { role: admin.role, disabled: admin.disabled },
     });
+    res.json({ success: true, admin });
   } catch (error) {
-    console.error("Merchant forgot password error:", error);
-    res.status(500).json({ error: "Failed to reset password" });
+    console.error("Update admin error:", error);
+    res.status(500).json({ error: "Database error" });
   }
 });
 
-// ==================== END AUTHENTICATION ROUTES ====================
-
-// Admin endpoint to view all registered users (for testing)
-app.get("/api/admin/users", async (req, res) => {
+// Admin endpoint to view all registered users
+app.get("/api/admin/users", requirePermission('users:read'), async (req, res) => {
   try {
     const db = getDB();
     const users = await db.collection('users').find({}, {
       projection: { passwordHash: 0 } // Hide password hash
     }).toArray();
+    const balances = await getAccountBalances(users.map(u => walletAccount(u.userId)));
     
     res.json({
       total: users.length,
-      users: users.map(u => ({
+      users: users.map(u => withDisplay({
         userId: u.userId,
         phone: u.phone,
         name: u.name,
-        balance: u.balance || 0,
+        balance: balances[walletAccount(u.userId)],
+        kycTier: u.kycTier || DEFAULT_KYC_TIER,
         createdAt: u.createdAt,
         hasPublicKey: !!u.publicKeyHex,
-      }))
+      }, ['balance']))
     });
   } catch (error) {
     console.error("Admin users error:", error);
@@ -729,8 +1371,8 @@ app.get("/api/admin/users", async (req, res) => {
   }
 });
 
-// Admin endpoint to view all merchants (for testing)
-app.get("/api/admin/merchants", async (req, res) => {
+// Admin endpoint to view all merchants
+app.get("/api/admin/merchants", requirePermission('merchants:read'), async (req, res) => {
   try {
     const db = getDB();
     const merchants = await db.collection('merchants').find({}, {
@@ -745,6 +1387,8 @@ app.get("/api/admin/merchants", async (req, res) => {
         businessName: m.businessName,
         address: m.address,
         isVerified: m.isVerified || false,
+        onboardingStatus: onboardingStatus(m),
+        kycTier: m.kycTier || DEFAULT_KYC_TIER,
         createdAt: m.createdAt,
       }))
     });
@@ -754,270 +1398,1968 @@ app.get("/api/admin/merchants", async (req, res) => {
   }
 });
 
-// View all vouchers
-app.get("/api/vouchers", async (req, res) => {
+// Admin endpoint to view the KYC limits table
+app.get("/api/admin/kyc-limits", requirePermission('kyc:read'), (req, res) => {
+  res.json({ tiers: KYC_TIERS, defaultTier: DEFAULT_KYC_TIER, limits: KYC_LIMITS });
+});
+
+/**
+ * PUT /api/admin/users/:userId/kyc-tier and /api/admin/merchants/:merchantId/kyc-tier
+ * Body: { tier } - move an account to another KYC tier
+ */
+app.put(["/api/admin/users/:userId/kyc-tier", "/api/admin/merchants/:merchantId/kyc-tier"], requirePermission('kyc:manage'), async (req, res) => {
   try {
-    const db = getDB();
-    const vouchersDb = await db.collection('vouchers').find().toArray();
+    const { tier } = req.body || {};
+    if (!KYC_TIERS.includes(tier)) {
+      return res.status(400).json({ error: `tier must be one of ${KYC_TIERS.join(', ')}` });
+    }
+
+    const { userId, merchantId } = req.params;
+    const account = await setKycTier({ userId, merchantId }, tier, req.admin.adminId);
+    if (!account) {
+      return res.status(404).json({ error: userId ? "User not found" : "Merchant not found" });
+    }
+
+    console.log(`🪪 ${userId || merchantId} moved to KYC tier ${tier} by ${req.admin.adminId}`);
+    await audit(req, 'kyc.tier_changed', {
+      target: userId ? { type: 'user', id: userId } : { type: 'merchant', id: merchantId },
+      before: { kycTier: account.previousKycTier },
+      after: { kycTier: tier },
+    });
     res.json({
-      totalVouchers: vouchersDb.length,
-      vouchers: vouchersDb,
+      success: true,
+      ...(userId ? { userId } : { merchantId }),
+      kycTier: account.kycTier,
+      limits: KYC_LIMITS[userId ? 'user' : 'merchant'][tier],
     });
   } catch (error) {
-    console.error("Get vouchers error:", error);
+    console.error("Admin KYC tier error:", error);
     res.status(500).json({ error: "Database error" });
   }
 });
 
-/**
- * POST /api/vouchers/sync
- * Body: { merchantId: string, vouchers: Voucher[] }
- * Voucher: { voucherId, merchantId, amount, createdAt, signature }
- */
+// Admin endpoint to view merchant onboarding applications (default: awaiting review)
+app.get("/api/admin/merchant-applications", requirePermission('onboarding:read'), async (req, res) => {
+  try {
+    const status = req.query.status || 'submitted';
+    if (!ONBOARDING_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `status must be one of ${ONBOARDING_STATUSES.join(', ')}` });
+    }
+
+    const merchants = await listApplications(status);
+    res.json({
+      total: merchants.length,
+      applications: merchants.map(formatOnboarding),
+    });
+  } catch (error) {
+    console.error("Admin merchant applications error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * POST /api/admin/merchants/:merchantId/onboarding/approve | reject | request-changes
+ * Body: { note? } - decide on a submitted application. Approval settles the
+ * merchant's held vouchers; rejection voids them.
+ */
+app.post("/api/admin/merchants/:merchantId/onboarding/:decision", requirePermission('onboarding:review'), async (req, res) => {
+  try {
+    const status = REVIEW_DECISIONS[req.params.decision];
+    if (!status) {
+      return res.status(404).json({ error: `Unknown decision, use one of ${Object.keys(REVIEW_DECISIONS).join(', ')}` });
+    }
+
+    const { note = null } = req.body || {};
+    if (note !== null && typeof note !== 'string') {
+      return res.status(400).json({ error: "note must be a string" });
+    }
+    if (status !== 'approved' && !note) {
+      return res.status(400).json({ error: "note is required to reject or request changes" });
+    }
+
+    const { merchantId } = req.params;
+    const result = await reviewApplication({ merchantId, status, note, adminId: req.admin.adminId });
+    if (result.error) {
+      const { status: httpStatus, ...body } = result;
+      return res.status(httpStatus).json(body);
+    }
+
+    const response = { success: true, onboarding: formatOnboarding(result.merchant) };
+    if (status === 'approved') {
+      response.heldVouchers = await releaseHeldVouchers(merchantId);
+    } else if (status === 'rejected') {
+      response.heldVouchers = { voided: await voidHeldVouchers(merchantId) };
+    }
+
+    console.log(`🏪 Onboarding of ${merchantId}: ${status}`, response.heldVouchers || "");
+    await audit(req, 'onboarding.reviewed', {
+      target: { type: 'merchant', id: merchantId },
+      // Only submitted applications can be reviewed
+      before: { status: 'submitted' },
+      after: { status, note, isVerified: status === 'approved' },
+      metadata: { heldVouchers: response.heldVouchers || null },
+    });
+    res.json(response);
+  } catch (error) {
+    console.error("Admin onboarding decision error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * Filter for a list endpoint from the given query parameters. Each must be
+ * a single string (anything else would reach the query as an operator) and
+ * `status` one of `statuses`. Returns { filter } or { error }.
+ */
+function listFilter(query, fields, statuses) {
+  const filter = {};
+  for (const field of fields) {
+    const value = query[field];
+    if (value === undefined || value === '') continue;
+    if (typeof value !== 'string') {
+      return { error: `${field} must be given once` };
+    }
+    filter[field] = value;
+  }
+  if (filter.status !== undefined && !statuses.includes(filter.status)) {
+    return { error: `status must be one of ${statuses.join(', ')}` };
+  }
+  return { filter };
+}
+
+// Admin endpoint to view fraud cases
+app.get("/api/admin/fraud-cases", requirePermission('fraud:read'), async (req, res) => {
+  try {
+    const { filter, error } = listFilter(req.query, ['status', 'userId'], FRAUD_CASE_STATUSES);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const cases = await listFraudCases(filter);
+    res.json({
+      total: cases.length,
+      cases,
+    });
+  } catch (error) {
+    console.error("Admin fraud cases error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Admin endpoint to inspect a user's voucher hash chains (gaps, forks, reordering)
+app.get("/api/admin/users/:userId/chain", requirePermission('fraud:read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const chains = await getChainReport(userId);
+    const forks = await listFraudCases({ userId, type: 'double_spend' });
+
+    res.json({
+      userId,
+      chains,
+      forks: forks.flatMap(c => c.vouchers.map(v => ({ caseId: c.caseId, status: c.status, ...v }))),
+    });
+  } catch (error) {
+    console.error("Admin chain report error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Admin endpoint to view the default voucher validity policy
+app.get("/api/admin/voucher-policy", requirePermission('policy:read'), (req, res) => {
+  res.json({ policy: DEFAULT_VOUCHER_POLICY });
+});
+
+/**
+ * PUT /api/admin/merchants/:merchantId/voucher-policy
+ * Body: { maxAgeHours?, maxFutureSkewMinutes?, maxAmount? (paise), reviewExpired? }
+ * Set a merchant-specific validity policy override (empty body clears it)
+ */
+app.put("/api/admin/merchants/:merchantId/voucher-policy", requirePermission('policy:manage'), async (req, res) => {
+  try {
+    const { merchantId } = req.params;
+    const { override, error } = parsePolicyOverride(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const db = getDB();
+    const update = Object.keys(override).length > 0
+      ? { $set: { voucherPolicy: override, updatedAt: new Date().toISOString() } }
+      : { $unset: { voucherPolicy: "" }, $set: { updatedAt: new Date().toISOString() } };
+    const previous = await db.collection('merchants').findOneAndUpdate(
+      { merchantId },
+      update,
+      { returnDocument: 'before' }
+    );
+
+    if (!previous) {
+      return res.status(404).json({ error: "Merchant not found" });
+    }
+    const merchant = { ...previous, voucherPolicy: Object.keys(override).length > 0 ? override : undefined };
+
+    console.log(`📏 Voucher policy for ${merchantId}:`, merchant.voucherPolicy || "default");
+    await audit(req, 'policy.voucher_policy_changed', {
+      target: { type: 'merchant', id: merchantId },
+      before: { voucherPolicy: previous.voucherPolicy || null },
+      after: { voucherPolicy: merchant.voucherPolicy || null },
+    });
+
+    res.json({
+      success: true,
+      merchantId,
+      override: merchant.voucherPolicy || null,
+      policy: resolvePolicy(merchant),
+    });
+  } catch (error) {
+    console.error("Set voucher policy error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Admin endpoint to view the manual review queue
+app.get("/api/admin/review-queue", requirePermission('reviews:read'), async (req, res) => {
+  try {
+    const { filter, error } = listFilter(req.query, ['status', 'merchantId'], REVIEW_STATUSES);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const reviews = await listReviews(filter);
+    res.json({
+      total: reviews.length,
+      reviews,
+    });
+  } catch (error) {
+    console.error("Admin review queue error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * POST /api/admin/review-queue/:reviewId/approve
+ * Accept a voucher held for review: sync it again without the age check
+ */
+app.post("/api/admin/review-queue/:reviewId/approve", requirePermission('reviews:resolve'), async (req, res) => {
+  try {
+    const review = await claimReview(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ error: "Review not found or already resolved" });
+    }
+
+    const merchantId = review.merchantId;
+    let outcome;
+    try {
+      const merchant = await getDB().collection('merchants').findOne({ merchantId });
+      outcome = await processSyncVoucher(review.voucher, {
+        merchantId,
+        merchantHasKeys: await hasRegisteredKey({ merchantId }),
+        merchantStatus: onboardingStatus(merchant),
+        merchantVerified: merchant?.isVerified === true,
+        batch: null,
+        policy: resolvePolicy(merchant),
+        allowExpired: true,
+        allowOverLimit: true,
+      });
+    } catch (error) {
+      await releaseReview(review.reviewId);
+      throw error;
+    }
+
+    const resolved = await resolveReview(
+      review.reviewId,
+      outcome.rejected ? 'rejected' : 'approved',
+      { note: req.body?.note || null, outcome, adminId: req.admin.adminId }
+    );
+
+    console.log(`🧐 Review ${review.reviewId} for ${review.voucherId}: ${resolved.status}`);
+    await audit(req, 'review.resolved', {
+      target: { type: 'voucher', id: review.voucherId, reviewId: review.reviewId },
+      after: { status: resolved.status, note: req.body?.note || null },
+    });
+
+    res.json({ success: true, review: resolved });
+  } catch (error) {
+    console.error("Approve review error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * POST /api/admin/review-queue/:reviewId/reject
+ * Drop a voucher held for review
+ */
+app.post("/api/admin/review-queue/:reviewId/reject", requirePermission('reviews:resolve'), async (req, res) => {
+  try {
+    const review = await claimReview(req.params.reviewId);
+    if (!review) {
+      return res.status(404).json({ error: "Review not found or already resolved" });
+    }
+
+    const resolved = await resolveReview(review.reviewId, 'rejected', { note: req.body?.note || null, adminId: req.admin.adminId });
+
+    console.log(`🧐 Review ${review.reviewId} for ${review.voucherId}: rejected`);
+    await audit(req, 'review.resolved', {
+      target: { type: 'voucher', id: review.voucherId, reviewId: review.reviewId },
+      after: { status: 'rejected', note: req.body?.note || null },
+    });
+
+    res.json({ success: true, review: resolved });
+  } catch (error) {
+    console.error("Reject review error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// What the audit log keeps of a settlement cycle
+function settledBatchSummary(batches) {
+  return batches.map(b => ({ batchId: b.batchId, merchantId: b.merchantId, netAmount: b.netAmount }));
+}
+
+/**
+ * POST /api/admin/settlements/run
+ * Run a settlement cycle now instead of waiting for the scheduler
+ */
+app.post("/api/admin/settlements/run", requirePermission('settlements:run'), async (req, res) => {
+  try {
+    const { batches, failed } = await runSettlementCycle();
+    await audit(req, 'settlement.run', {
+      after: { batches: settledBatchSummary(batches), failed },
+    });
+    res.json({ success: true, total: batches.length, batches: batches.map(formatSettlementBatch), failed });
+  } catch (error) {
+    console.error("Settlement run error:", error);
+    res.status(500).json({ error: "Settlement failed" });
+  }
+});
+
+// Admin endpoint to view disputes
+app.get("/api/admin/disputes", requirePermission('disputes:read'), async (req, res) => {
+  try {
+    const { filter, error } = listFilter(req.query, ['status', 'merchantId', 'userId'], DISPUTE_STATUSES);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const disputes = await listDisputes(filter);
+    res.json({
+      total: disputes.length,
+      disputes: disputes.map(formatDispute),
+    });
+  } catch (error) {
+    console.error("Admin disputes error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * POST /api/admin/disputes/:disputeId/resolve
+ * Body: { outcome: 'user' | 'merchant', note? } - 'user' reverses the frozen
+ * amount to the payer's wallet, 'merchant' releases it back to the merchant
+ */
+app.post("/api/admin/disputes/:disputeId/resolve", requirePermission('disputes:resolve'), async (req, res) => {
+  try {
+    const { outcome, note } = req.body || {};
+    if (outcome !== 'user' && outcome !== 'merchant') {
+      return res.status(400).json({ error: "outcome must be 'user' or 'merchant'" });
+    }
+
+    const existing = await findDispute(req.params.disputeId);
+    if (!existing) {
+      return res.status(404).json({ error: "Dispute not found" });
+    }
+
+    const result = await resolveDispute({
+      disputeId: existing.disputeId,
+      outcome,
+      note: typeof note === 'string' ? note : null,
+      adminId: req.admin.adminId,
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    console.log(`⚖️  Dispute ${existing.disputeId} resolved for the ${outcome}`);
+    await audit(req, 'dispute.resolved', {
+      target: { type: 'dispute', id: existing.disputeId, voucherId: existing.voucherId },
+      before: { status: existing.status },
+      after: { status: result.dispute.status, outcome, amount: result.dispute.amount },
+    });
+
+    res.json({ success: true, dispute: formatDispute(result.dispute) });
+  } catch (error) {
+    console.error("Resolve dispute error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+const MAX_AUDIT_LOG_PAGE = 200;
+
+/**
+ * GET /api/admin/audit-log
+ * Query: actorId, action (exact, or a prefix ending in "." such as "auth."),
+ * targetId, from, to (ISO dates), beforeSeq, limit - audit entries, newest first
+ */
+app.get("/api/admin/audit-log", requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { actorId, action, targetId, from, to } = req.query;
+    if ([actorId, action, targetId, from, to].some(value => value !== undefined && typeof value !== 'string')) {
+      return res.status(400).json({ error: "Filters must be given once" });
+    }
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const beforeSeq = req.query.beforeSeq === undefined ? undefined : Number(req.query.beforeSeq);
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_AUDIT_LOG_PAGE) {
+      return res.status(400).json({ error: `limit must be between 1 and ${MAX_AUDIT_LOG_PAGE}` });
+    }
+    if (beforeSeq !== undefined && (!Number.isInteger(beforeSeq) || beforeSeq < 1)) {
+      return res.status(400).json({ error: "beforeSeq must be a positive integer" });
+    }
+    if (action !== undefined && !/^[a-z_.]+$/.test(action)) {
+      return res.status(400).json({ error: "Invalid action" });
+    }
+    for (const date of [from, to]) {
+      if (date !== undefined && Number.isNaN(Date.parse(date))) {
+        return res.status(400).json({ error: "from and to must be ISO dates" });
+      }
+    }
+
+    const entries = await queryAuditLog({ actorId, action, targetId, from, to, beforeSeq, limit });
+    res.json({
+      total: entries.length,
+      entries,
+      nextBeforeSeq: entries.length === limit ? entries[entries.length - 1].seq : null,
+    });
+  } catch (error) {
+    console.error("Audit log query error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// View all vouchers
+app.get("/api/vouchers", requirePermission('vouchers:read'), async (req, res) => {
+  try {
+    const db = getDB();
+    const vouchersDb = await db.collection('vouchers').find().toArray();
+    res.json({
+      totalVouchers: vouchersDb.length,
+      vouchers: vouchersDb.map(v => withDisplay(v, ['amount', 'refundedAmount', 'reversedAmount'], v.currency)),
+    });
+  } catch (error) {
+    console.error("Get vouchers error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * Settle a stored voucher against its payer's offline allowance and return
+ * its sync outcome: { synced: true }, { synced: true, held: true } or
+ * { rejected: { voucherId, reason, ... } }.
+ * New vouchers are stored by their settlement posting instead (see
+ * processSyncVoucher); this settles released held vouchers and stalled ones.
+ * Settlement is claimed once per voucher, so re-uploads only report the outcome.
+ * A claim that has not finished within SETTLEMENT_CLAIM_TIMEOUT_SECONDS (the
+ * attempt crashed) can be taken over; the ledger posting is idempotent per
+ * voucher, so a takeover never charges the payer twice.
+ */
+async function settleSyncedVoucher(voucher) {
+  const vouchersCollection = getDB().collection('vouchers');
+
+  const claimed = await vouchersCollection.findOneAndUpdate(
+    {
+      voucherId: voucher.voucherId,
+      status: "synced",
+      $or: [
+        { settlement: null },
+        { 'settlement.settledAt': { $exists: false }, 'settlement.startedAt': { $lt: staleClaimCutoff() } },
+      ],
+    },
+    { $set: { settlement: { startedAt: new Date().toISOString() } } },
+    { returnDocument: 'after' }
+  );
+
+  if (!claimed) {
+    // Already settled (or being settled) by an earlier upload
+    const current = await vouchersCollection.findOne({ voucherId: voucher.voucherId });
+    if (current.status === "held") {
+      return { synced: true, held: true };
+    }
+    if (current.status === "void") {
+      return { rejected: { voucherId: current.voucherId, reason: "Merchant onboarding was rejected", status: "void" } };
+    }
+    if (current.status === "flagged") {
+      return {
+        rejected: {
+          voucherId: current.voucherId,
+          reason: "Payer exceeded offline allowance",
+          status: "flagged",
+          caseId: current.fraudCaseId,
+        },
+      };
+    }
+    return { synced: true };
+  }
+
+  const settlement = await settleVoucher(await voucherSettlement(voucher));
+  await vouchersCollection.updateOne(
+    { voucherId: voucher.voucherId },
+    {
+      $set: {
+        ...(settlement.debt > 0 && { status: "flagged" }),
+        settlement: { fromAllowance: settlement.fromAllowance, debt: settlement.debt, settledAt: settlement.settledAt },
+      }
+    }
+  );
+
+  return await settlementOutcome(voucher, settlement);
+}
+
+// settleVoucher() arguments that debit the voucher's payer (overdraft becomes debt)
+async function voucherSettlement(voucher) {
+  return {
+    userId: voucher.issuedTo,
+    merchantId: voucher.merchantId,
+    payeeUserId: voucher.type === 'p2p' ? voucher.payeeId : undefined,
+    voucherId: voucher.voucherId,
+    amount: voucher.amount,
+    counters: voucher.type === 'p2p' ? [] : [await offlineReceiveCounter(voucher.merchantId, voucher.amount)],
+  };
+}
+
+/**
+ * Sync outcome of a settled voucher. One that overdrew its payer's
+ * allowance (stored as flagged) is attached to the payer's open fraud case.
+ */
+async function settlementOutcome(voucher, settlement) {
+  if (settlement.debt === 0) return { synced: true };
+
+  // Payer spent more offline than they escrowed, possibly across merchants
+  const fraudCase = await recordOverspend({
+    userId: voucher.issuedTo,
+    voucher,
+    overspend: settlement.debt,
+    totalSpent: settlement.totalSettled,
+    limit: settlement.totalLoaded,
+  });
+  await getDB().collection('vouchers').updateOne(
+    { voucherId: voucher.voucherId },
+    { $set: { fraudCaseId: fraudCase.caseId } }
+  );
+  console.log(`⚠️ Voucher ${voucher.voucherId} overdrew allowance of ${voucher.issuedTo} by ${formatMoney(settlement.debt)} (case ${fraudCase.caseId})`);
+  return {
+    rejected: {
+      voucherId: voucher.voucherId,
+      reason: "Payer exceeded offline allowance",
+      status: "flagged",
+      caseId: fraudCase.caseId,
+    },
+  };
+}
+
+function staleClaimCutoff() {
+  return new Date(Date.now() - SETTLEMENT_CLAIM_TIMEOUT_SECONDS * 1000).toISOString();
+}
+
+/**
+ * Settle synced vouchers whose settlement never finished: stored but never
+ * claimed, or claimed by an attempt that stopped before posting. Flagged
+ * vouchers that never reached their fraud case are attached to it.
+ * Returns how many were retried.
+ */
+async function retryStalledSettlements() {
+  const cutoff = staleClaimCutoff();
+  const vouchersCollection = getDB().collection('vouchers');
+
+  const unreported = await vouchersCollection
+    .find({ status: "flagged", fraudCaseId: { $exists: false }, 'settlement.settledAt': { $lt: cutoff } })
+    .toArray();
+  for (const voucher of unreported) {
+    const allowance = await getAllowance(voucher.issuedTo);
+    await settlementOutcome(voucher, { ...voucher.settlement, totalSettled: allowance.totalSettled, totalLoaded: allowance.totalLoaded });
+  }
+
+  const stalled = await vouchersCollection
+    .find({
+      status: "synced",
+      $or: [
+        // $type skips vouchers from before settlement tracking, which have no field at all
+        { settlement: { $type: 'null' }, syncedAt: { $lt: cutoff } },
+        { 'settlement.settledAt': { $exists: false }, 'settlement.startedAt': { $lt: cutoff } },
+      ],
+    })
+    .sort({ syncedAt: 1 })
+    .toArray();
+
+  for (const voucher of stalled) {
+    await settleSyncedVoucher(voucher);
+  }
+  return unreported.length + stalled.length;
+}
+
+/**
+ * Move a held voucher into settlement. Returns its sync outcome, or null if
+ * it was not held.
+ */
+async function releaseHeldVoucher(voucherId) {
+  const released = await getDB().collection('vouchers').findOneAndUpdate(
+    { voucherId, status: "held" },
+    { $set: { status: "synced", releasedAt: new Date().toISOString() }, $unset: { heldReason: "" } },
+    { returnDocument: 'after' }
+  );
+  return released && await settleSyncedVoucher(released);
+}
+
+/**
+ * Settle every voucher held for an approved merchant, oldest first.
+ * Returns { released, flagged }.
+ */
+async function releaseHeldVouchers(merchantId) {
+  const held = await getDB().collection('vouchers')
+    .find({ merchantId, status: "held" })
+    .sort({ syncedAt: 1 })
+    .project({ voucherId: 1 })
+    .toArray();
+
+  let released = 0;
+  let flagged = 0;
+  for (const { voucherId } of held) {
+    const outcome = await releaseHeldVoucher(voucherId);
+    if (!outcome) continue;
+    released++;
+    if (outcome.rejected) flagged++;
+  }
+  return { released, flagged };
+}
+
+/**
+ * Void the held vouchers of a rejected merchant: they are never settled,
+ * so the payers' allowances are not charged and the amounts go back to
+ * their certificates. Returns how many were voided.
+ */
+async function voidHeldVouchers(merchantId) {
+  const vouchersCollection = getDB().collection('vouchers');
+  const held = await vouchersCollection
+    .find({ merchantId, status: "held" })
+    .project({ voucherId: 1 })
+    .toArray();
+
+  let voided = 0;
+  for (const { voucherId } of held) {
+    const voucher = await vouchersCollection.findOneAndUpdate(
+      { voucherId, status: "held" },
+      { $set: { status: "void", voidReason: "merchant_rejected", voidedAt: new Date().toISOString() } }
+    );
+    if (!voucher) continue;
+    if (voucher.certId) {
+      await releaseCertificateSpend(voucher.certId, voucher.amount);
+    }
+    voided++;
+  }
+  return voided;
+}
+
+/**
+ * Validate, verify and store one uploaded voucher for `merchantId`, or for
+ * the receiving user `payeeUserId` when a P2P voucher is synced.
+ * Returns { synced: true }, { synced: true, held: true } or
+ * { rejected: { voucherId, reason, ... } }.
+ * Vouchers of merchants that are not verified yet (`merchantVerified`) are
+ * stored but held until onboarding approval; those of rejected merchants
+ * (`merchantStatus`) are refused.
+ * `allowExpired` and `allowOverLimit` are set when an admin approves a
+ * voucher held for review.
+ */
+async function processSyncVoucher(v, { merchantId, payeeUserId, merchantStatus, merchantVerified = false, merchantHasKeys = false, batch, policy, allowExpired = false, allowOverLimit = false }) {
+  const vouchersCollection = getDB().collection('vouchers');
+  const p2p = Boolean(payeeUserId);
+  const held = !p2p && !merchantVerified;
+
+  // simple validation
+  if (!v.voucherId || !(p2p ? v.payeeId : v.merchantId) || typeof v.amount !== "number" || !v.signature) {
+    return { rejected: { voucherId: v.voucherId, reason: "Invalid format" } };
+  }
+
+  if (voucherType(v) !== (p2p ? 'p2p' : 'merchant')) {
+    return { rejected: { voucherId: v.voucherId, reason: "Wrong voucher type" } };
+  }
+
+  if (p2p ? v.payeeId !== payeeUserId : v.merchantId !== merchantId) {
+    return { rejected: { voucherId: v.voucherId, reason: p2p ? "Wrong payeeId" : "Wrong merchantId" } };
+  }
+
+  if (!p2p && merchantStatus === 'rejected') {
+    return { rejected: { voucherId: v.voucherId, reason: "Merchant onboarding was rejected" } };
+  }
+
+  const envelopeError = validateVoucherEnvelope(v);
+  if (envelopeError) {
+    return { rejected: { voucherId: v.voucherId, reason: envelopeError } };
+  }
+
+  // Vouchers are signed in rupees; everything past this point uses paise
+  const amount = toMinorUnits(v.amount);
+  if (amount === null) {
+    return { rejected: { voucherId: v.voucherId, reason: "Amount must have at most two decimal places" } };
+  }
+
+  // Same voucher re-uploaded by this payee (e.g. after a dropped connection):
+  // report its original outcome instead of a duplicate rejection
+  const already = await vouchersCollection.findOne({ voucherId: v.voucherId });
+  const samePayee = already && (p2p ? already.payeeId === payeeUserId : already.merchantId === merchantId);
+  if (samePayee && already.signature === v.signature) {
+    return await settleSyncedVoucher(already);
+  }
+
+  // Validity policy: createdAt window and per-voucher amount
+  const violation = checkVoucherPolicy({ createdAt: v.createdAt, amount }, policy);
+  if (violation && !(violation.reviewable && (allowExpired || policy.reviewExpired))) {
+    return { rejected: { voucherId: v.voucherId, reason: violation.reason, code: violation.code } };
+  }
+
+  const chained = isChained(v);
+  if (chained) {
+    const chainError = validateChainFields(v);
+    if (chainError) {
+      return { rejected: { voucherId: v.voucherId, reason: chainError } };
+    }
+  }
+
+  // expect voucher includes issuedTo & signature (DER hex)
+  const issuedTo = v.issuedTo;
+  if (!issuedTo) {
+    return { rejected: { voucherId: v.voucherId, reason: "Missing issuedTo" } };
+  }
+
+  if (p2p && issuedTo === payeeUserId) {
+    return { rejected: { voucherId: v.voucherId, reason: "Cannot pay yourself" } };
+  }
+
+  // Voucher must be spent under a server-signed offline certificate
+  const cert = v.certificate;
+  const certError = verifyCertificate(cert);
+  if (certError) {
+    return { rejected: { voucherId: v.voucherId, reason: certError } };
+  }
+
+  if (cert.userId !== issuedTo || (v.publicKeyHex && v.publicKeyHex !== cert.publicKeyHex)) {
+    return { rejected: { voucherId: v.voucherId, reason: "Certificate does not match voucher issuer" } };
+  }
+
+  if (v.keyId !== undefined && v.keyId !== keyIdFor(cert.publicKeyHex)) {
+    return { rejected: { voucherId: v.voucherId, reason: "keyId does not match certificate" } };
+  }
+
+  // Verify against the registered key that was valid when the voucher was created
+  const keyResult = await resolveKeyAt({ userId: issuedTo }, cert.publicKeyHex, v.createdAt);
+  if (keyResult.error) {
+    return { rejected: { voucherId: v.voucherId, reason: keyResult.error } };
+  }
+  const userPubHex = keyResult.key.publicKeyHex;
+  const keyId = keyResult.key.keyId;
+
+  const createdAt = new Date(v.createdAt);
+  if (isNaN(createdAt) || createdAt < new Date(cert.issuedAt) || createdAt > new Date(cert.expiresAt)) {
+    return { rejected: { voucherId: v.voucherId, reason: "Certificate expired" } };
+  }
+
+  if (amount > toMinorUnits(cert.offlineLimit)) {
+    return { rejected: { voucherId: v.voucherId, reason: "Certificate limit exceeded" } };
+  }
+
+  // rebuild payload exactly as client did (without signature)
+  const payload = signedPayload(v);
+
+  // compute hash same as client (v1: JSON.stringify, v2: canonical JSON)
+  const msgHashHex = payloadDigest(payload);
+
+  // verify DER signature hex
+  try {
+    const key = ec.keyFromPublic(userPubHex, "hex");
+    const signatureOk = key.verify(msgHashHex, v.signature);
+    if (!signatureOk) {
+      return { rejected: { voucherId: v.voucherId, reason: "Bad signature" } };
+    }
+  } catch (err) {
+    console.log("Signature verification error:", err);
+    return { rejected: { voucherId: v.voucherId, reason: "Signature verify error" } };
+  }
+
+  // Check for duplicate
+  if (already) {
+    return { rejected: { voucherId: v.voucherId, reason: "Duplicate voucherId" } };
+  }
+
+  // KYC tier limits of the payer and the payee
+  const overLimit = (await userLimits(issuedTo, 'offline', amount)).violation
+    || (p2p && (await userLimits(payeeUserId, 'receive', amount)).violation);
+  if (overLimit) {
+    return { rejected: { voucherId: v.voucherId, reason: overLimit.reason, code: overLimit.code, limit: overLimit.limit } };
+  }
+
+  // The payer already handed the money over: a merchant over its limits gets
+  // the voucher reviewed instead of dropped
+  const merchantOverLimit = !p2p && !allowOverLimit && (await merchantLimits(merchantId, amount)).violation;
+  if (merchantOverLimit) {
+    const review = await queueForReview({ voucher: v, merchantId, code: merchantOverLimit.code, reason: merchantOverLimit.reason });
+    return {
+      rejected: {
+        voucherId: v.voucherId,
+        reason: merchantOverLimit.reason,
+        code: merchantOverLimit.code,
+        limit: merchantOverLimit.limit,
+        status: review.status === "pending" ? "in_review" : `review_${review.status}`,
+        reviewId: review.reviewId,
+      },
+    };
+  }
+
+  // Late but correctly signed: hold for manual review instead of dropping it
+  if (violation && !allowExpired) {
+    const review = await queueForReview({ voucher: v, merchantId, code: violation.code, reason: violation.reason });
+    return {
+      rejected: {
+        voucherId: v.voucherId,
+        reason: violation.reason,
+        code: violation.code,
+        status: review.status === "pending" ? "in_review" : `review_${review.status}`,
+        reviewId: review.reviewId,
+      },
+    };
+  }
+
+  // Verify the issuer's hash chain across every merchant's uploads
+  let chainAnomalies = [];
+  if (chained) {
+    const chain = await checkChain({
+      publicKeyHex: userPubHex,
+      seq: v.seq,
+      prevHash: v.prevHash,
+      voucherHash: msgHashHex,
+      createdAt: v.createdAt,
+    });
+    if (chain.fork) {
+      const fraudCase = await recordChainFork({
+        userId: issuedTo,
+        voucher: { ...payload, amount, voucherHash: msgHashHex },
+        signature: v.signature,
+        conflicting: chain.fork,
+        reason: chain.reason,
+      });
+      console.log(`🚨 Voucher ${v.voucherId} forks chain of ${issuedTo}: ${chain.reason} (case ${fraudCase.caseId})`);
+      return {
+        rejected: {
+          voucherId: v.voucherId,
+          reason: `Chain fork: ${chain.reason}`,
+          caseId: fraudCase.caseId,
+        },
+      };
+    }
+    chainAnomalies = chain.anomalies;
+  } else if (await keyUsesChain(userPubHex)) {
+    return { rejected: { voucherId: v.voucherId, reason: "Missing chain fields: this key signs chained vouchers" } };
+  }
+
+  // Verify the merchant's acceptance countersignature
+  let acceptance = null;
+  if (v.acceptance && !p2p) {
+    const { acceptedAt, signature: merchantSignature } = v.acceptance;
+    if (!acceptedAt || isNaN(new Date(acceptedAt)) || !merchantSignature) {
+      return { rejected: { voucherId: v.voucherId, reason: "Invalid merchant countersignature" } };
+    }
+
+    const merchantPubHex = v.acceptance.publicKeyHex || (await getActiveKey({ merchantId }))?.publicKeyHex;
+    if (!merchantPubHex) {
+      return { rejected: { voucherId: v.voucherId, reason: "Merchant key not registered" } };
+    }
+
+    const merchantKey = await resolveKeyAt({ merchantId }, merchantPubHex, acceptedAt);
+    if (merchantKey.error) {
+      return { rejected: { voucherId: v.voucherId, reason: `Merchant ${merchantKey.error.toLowerCase()}` } };
+    }
+
+    let countersignatureOk = false;
+    try {
+      const hash = acceptanceHash({ voucherHash: msgHashHex, signature: v.signature, merchantId, acceptedAt });
+      countersignatureOk = ec.keyFromPublic(merchantPubHex, "hex").verify(hash, merchantSignature);
+    } catch (err) {
+      console.log("Countersignature verification error:", err);
+    }
+    if (!countersignatureOk) {
+      return { rejected: { voucherId: v.voucherId, reason: "Bad merchant countersignature" } };
+    }
+
+    acceptance = {
+      keyId: merchantKey.key.keyId,
+      publicKeyHex: merchantPubHex,
+      acceptedAt,
+      signature: merchantSignature,
+      verifiedAt: new Date().toISOString(),
+    };
+  } else if (merchantHasKeys) {
+    return { rejected: { voucherId: v.voucherId, reason: "Missing merchant countersignature" } };
+  }
+
+  // Count the voucher against its certificate's limit
+  const reserved = await reserveCertificateSpend(cert.certId, amount);
+  if (!reserved) {
+    const stored = await findCertificate(cert.certId);
+    return {
+      rejected: {
+        voucherId: v.voucherId,
+        reason: stored ? "Certificate limit exceeded" : "Unknown certificate",
+      },
+    };
+  }
+
+  // Store voucher in database
+  const storedVoucher = {
+    ...payload,
+    amount,
+    currency: payload.currency || CURRENCY,
+    version: voucherVersion(v),
+    signature: v.signature,
+    ...(p2p ? { type: 'p2p', payeeId: payeeUserId } : { merchantId }),
+    payerId: issuedTo,
+    publicKeyHex: userPubHex,
+    keyId,
+    voucherHash: msgHashHex,
+    certId: cert.certId,
+    acceptance,
+    ...(chainAnomalies.length > 0 && { chainAnomalies }),
+    status: held ? "held" : "synced",
+    ...(held && { heldReason: "merchant_unverified" }),
+    settlement: null,
+    syncBatchId: batch?.batchId || null,
+    ...(allowExpired && violation && { reviewedPolicyViolation: violation.code }),
+    syncedAt: new Date().toISOString(),
+  };
+
+  // A voucher that settles now is stored by its settlement posting, so it
+  // never exists unsettled and a settlement never lacks its voucher
+  let settlement = null;
+  try {
+    if (held) {
+      await vouchersCollection.insertOne(storedVoucher);
+    } else {
+      settlement = await settleVoucher({
+        ...await voucherSettlement(storedVoucher),
+        voucherRecord: ({ fromAllowance, debt, settledAt }) => ({
+          ...storedVoucher,
+          ...(debt > 0 && { status: "flagged" }),
+          settlement: { fromAllowance, debt, settledAt },
+        }),
+      });
+    }
+  } catch (error) {
+    await releaseCertificateSpend(cert.certId, amount);
+    if (error.code === 11000) {
+      return { rejected: { voucherId: v.voucherId, reason: "Duplicate voucherId" } };
+    }
+    throw error;
+  }
+
+  if (held) {
+    // Approved while this upload was in flight: the approval may have
+    // released held vouchers before this one was stored
+    if (await isMerchantVerified(merchantId)) {
+      return await releaseHeldVoucher(storedVoucher.voucherId);
+    }
+    console.log(`⏸️ Voucher ${v.voucherId} held until ${merchantId} is verified`);
+    return { synced: true, held: true };
+  }
+
+  return await settlementOutcome(storedVoucher, settlement);
+
+}
+
+/**
+ * POST /api/vouchers/sync
+ * Body: { merchantId: string, vouchers: Voucher[] }
+ * Voucher v1: { voucherId, merchantId, amount, createdAt, issuedTo, signature },
+ * `amount` in rupees with at most two decimals (stored and reported in paise).
+ * Voucher v2: v1 fields plus { version: 2, currency, nonce, keyId }, signed
+ * over canonical JSON (see voucherFormat.js).
+ * Chained vouchers also carry { seq, prevHash } inside the signed payload.
+ * Every voucher must carry the server-signed `certificate` it was spent under.
+ * Merchants with registered keys must also attach
+ * `acceptance: { acceptedAt, signature, publicKeyHex }`, a countersignature
+ * over acceptanceHash(...) of the payer-signed voucher.
+ */
 app.post("/api/vouchers/sync", async (req, res) => {
   console.log(">>> /api/vouchers/sync called at", new Date().toISOString());
   console.log("Incoming body (truncated):", JSON.stringify(req.body).slice(0, 4000));
 
-  const { merchantId, vouchers } = req.body || {};
-  if (!merchantId || !Array.isArray(vouchers)) {
-    console.log("Bad request body:", req.body);
-    return res.status(400).json({ error: "Invalid body" });
+  const { merchantId, vouchers } = req.body || {};
+  if (!merchantId || !Array.isArray(vouchers)) {
+    console.log("Bad request body:", req.body);
+    return res.status(400).json({ error: "Invalid body" });
+  }
+
+  let batch = null;
+  try {
+    const db = getDB();
+    const vouchersCollection = db.collection('vouchers');
+
+    // Retries with the same Idempotency-Key get the stored batch result
+    const idempotencyKey = req.get('Idempotency-Key');
+    if (idempotencyKey) {
+      const claim = await beginSyncBatch(merchantId, idempotencyKey, req.body);
+      if (claim.replay) {
+        console.log(`Replaying sync batch ${idempotencyKey} for ${merchantId}`);
+        return res.set('Idempotent-Replayed', 'true').json(claim.replay);
+      }
+      if (claim.error) {
+        return res.status(claim.status).json({ error: claim.error });
+      }
+      batch = claim.batch;
+    }
+
+    const syncedIds = [];
+    const heldIds = [];
+    const rejected = [];
+
+    // Merchants that registered a key must countersign every voucher
+    const merchantHasKeys = await hasRegisteredKey({ merchantId });
+    const merchant = await db.collection('merchants').findOne({ merchantId });
+    const policy = resolvePolicy(merchant);
+    const merchantStatus = onboardingStatus(merchant);
+    const merchantVerified = merchant?.isVerified === true;
+
+    for (const v of vouchers) {
+      const outcome = await processSyncVoucher(v, { merchantId, merchantStatus, merchantVerified, merchantHasKeys, batch, policy });
+      if (outcome.rejected) {
+        rejected.push(outcome.rejected);
+      } else {
+        syncedIds.push(v.voucherId);
+        if (outcome.held) heldIds.push(v.voucherId);
+      }
+    }
+
+    const totalStored = await vouchersCollection.countDocuments();
+    const result = { syncedIds, heldIds, rejected, totalStored };
+    if (batch) {
+      result.batchId = batch.batchId;
+      await completeSyncBatch(batch.batchId, result);
+    }
+    console.log("Sync result:", result);
+    await audit(req, 'vouchers.synced', {
+      target: { type: 'merchant', id: merchantId },
+      after: { syncedIds, heldIds, rejected },
+      metadata: { batchId: batch?.batchId || null, idempotencyKey: idempotencyKey || null },
+    });
+    return res.json(result);
+  } catch (error) {
+    console.error("Sync error:", error);
+    if (batch) {
+      await releaseSyncBatch(batch.batchId).catch(() => {});
+    }
+    return res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * POST /api/vouchers/sync/status
+ * Body: { voucherIds?: string[], idempotencyKey?: string }
+ * Tells the authenticated merchant's device which of its vouchers the server
+ * has accepted, and the stored result of its sync batch when an idempotency
+ * key is given.
+ */
+app.post("/api/vouchers/sync/status", authMiddleware, async (req, res) => {
+  const merchantId = req.user.merchantId;
+  if (req.user.role !== 'merchant' || !merchantId) {
+    return res.status(403).json({ error: "Merchant token required" });
+  }
+
+  const { voucherIds, idempotencyKey } = req.body || {};
+  if (req.body?.merchantId !== undefined && req.body.merchantId !== merchantId) {
+    return res.status(403).json({ error: "merchantId does not match the merchant token" });
+  }
+  const validIds = voucherIds === undefined || (Array.isArray(voucherIds) && voucherIds.every(id => typeof id === 'string'));
+  if (!validIds || (idempotencyKey !== undefined && typeof idempotencyKey !== 'string')) {
+    return res.status(400).json({ error: "Invalid body" });
+  }
+
+  try {
+    const db = getDB();
+    const ids = voucherIds || [];
+    const stored = await db.collection('vouchers')
+      .find({ merchantId, voucherId: { $in: ids } })
+      .project({ voucherId: 1, status: 1, syncedAt: 1, syncBatchId: 1, fraudCaseId: 1 })
+      .toArray();
+    const byId = new Map(stored.map(v => [v.voucherId, v]));
+
+    const response = {
+      merchantId,
+      vouchers: ids.map(voucherId => {
+        const v = byId.get(voucherId);
+        if (!v) return { voucherId, accepted: false, status: "unknown" };
+        return {
+          voucherId,
+          accepted: !["flagged", "void"].includes(v.status),
+          status: v.status,
+          syncedAt: v.syncedAt,
+          batchId: v.syncBatchId || null,
+          ...(v.fraudCaseId && { caseId: v.fraudCaseId }),
+        };
+      }),
+    };
+
+    if (idempotencyKey) {
+      const batch = await getSyncBatch(merchantId, idempotencyKey);
+      response.batch = batch
+        ? { batchId: batch.batchId, status: batch.status, result: batch.result || null }
+        : null;
+    }
+
+    res.json(response);
+  } catch (error) {
+    console.error("Sync status error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * GET /api/merchant/:id/summary
+ * Shows total redeemed for that merchant
+ */
+app.get("/api/merchant/:id/summary", async (req, res) => {
+  try {
+    const db = getDB();
+    const merchantId = req.params.id;
+    const list = await db.collection('vouchers').find({ merchantId }).toArray();
+    const redeemed = list.filter(v => !["flagged", "held", "void"].includes(v.status));
+    const flagged = list.filter(v => v.status === "flagged");
+    const held = list.filter(v => v.status === "held");
+    const refunded = redeemed.reduce((sum, v) => sum + (v.refundedAmount || 0), 0);
+    const total = redeemed.reduce((sum, v) => sum + v.amount, 0) - refunded;
+
+    res.json(withDisplay({
+      merchantId,
+      totalRedeemedAmount: total,
+      refundedAmount: refunded,
+      vouchersCount: redeemed.length,
+      flaggedAmount: flagged.reduce((sum, v) => sum + v.amount, 0),
+      flaggedCount: flagged.length,
+      heldAmount: held.reduce((sum, v) => sum + v.amount, 0),
+      heldCount: held.length,
+    }, ['totalRedeemedAmount', 'refundedAmount', 'flaggedAmount', 'heldAmount']));
+  } catch (error) {
+    console.error("Merchant summary error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+// Key owner of the authenticated request, or null for the other kind of token
+const KEY_OWNERS = {
+  user: (req) => req.user.userId ? { userId: req.user.userId } : null,
+  merchant: (req) => req.user.role === 'merchant' && req.user.merchantId ? { merchantId: req.user.merchantId } : null,
+};
+
+/**
+ * Request handlers { challenge, register, list, revoke } for the signing keys
+ * of the authenticated user or merchant. Each works on the owner's
+ * keyStore(owner), so both kinds of owner share one registration flow.
+ */
+function keyHandlers(principal) {
+  const ownerOf = KEY_OWNERS[principal];
+  const tokenRequired = principal === 'merchant' ? "Merchant token required" : "User token required";
+
+  // Wrap `handle(req, res, owner, store)` with the owner check and error response
+  const withKeyOwner = (action, failure, handle) => async (req, res) => {
+    try {
+      const owner = ownerOf(req);
+      if (!owner) {
+        return res.status(403).json({ error: tokenRequired });
+      }
+      await handle(req, res, owner, keyStore(owner));
+    } catch (error) {
+      console.error(`${action} error (${principal}):`, error);
+      res.status(500).json({ error: failure });
+    }
+  };
+
+  return {
+    challenge: withKeyOwner("Key challenge", "Failed to create challenge", async (req, res, owner) => {
+      const challenge = await createKeyChallenge(owner);
+
+      res.json({
+        success: true,
+        challengeId: challenge.challengeId,
+        nonce: challenge.nonce,
+        expiresAt: challenge.expireAt.toISOString(),
+      });
+    }),
+
+    register: withKeyOwner("Register key", "Database error", async (req, res, owner, store) => {
+      const { challengeId, publicKeyHex, signature, device } = req.body || {};
+      if (!challengeId || !publicKeyHex || !signature || !device?.deviceId) {
+        return res.status(400).json({ error: "Invalid body" });
+      }
+
+      let keyValid = false;
+      try {
+        keyValid = ec.keyFromPublic(publicKeyHex, "hex").validate().result;
+      } catch (err) {
+        keyValid = false;
+      }
+      if (!keyValid) {
+        return res.status(400).json({ error: "Invalid public key" });
+      }
+
+      // Each challenge allows a single attempt
+      const challenge = await consumeKeyChallenge(owner, challengeId);
+      if (!challenge) {
+        return res.status(400).json({ error: "Invalid or expired challenge" });
+      }
+
+      let signatureOk = false;
+      try {
+        const message = keyChallengeMessage({ nonce: challenge.nonce, owner, publicKeyHex });
+        signatureOk = ec.keyFromPublic(publicKeyHex, "hex").verify(message, signature);
+      } catch (err) {
+        signatureOk = false;
+      }
+      if (!signatureOk) {
+        return res.status(401).json({ error: "Challenge signature invalid" });
+      }
+
+      const existing = await findKeyByPublicKey(owner, publicKeyHex);
+      if (existing) {
+        if (keyStore(existing).id !== store.id) {
+          return res.status(409).json({ error: "Public key already registered" });
+        }
+        if (existing.status === 'active') {
+          return res.json({ ok: true, keyId: existing.keyId });
+        }
+        return res.status(409).json({ error: `Key is ${existing.status} and cannot be registered again` });
+      }
+
+      const { key, previous } = await registerKey(owner, publicKeyHex, {
+        device: {
+          deviceId: String(device.deviceId),
+          model: device.model ? String(device.model) : null,
+          appVersion: device.appVersion ? String(device.appVersion) : null,
+        },
+        challengeId,
+      });
+
+      console.log(`Registered ${store.type} key for`, store.id, key.keyId, previous ? `(rotated ${previous.keyId})` : "");
+      await audit(req, 'keys.registered', {
+        target: { type: 'key', id: key.keyId, owner: { type: store.type, id: store.id } },
+        before: previous ? { activeKeyId: previous.keyId } : null,
+        after: { activeKeyId: key.keyId, publicKeyHex, deviceId: String(device.deviceId) },
+      });
+      return res.json({ ok: true, keyId: key.keyId, rotatedKeyId: previous?.keyId || null });
+    }),
+
+    list: withKeyOwner("List keys", "Failed to get keys", async (req, res, owner) => {
+      const keys = await listKeys(owner);
+
+      res.json({
+        success: true,
+        keys: keys.map(k => ({
+          keyId: k.keyId,
+          publicKeyHex: k.publicKeyHex,
+          status: k.status,
+          validFrom: k.validFrom,
+          validUntil: k.validUntil,
+          device: k.device || null,
+          revokedAt: k.revokedAt || null,
+          revocationReason: k.revocationReason || null,
+        })),
+      });
+    }),
+
+    revoke: withKeyOwner("Revoke key", "Failed to revoke key", async (req, res, owner, store) => {
+      const { reason } = req.body || {};
+      if (!reason || typeof reason !== 'string' || !reason.trim()) {
+        return res.status(400).json({ error: "Revocation reason is required" });
+      }
+
+      const key = await revokeKey(owner, req.params.keyId, reason.trim());
+      if (!key) {
+        return res.status(404).json({ error: "Key not found or already revoked" });
+      }
+
+      console.log(`🔑 ${store.type} ${store.id} revoked key ${key.keyId}: ${key.revocationReason}`);
+      await audit(req, 'keys.revoked', {
+        target: { type: 'key', id: key.keyId, owner: { type: store.type, id: store.id } },
+        before: { status: 'active' },
+        after: { status: key.status, reason: key.revocationReason },
+      });
+
+      res.json({
+        success: true,
+        keyId: key.keyId,
+        status: key.status,
+        revokedAt: key.revokedAt,
+        revocationReason: key.revocationReason,
+      });
+    }),
+  };
+}
+
+const userKeys = keyHandlers('user');
+const merchantKeys = keyHandlers('merchant');
+
+/**
+ * POST /api/register-key/challenge
+ * Issue a one-time nonce the device must sign with the key it registers
+ */
+app.post("/api/register-key/challenge", authMiddleware, userKeys.challenge);
+
+/**
+ * POST /api/register-key
+ * Body: { challengeId, publicKeyHex, signature, device: { deviceId, model, appVersion } }
+ * Bind a new signing key to the authenticated user. `signature` is the DER hex
+ * signature of SHA-256({ nonce, userId, publicKeyHex }) made with
+ * that key. The previous key is rotated out but kept in the key history.
+ */
+app.post("/api/register-key", authMiddleware, userKeys.register);
+
+/**
+ * GET /api/keys
+ * Get current user's signing key history
+ */
+app.get("/api/keys", authMiddleware, userKeys.list);
+
+/**
+ * POST /api/keys/:keyId/revoke
+ * Revoke one of the current user's signing keys (e.g. lost device)
+ */
+app.post("/api/keys/:keyId/revoke", authMiddleware, userKeys.revoke);
+
+/**
+ * POST /api/merchant/keys/challenge
+ * Issue a one-time nonce the merchant terminal must sign with the key it registers
+ */
+app.post("/api/merchant/keys/challenge", authMiddleware, merchantKeys.challenge);
+
+/**
+ * POST /api/merchant/keys
+ * Body: { challengeId, publicKeyHex, signature, device: { deviceId, model, appVersion } }
+ * Bind a countersigning key to the authenticated merchant. `signature` is the
+ * DER hex signature of SHA-256({ nonce, merchantId, publicKeyHex }) made with that key.
+ */
+app.post("/api/merchant/keys", authMiddleware, merchantKeys.register);
+
+/**
+ * GET /api/merchant/keys
+ * Get current merchant's signing key history
+ */
+app.get("/api/merchant/keys", authMiddleware, merchantKeys.list);
+
+/**
+ * POST /api/merchant/keys/:keyId/revoke
+ * Revoke one of the current merchant's signing keys (e.g. compromised terminal)
+ */
+app.post("/api/merchant/keys/:keyId/revoke", authMiddleware, merchantKeys.revoke);
+
+/**
+ * Settlement batch fields shown to merchants and admins
+ */
+function formatSettlementBatch(b) {
+  return withDisplay({
+    batchId: b.batchId,
+    merchantId: b.merchantId,
+    status: b.status,
+    voucherCount: b.voucherCount,
+    paymentCount: b.paymentCount || 0,
+    grossAmount: b.grossAmount,
+    adjustmentAmount: b.adjustmentAmount || 0,
+    feeAmount: b.feeAmount,
+    netAmount: b.netAmount,
+    payoutReference: b.payoutReference,
+    periodStart: b.periodStart,
+    periodEnd: b.periodEnd,
+    createdAt: b.createdAt,
+    paidOutAt: b.paidOutAt || null,
+    failureReason: b.failureReason || null,
+  }, ['grossAmount', 'adjustmentAmount', 'feeAmount', 'netAmount'], b.currency);
+}
+
+/**
+ * GET /api/merchant/settlements
+ * Get current merchant's settlement batches and payouts
+ */
+app.get("/api/merchant/settlements", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
+    }
+
+    const batches = await listSettlementBatches(merchantId);
+
+    res.json({
+      success: true,
+      batches: batches.map(formatSettlementBatch),
+    });
+  } catch (error) {
+    console.error("List settlements error:", error);
+    res.status(500).json({ error: "Failed to get settlements" });
   }
+});
 
+/**
+ * GET /api/merchant/settlements/:batchId/statement
+ * Download the itemized statement of a batch (CSV, or JSON with ?format=json)
+ */
+app.get("/api/merchant/settlements/:batchId/statement", authMiddleware, async (req, res) => {
   try {
-    const db = getDB();
-    const vouchersCollection = db.collection('vouchers');
-    const usersCollection = db.collection('users');
-    
-    const syncedIds = [];
-    const rejected = [];
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
+    }
 
-    for (const v of vouchers) {
-    // simple validation
-    if (!v.voucherId || !v.merchantId || typeof v.amount !== "number" || !v.signature) {
-      rejected.push({ voucherId: v.voucherId, reason: "Invalid format" });
-      continue;
+    const statement = await getSettlementStatement(merchantId, req.params.batchId);
+    if (!statement) {
+      return res.status(404).json({ error: "Settlement batch not found" });
     }
 
-    if (v.merchantId !== merchantId) {
-      rejected.push({ voucherId: v.voucherId, reason: "Wrong merchantId" });
-      continue;
+    if (req.query.format === 'json') {
+      return res.json({
+        success: true,
+        batch: formatSettlementBatch(statement.batch),
+        items: statement.items.map(item => withDisplay(item, ['amount', 'refundedAmount'], statement.batch.currency)),
+        payments: statement.payments.map(payment => withDisplay(payment, ['amount'], statement.batch.currency)),
+      });
     }
 
-    // expect voucher includes issuedTo & signature (DER hex)
-    const issuedTo = v.issuedTo;
-    if (!issuedTo) {
-      rejected.push({ voucherId: v.voucherId, reason: "Missing issuedTo" });
-      continue;
+    res.set('Content-Type', 'text/csv; charset=utf-8');
+    res.set('Content-Disposition', `attachment; filename="${statement.batch.batchId}.csv"`);
+    res.send(statementToCsv(statement));
+  } catch (error) {
+    console.error("Settlement statement error:", error);
+    res.status(500).json({ error: "Failed to get statement" });
+  }
+});
+
+/**
+ * POST /api/merchant/vouchers/:voucherId/refunds
+ * Body: { amountMinor? (paise), reason? } - refund part or (by default) all of a voucher
+ * to the payer's wallet. Send an Idempotency-Key header to make retries safe.
+ */
+app.post("/api/merchant/vouchers/:voucherId/refunds", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
     }
 
-    // Use publicKeyHex from voucher (always included in new vouchers)
-    let userPubHex = v.publicKeyHex;
-    if (!userPubHex) {
-      // Fallback: try to get from database
-      const user = await usersCollection.findOne({ userId: issuedTo });
-      userPubHex = user?.publicKeyHex;
+    const { reason } = req.body || {};
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount', { optional: true });
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
     }
-    
-    if (!userPubHex) {
-      rejected.push({ voucherId: v.voucherId, reason: "Missing public key in voucher" });
-      continue;
+    if (reason !== undefined && typeof reason !== 'string') {
+      return res.status(400).json({ error: "Invalid reason" });
     }
 
-    // rebuild payload exactly as client did (without signature)
-    const payload = {
-      voucherId: v.voucherId,
-      merchantId: v.merchantId,
-      amount: v.amount,
-      createdAt: v.createdAt,
-      issuedTo: issuedTo
-    };
+    const result = await createRefund({
+      merchantId,
+      voucherId: req.params.voucherId,
+      amount,
+      reason: reason || null,
+      idempotencyKey: req.get('Idempotency-Key') || null,
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body.refundable === undefined ? body : withDisplay(body, ['refundable']));
+    }
 
-    // compute hash same as client
-    const payloadStr = JSON.stringify(payload);
-    const msgHashHex = crypto.createHash("sha256").update(payloadStr).digest("hex");
+    if (result.replay) {
+      res.set('Idempotent-Replayed', 'true');
+    } else {
+      console.log(`↩️  Merchant ${merchantId} refunded ${formatMoney(result.refund.amount)} of ${result.refund.voucherId} to ${result.refund.userId}`);
+      await audit(req, 'vouchers.refunded', {
+        target: { type: 'voucher', id: result.refund.voucherId },
+        after: { refundId: result.refund.refundId, amount: result.refund.amount, userId: result.refund.userId, reason: reason || null },
+      });
+    }
 
-    // verify DER signature hex
-    try {
-      const key = ec.keyFromPublic(userPubHex, "hex");
-      const signatureOk = key.verify(msgHashHex, v.signature);
-      if (!signatureOk) {
-        rejected.push({ voucherId: v.voucherId, reason: "Bad signature" });
-        continue;
-      }
-    } catch (err) {
-      console.log("Signature verification error:", err);
-      rejected.push({ voucherId: v.voucherId, reason: "Signature verify error" });
-      continue;
+    res.json({ success: true, refund: withDisplay(result.refund, ['amount'], result.refund.currency) });
+  } catch (error) {
+    console.error("Refund error:", error);
+    res.status(500).json({ error: "Failed to refund voucher" });
+  }
+});
+
+/**
+ * GET /api/merchant/vouchers/:voucherId/refunds
+ * Get refunds issued against one of the merchant's vouchers
+ */
+app.get("/api/merchant/vouchers/:voucherId/refunds", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
     }
 
-      // Check for duplicate
-      const already = await vouchersCollection.findOne({ voucherId: v.voucherId });
-      if (already) {
-        rejected.push({ voucherId: v.voucherId, reason: "Duplicate voucherId" });
-        continue;
-      }
+    const refunds = await listRefunds({ merchantId, voucherId: req.params.voucherId });
 
-      // Auto-register user if not exists
-      const user = await usersCollection.findOne({ userId: issuedTo });
-      if (!user && userPubHex) {
-        await usersCollection.insertOne({
-          userId: issuedTo,
-          publicKeyHex: userPubHex,
-          registeredAt: new Date().toISOString(),
-        });
-        console.log("Auto-registered user:", issuedTo);
-      }
+    res.json({ success: true, refunds: refunds.map(r => withDisplay(r, ['amount'], r.currency)) });
+  } catch (error) {
+    console.error("List refunds error:", error);
+    res.status(500).json({ error: "Failed to get refunds" });
+  }
+});
 
-      // Store voucher in database
-      await vouchersCollection.insertOne({
-        ...payload,
-        signature: v.signature,
-        merchantId,
-        status: "synced",
-        syncedAt: new Date().toISOString(),
-      });
+/**
+ * Dispute fields shared by user, merchant and admin views
+ */
+function formatDispute(d) {
+  return withDisplay({
+    disputeId: d.disputeId,
+    voucherId: d.voucherId,
+    userId: d.userId,
+    merchantId: d.merchantId,
+    amount: d.amount,
+    reason: d.reason,
+    status: d.status,
+    evidence: d.evidence,
+    history: d.history,
+    resolution: d.resolution || null,
+    createdAt: d.createdAt,
+    resolvedAt: d.resolvedAt || null,
+  }, ['amount'], d.currency);
+}
 
-      syncedIds.push(v.voucherId);
+/**
+ * POST /api/disputes
+ * Body: { voucherId, reason, amountMinor? (paise) } - contest a voucher synced against the
+ * user. The disputed amount (default: all of it) is frozen until resolved.
+ */
+app.post("/api/disputes", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ error: "User token required" });
     }
 
-    const totalStored = await vouchersCollection.countDocuments();
-    const result = { syncedIds, rejected, totalStored };
-    console.log("Sync result:", result);
-    return res.json(result);
+    const { voucherId, reason } = req.body || {};
+    if (!voucherId || typeof voucherId !== 'string') {
+      return res.status(400).json({ error: "voucherId is required" });
+    }
+    if (!reason || typeof reason !== 'string') {
+      return res.status(400).json({ error: "reason is required" });
+    }
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount', { optional: true });
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+
+    const result = await openDispute({ userId, voucherId, reason, amount });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body.disputable === undefined ? body : withDisplay(body, ['disputable']));
+    }
+
+    console.log(`⚖️  User ${userId} disputed ${formatMoney(result.dispute.amount)} of ${voucherId} (${result.dispute.disputeId})`);
+    await audit(req, 'dispute.opened', {
+      target: { type: 'voucher', id: voucherId },
+      after: { disputeId: result.dispute.disputeId, amount: result.dispute.amount, reason },
+    });
+
+    res.json({ success: true, dispute: formatDispute(result.dispute) });
   } catch (error) {
-    console.error("Sync error:", error);
-    return res.status(500).json({ error: "Database error" });
+    console.error("Open dispute error:", error);
+    res.status(500).json({ error: "Failed to open dispute" });
   }
 });
 
 /**
- * GET /api/merchant/:id/summary
- * Shows total redeemed for that merchant
+ * GET /api/disputes
+ * Get current user's disputes
  */
-app.get("/api/merchant/:id/summary", async (req, res) => {
+app.get("/api/disputes", authMiddleware, async (req, res) => {
   try {
-    const db = getDB();
-    const merchantId = req.params.id;
-    const list = await db.collection('vouchers').find({ merchantId }).toArray();
-    const total = list.reduce((sum, v) => sum + v.amount, 0);
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ error: "User token required" });
+    }
 
-    res.json({
+    const disputes = await listDisputes({ userId });
+    res.json({ success: true, disputes: disputes.map(formatDispute) });
+  } catch (error) {
+    console.error("List disputes error:", error);
+    res.status(500).json({ error: "Failed to get disputes" });
+  }
+});
+
+/**
+ * GET /api/merchant/disputes
+ * Get disputes opened against the current merchant
+ */
+app.get("/api/merchant/disputes", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
+    }
+
+    const { filter, error } = listFilter(req.query, ['status'], DISPUTE_STATUSES);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    filter.merchantId = merchantId;
+
+    const disputes = await listDisputes(filter);
+    res.json({ success: true, disputes: disputes.map(formatDispute) });
+  } catch (error) {
+    console.error("List merchant disputes error:", error);
+    res.status(500).json({ error: "Failed to get disputes" });
+  }
+});
+
+/**
+ * POST /api/merchant/disputes/:disputeId/respond
+ * Body: { message, evidence?: [{ type, value }] } - merchant's side of a dispute
+ */
+app.post("/api/merchant/disputes/:disputeId/respond", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
+    }
+
+    const { message, evidence = [] } = req.body || {};
+    if (!message || typeof message !== 'string') {
+      return res.status(400).json({ error: "message is required" });
+    }
+    const validEvidence = Array.isArray(evidence) && evidence.every(item =>
+      item && typeof item.type === 'string' && typeof item.value === 'string'
+    );
+    if (!validEvidence) {
+      return res.status(400).json({ error: "evidence must be a list of { type, value }" });
+    }
+
+    const result = await respondToDispute({
       merchantId,
-      totalRedeemedAmount: total,
-      vouchersCount: list.length,
+      disputeId: req.params.disputeId,
+      message,
+      evidence: evidence.map(({ type, value }) => ({ type, value })),
     });
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    res.json({ success: true, dispute: formatDispute(result.dispute) });
   } catch (error) {
-    console.error("Merchant summary error:", error);
-    res.status(500).json({ error: "Database error" });
+    console.error("Dispute response error:", error);
+    res.status(500).json({ error: "Failed to respond to dispute" });
   }
 });
 
-app.post("/api/register-key", async (req, res) => {
+/**
+ * Validate an optional `expectedVersion` (optimistic concurrency on the wallet)
+ */
+function isValidExpectedVersion(expectedVersion) {
+  return expectedVersion === undefined || (Number.isInteger(expectedVersion) && expectedVersion >= 0);
+}
+
+/**
+ * 409 response for a wallet that changed since the client read it
+ */
+function walletVersionConflict(res, wallet) {
+  return res.status(409).json(withDisplay({
+    error: "Balance changed, refresh and retry",
+    balance: wallet.balance,
+    version: wallet.version
+  }, ['balance']));
+}
+
+/**
+ * 400 response for a wallet that cannot cover `required` paise
+ */
+function insufficientBalance(res, required, available) {
+  return res.status(400).json(withDisplay({
+    error: "Insufficient balance",
+    required,
+    available
+  }, ['required', 'available']));
+}
+
+/**
+ * Offline allowance of a user with display values
+ */
+async function allowanceView(userId) {
+  return withDisplay(await getAllowance(userId), ['balance', 'debt', 'totalLoaded', 'totalSettled']);
+}
+
+/**
+ * 403 response for an operation over the account's KYC tier limits
+ */
+function limitExceeded(res, violation, extra = {}) {
+  return res.status(403).json({
+    error: violation.reason,
+    code: violation.code,
+    limit: violation.limit,
+    ...extra
+  });
+}
+
+/**
+ * GET /api/limits
+ * KYC tier, limits, today's usage and remaining headroom (user or merchant token)
+ */
+app.get("/api/limits", authMiddleware, async (req, res) => {
   try {
-    const db = getDB();
-    const { userId, publicKeyHex } = req.body || {};
-    if (!userId || !publicKeyHex) return res.status(400).json({ error: "Invalid body" });
-    
-    await db.collection('users').updateOne(
-      { userId },
-      { $set: { publicKeyHex, registeredAt: new Date().toISOString() } },
-      { upsert: true }
-    );
-    
-    console.log("Registered public key for", userId);
-    return res.json({ ok: true });
+    const { userId, merchantId } = req.user;
+    const status = await getLimitStatus({ userId, merchantId });
+    res.json({ success: true, ...status });
   } catch (error) {
-    console.error("Register key error:", error);
-    res.status(500).json({ error: "Database error" });
+    console.error("Get limits error:", error);
+    res.status(500).json({ error: "Failed to get limits" });
   }
 });
 
 /**
  * POST /api/balance/add
- * Add balance to user account (max 1000 Rs)
+ * Add balance to user account (within KYC load limits) without a gateway payment.
+ * Disabled unless ALLOW_DIRECT_BALANCE_ADD=true; clients use /api/topups.
+ * Optional `expectedVersion` rejects the load if the wallet changed since it was read.
  */
 app.post("/api/balance/add", authMiddleware, async (req, res) => {
   try {
-    const { amount } = req.body;
+    if (!ALLOW_DIRECT_BALANCE_ADD) {
+      return res.status(410).json({
+        error: "Direct wallet loads are disabled, create a top-up with POST /api/topups",
+      });
+    }
+
+    const { expectedVersion } = req.body;
     const userId = req.user.userId;
 
-    if (!amount || typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({ error: "Invalid amount" });
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount');
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
     }
 
-    if (amount > 1000) {
-      return res.status(400).json({ error: "Maximum load amount is ₹1000" });
+    if (!isValidExpectedVersion(expectedVersion)) {
+      return res.status(400).json({ error: "Invalid expectedVersion" });
     }
 
     const db = getDB();
-    const usersCollection = db.collection('users');
 
     // Get current user
-    const user = await usersCollection.findOne({ userId });
+    const user = await db.collection('users').findOne({ userId });
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Update balance
-    const newBalance = (user.balance || 0) + amount;
-    await usersCollection.updateOne(
-      { userId },
-      { 
-        $set: { balance: newBalance },
-        $push: { 
-          balanceHistory: {
-            type: 'add',
-            amount,
-            timestamp: new Date().toISOString(),
-            previousBalance: user.balance || 0,
-            newBalance
-          }
-        }
+    const limits = await userLimits(userId, 'load', amount);
+    if (limits.violation) {
+      return limitExceeded(res, limits.violation);
+    }
+
+    // Credit the wallet from the system float; the posting enforces the limits again
+    const entry = await postEntry({
+      type: 'wallet_load',
+      lines: [
+        { accountId: SYSTEM_FLOAT, amount: -amount },
+        { accountId: walletAccount(userId), amount, max: limits.maxWallet, expectedVersion },
+      ],
+      reference: { userId },
+      counters: limits.counters,
+    });
+    if (!entry) {
+      const { violation } = await userLimits(userId, 'load', amount);
+      if (violation) {
+        return limitExceeded(res, violation);
       }
-    );
+      return walletVersionConflict(res, await getAccount(walletAccount(userId)));
+    }
+    const newBalance = balanceAfter(entry, walletAccount(userId));
+
+    console.log(`💰 User ${userId} added ${formatMoney(amount)} | New balance: ${formatMoney(newBalance)}`);
+    await audit(req, 'wallet.load', {
+      target: { type: 'wallet', id: userId },
+      before: { balance: newBalance - amount },
+      after: { balance: newBalance, amount },
+      metadata: { ledgerEntryId: entry.entryId },
+    });
+
+    res.json(withDisplay({
+      success: true,
+      balance: newBalance,
+      version: versionAfter(entry, walletAccount(userId)),
+      amount,
+      message: `${formatMoney(amount)} added successfully`
+    }, ['balance', 'amount']));
+  } catch (error) {
+    console.error("Add balance error:", error);
+    res.status(500).json({ error: "Failed to add balance" });
+  }
+});
+
+/**
+ * GET /api/balance
+ * Get current user balance
+ */
+app.get("/api/balance", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const db = getDB();
+    const user = await db.collection('users').findOne({ userId });
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const wallet = await getAccount(walletAccount(userId));
+
+    res.json(withDisplay({
+      success: true,
+      balance: wallet.balance,
+      version: wallet.version,
+      offlineAllowance: await allowanceView(userId),
+      userId: user.userId,
+      name: user.name,
+      phone: user.phone
+    }, ['balance']));
+  } catch (error) {
+    console.error("Get balance error:", error);
+    res.status(500).json({ error: "Failed to get balance" });
+  }
+});
+
+/**
+ * GET /api/allowance
+ * Get current user's offline allowance (escrowed funds and debt)
+ */
+app.get("/api/allowance", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    const db = getDB();
+    const user = await db.collection('users').findOne({ userId });
+
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    res.json(withDisplay({
+      success: true,
+      balance: await getAccountBalance(walletAccount(userId)),
+      offlineAllowance: await allowanceView(userId),
+    }, ['balance']));
+  } catch (error) {
+    console.error("Get allowance error:", error);
+    res.status(500).json({ error: "Failed to get allowance" });
+  }
+});
+
+/**
+ * POST /api/allowance/load
+ * Move funds from wallet into the escrowed offline allowance.
+ * Outstanding offline debt is repaid first.
+ */
+app.post("/api/allowance/load", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount');
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+
+    const user = await getDB().collection('users').findOne({ userId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
-    console.log(`💰 User ${userId} added ₹${amount} | New balance: ₹${newBalance}`);
+    const entry = await loadAllowance(userId, amount);
+    if (!entry) {
+      return insufficientBalance(res, amount, await getAccountBalance(walletAccount(userId)));
+    }
 
-    res.json({
+    const offlineAllowance = await allowanceView(userId);
+    console.log(`📴 User ${userId} moved ${formatMoney(amount)} to offline allowance | Escrow: ${formatMoney(offlineAllowance.balance)}`);
+    await audit(req, 'allowance.load', {
+      target: { type: 'wallet', id: userId },
+      after: { amount, balance: balanceAfter(entry, walletAccount(userId)), allowance: offlineAllowance.balance },
+      metadata: { ledgerEntryId: entry.entryId },
+    });
+
+    res.json(withDisplay({
       success: true,
-      balance: newBalance,
+      balance: balanceAfter(entry, walletAccount(userId)),
+      offlineAllowance,
       amount,
-      message: `₹${amount} added successfully`
-    });
+      message: `${formatMoney(amount)} moved to offline allowance`
+    }, ['balance', 'amount']));
   } catch (error) {
-    console.error("Add balance error:", error);
-    res.status(500).json({ error: "Failed to add balance" });
+    console.error("Load allowance error:", error);
+    res.status(500).json({ error: "Failed to load allowance" });
   }
 });
 
 /**
- * GET /api/balance
- * Get current user balance
+ * POST /api/certificates
+ * Body: { offlineLimitMinor? (paise) } - issue a short-lived, server-signed offline
+ * spending certificate for the user's registered key, capped at the part
+ * of their escrowed allowance not already committed to live certificates
+ * or unsettled vouchers (409 when nothing is left). The signed certificate
+ * states its limit in rupees, like voucher amounts.
  */
-app.get("/api/balance", authMiddleware, async (req, res) => {
+app.post("/api/certificates", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
+
+    const { value: offlineLimit, error: offlineLimitError } = readMinorAmount(req.body, 'offlineLimit', { optional: true });
+    if (offlineLimitError) {
+      return res.status(400).json({ error: offlineLimitError });
+    }
+
     const db = getDB();
     const user = await db.collection('users').findOne({ userId });
-
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    res.json({
-      success: true,
-      balance: user.balance || 0,
-      userId: user.userId,
-      name: user.name,
-      phone: user.phone
+    const activeKey = await getActiveKey({ userId });
+    if (!activeKey) {
+      return res.status(400).json({ error: "No public key registered" });
+    }
+
+    const escrow = (await getAllowance(userId)).balance;
+    if (escrow <= 0) {
+      return res.status(400).json({ error: "No offline allowance loaded" });
+    }
+
+    const issued = await issueCertificate({
+      userId,
+      publicKeyHex: activeKey.publicKeyHex,
+      requestedLimit: offlineLimit,
+      escrow,
+    });
+    if (issued.error) {
+      return res.status(issued.status).json({ error: issued.error });
+    }
+    const { certificate, spendLimit } = issued;
+
+    console.log(`📜 Issued certificate ${certificate.certId} to ${userId} | Limit: ${formatMoney(spendLimit)}`);
+    await audit(req, 'certificates.issued', {
+      target: { type: 'certificate', id: certificate.certId },
+      after: { userId, keyId: activeKey.keyId, spendLimit },
     });
+
+    res.json(withDisplay({ success: true, certificate, spendLimit }, ['spendLimit']));
   } catch (error) {
-    console.error("Get balance error:", error);
-    res.status(500).json({ error: "Failed to get balance" });
+    console.error("Issue certificate error:", error);
+    res.status(500).json({ error: "Failed to issue certificate" });
   }
 });
 
+/**
+ * GET /api/certificates/server-key
+ * Public key merchant apps use to verify certificates offline
+ */
+app.get("/api/certificates/server-key", (req, res) => {
+  res.json(getServerPublicKey());
+});
+
 /**
  * PUT /api/user/profile
  * Update user profile (name)
@@ -1032,16 +3374,22 @@ app.put("/api/user/profile", authMiddleware, async (req, res) => {
     }
 
     const db = getDB();
-    const result = await db.collection('users').updateOne(
+    const previous = await db.collection('users').findOneAndUpdate(
       { userId },
-      { $set: { name: name.trim(), updatedAt: new Date().toISOString() } }
+      { $set: { name: name.trim(), updatedAt: new Date().toISOString() } },
+      { returnDocument: 'before', projection: { name: 1 } }
     );
 
-    if (result.matchedCount === 0) {
+    if (!previous) {
       return res.status(404).json({ error: "User not found" });
     }
 
     console.log(`👤 User ${userId} updated name to: ${name.trim()}`);
+    await audit(req, 'profile.updated', {
+      target: { type: 'user', id: userId },
+      before: { name: previous.name },
+      after: { name: name.trim() },
+    });
 
     res.json({
       success: true,
@@ -1068,7 +3416,7 @@ app.put("/api/merchant/profile", authMiddleware, async (req, res) => {
     }
 
     const db = getDB();
-    const result = await db.collection('merchants').updateOne(
+    const previous = await db.collection('merchants').findOneAndUpdate(
       { merchantId },
       { 
         $set: { 
@@ -1076,14 +3424,20 @@ app.put("/api/merchant/profile", authMiddleware, async (req, res) => {
           shopName: (shopName || name).trim(),
           updatedAt: new Date().toISOString() 
         } 
-      }
+      },
+      { returnDocument: 'before', projection: { name: 1, shopName: 1 } }
     );
 
-    if (result.matchedCount === 0) {
+    if (!previous) {
       return res.status(404).json({ error: "Merchant not found" });
     }
 
     console.log(`🏪 Merchant ${merchantId} updated profile: ${name.trim()} / ${(shopName || name).trim()}`);
+    await audit(req, 'profile.updated', {
+      target: { type: 'merchant', id: merchantId },
+      before: { name: previous.name || null, shopName: previous.shopName || null },
+      after: { name: name.trim(), shopName: (shopName || name).trim() },
+    });
 
     res.json({
       success: true,
@@ -1097,122 +3451,570 @@ app.put("/api/merchant/profile", authMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/merchant/onboarding
+ * Current merchant's onboarding status, application and review history
+ */
+app.get("/api/merchant/onboarding", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
+    }
+
+    const merchant = await getDB().collection('merchants').findOne({ merchantId }, { projection: { passwordHash: 0 } });
+    if (!merchant) {
+      return res.status(404).json({ error: "Merchant not found" });
+    }
+
+    res.json({ success: true, onboarding: formatOnboarding(merchant) });
+  } catch (error) {
+    console.error("Get onboarding error:", error);
+    res.status(500).json({ error: "Failed to get onboarding status" });
+  }
+});
+
+/**
+ * POST /api/merchant/onboarding
+ * Body: { legalName, businessType, pan, gstin?, address,
+ *         bankAccount: { holderName, accountNumber, ifsc },
+ *         documents: [{ type, value }] }
+ * Submit the application for admin review, or resubmit after changes were requested
+ */
+app.post("/api/merchant/onboarding", authMiddleware, async (req, res) => {
+  try {
+    const merchantId = req.user.merchantId;
+    if (req.user.role !== 'merchant' || !merchantId) {
+      return res.status(403).json({ error: "Merchant token required" });
+    }
+
+    const { application, error } = parseApplication(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const result = await submitApplication(merchantId, application);
+    if (result.error) {
+      const { status, ...body } = result;
+      return res.status(status).json(body);
+    }
+
+    console.log(`🏪 Merchant ${merchantId} submitted onboarding (revision ${result.merchant.onboarding.revision})`);
+    await audit(req, 'onboarding.submitted', {
+      target: { type: 'merchant', id: merchantId },
+      after: { status: 'submitted', revision: result.merchant.onboarding.revision },
+    });
+
+    res.json({ success: true, onboarding: formatOnboarding(result.merchant) });
+  } catch (error) {
+    console.error("Submit onboarding error:", error);
+    res.status(500).json({ error: "Failed to submit application" });
+  }
+});
+
 /**
  * POST /api/balance/deduct
- * Deduct balance from user (for payments)
+ * Deduct balance from user (for online payments).
+ * Offline vouchers are settled from the offline allowance at sync time.
+ * Optional `expectedVersion` rejects the payment if the wallet changed since it was read.
  */
 app.post("/api/balance/deduct", authMiddleware, async (req, res) => {
   try {
-    const { amount, merchantId, voucherId } = req.body;
+    const { merchantId, voucherId, expectedVersion } = req.body;
     const userId = req.user.userId;
 
-    if (!amount || typeof amount !== 'number' || amount <= 0) {
-      return res.status(400).json({ error: "Invalid amount" });
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount');
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+
+    if (!isValidExpectedVersion(expectedVersion)) {
+      return res.status(400).json({ error: "Invalid expectedVersion" });
+    }
+
+    if (voucherId) {
+      return res.status(409).json({
+        error: "Offline vouchers are settled from the offline allowance when the merchant syncs",
+        voucherId
+      });
+    }
+
+    if (!merchantId) {
+      return res.status(400).json({ error: "merchantId is required" });
     }
 
     const db = getDB();
-    const usersCollection = db.collection('users');
 
     // Get current user
-    const user = await usersCollection.findOne({ userId });
+    const user = await db.collection('users').findOne({ userId });
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    const currentBalance = user.balance || 0;
-    if (currentBalance < amount) {
-      return res.status(400).json({ 
-        error: "Insufficient balance",
-        required: amount,
-        available: currentBalance
-      });
+    const merchant = await db.collection('merchants').findOne({ merchantId });
+    if (!merchant) {
+      return res.status(404).json({ error: "Merchant not found" });
+    }
+    if (!merchant.isVerified) {
+      return res.status(403).json({ error: "Merchant is not verified", code: "MERCHANT_NOT_VERIFIED", merchantId });
     }
 
-    // Deduct balance
-    const newBalance = currentBalance - amount;
-    await usersCollection.updateOne(
-      { userId },
-      { 
-        $set: { balance: newBalance },
-        $push: { 
-          balanceHistory: {
-            type: 'payment',
-            amount,
-            timestamp: new Date().toISOString(),
-            previousBalance: currentBalance,
-            newBalance,
-            merchantId,
-            voucherId
-          }
-        }
-      }
-    );
+    const limits = await userLimits(userId, 'spend', amount);
+    if (limits.violation) {
+      return limitExceeded(res, limits.violation);
+    }
+    const merchantLimitsCheck = await merchantLimits(merchantId, amount);
+    if (merchantLimitsCheck.violation) {
+      return limitExceeded(res, merchantLimitsCheck.violation, { merchantId });
+    }
 
-    console.log(`💸 User ${userId} paid ₹${amount} to ${merchantId} | Remaining: ₹${newBalance}`);
+    // Balance check, debit and both sides' daily limits happen in the same ledger posting,
+    // which also stores the payment record the merchant's settlement pays out
+    const payment = paymentRecord({ userId, merchantId, amount });
+    const entry = await postEntry({
+      type: 'payment',
+      lines: [
+        { accountId: walletAccount(userId), amount: -amount, min: 0, expectedVersion },
+        { accountId: merchantAccount(merchantId), amount },
+      ],
+      reference: { userId, merchantId, paymentId: payment.paymentId },
+      counters: [...limits.counters, ...merchantLimitsCheck.counters],
+      documents: [{ collection: 'payments', document: payment }],
+    });
+    if (!entry) {
+      const overLimit = (await userLimits(userId, 'spend', amount)).violation;
+      if (overLimit) {
+        return limitExceeded(res, overLimit);
+      }
+      const merchantOverLimit = (await merchantLimits(merchantId, amount)).violation;
+      if (merchantOverLimit) {
+        return limitExceeded(res, merchantOverLimit, { merchantId });
+      }
+      const wallet = await getAccount(walletAccount(userId));
+      if (expectedVersion !== undefined && wallet.version !== expectedVersion) {
+        return walletVersionConflict(res, wallet);
+      }
+      return insufficientBalance(res, amount, wallet.balance);
+    }
+    const newBalance = balanceAfter(entry, walletAccount(userId));
+
+    console.log(`💸 User ${userId} paid ${formatMoney(amount)} to ${merchantId} | Remaining: ${formatMoney(newBalance)}`);
+    await audit(req, 'wallet.deduct', {
+      target: { type: 'wallet', id: userId },
+      before: { balance: newBalance + amount },
+      after: { balance: newBalance, amount, merchantId },
+      metadata: { ledgerEntryId: entry.entryId },
+    });
 
-    res.json({
+    res.json(withDisplay({
       success: true,
       balance: newBalance,
+      version: versionAfter(entry, walletAccount(userId)),
       amount,
-      message: `Payment of ₹${amount} successful`
-    });
+      paymentId: payment.paymentId,
+      message: `Payment of ${formatMoney(amount)} successful`
+    }, ['balance', 'amount']));
   } catch (error) {
     console.error("Deduct balance error:", error);
     res.status(500).json({ error: "Failed to process payment" });
   }
 });
 
+/**
+ * POST /api/topups
+ * Body: { amountMinor (paise) } - create a top-up intent. The client pays the returned
+ * gateway order; the wallet is credited once the gateway's webhook confirms it.
+ */
+app.post("/api/topups", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ error: "User token required" });
+    }
+
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount');
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+
+    const user = await getDB().collection('users').findOne({ userId });
+    if (!user) {
+      return res.status(404).json({ error: "User not found" });
+    }
+
+    const limits = await userLimits(userId, 'load', amount);
+    if (limits.violation) {
+      return limitExceeded(res, limits.violation);
+    }
+
+    const created = await createTopupIntent({ userId, amount, limitCounters: limits.counters });
+    if (created.error) {
+      return res.status(created.status).json({ error: created.error });
+    }
+    res.status(201).json({ success: true, intent: created.intent });
+  } catch (error) {
+    console.error("Create top-up error:", error);
+    res.status(500).json({ error: "Failed to create top-up" });
+  }
+});
+
+/**
+ * GET /api/topups
+ * The user's top-up intents, newest first
+ */
+app.get("/api/topups", authMiddleware, async (req, res) => {
+  try {
+    const intents = await listTopupIntents(req.user.userId);
+    res.json({ success: true, intents, count: intents.length });
+  } catch (error) {
+    console.error("List top-ups error:", error);
+    res.status(500).json({ error: "Failed to get top-ups" });
+  }
+});
+
+/**
+ * GET /api/topups/:intentId
+ * Status of one top-up intent (poll after paying)
+ */
+app.get("/api/topups/:intentId", authMiddleware, async (req, res) => {
+  try {
+    const intent = await getTopupIntent(req.user.userId, req.params.intentId);
+    if (!intent) {
+      return res.status(404).json({ error: "Top-up not found" });
+    }
+    res.json({ success: true, intent });
+  } catch (error) {
+    console.error("Get top-up error:", error);
+    res.status(500).json({ error: "Failed to get top-up" });
+  }
+});
+
+/**
+ * POST /api/webhooks/gateway
+ * Payment gateway events, signed with X-Gateway-Signature.
+ * Redelivered events are acknowledged without being applied again.
+ */
+app.post("/api/webhooks/gateway", async (req, res) => {
+  try {
+    const signatureError = verifyWebhookSignature(req.rawBody, req.get('X-Gateway-Signature'));
+    if (signatureError) {
+      console.warn(`⚠️  Rejected gateway webhook: ${signatureError}`);
+      return res.status(401).json({ error: signatureError });
+    }
+
+    const event = req.body;
+    if (!event?.eventId || !event.type || !event.data?.gatewayReference) {
+      return res.status(400).json({ error: "Malformed gateway event" });
+    }
+
+    const result = await handleGatewayEvent(event);
+    if (!result.duplicate) {
+      await audit(req, 'topups.gateway_event', {
+        actor: { type: 'system', id: 'gateway' },
+        target: { type: 'topup', id: event.data.gatewayReference },
+        after: { eventId: event.eventId, type: event.type, amount: event.data.amount ?? null, ...result },
+      });
+    }
+    res.json({ received: true, eventId: event.eventId, ...result });
+  } catch (error) {
+    console.error("Gateway webhook error:", error);
+    res.status(500).json({ error: "Failed to process webhook" });
+  }
+});
+
+if (MOCK_GATEWAY_ENABLED) {
+  /**
+   * GET /api/mock-gateway/orders/:gatewayReference
+   * Mock gateway checkout page data
+   */
+  app.get("/api/mock-gateway/orders/:gatewayReference", async (req, res) => {
+    try {
+      const order = await getDB().collection('mock_gateway_orders')
+        .findOne({ gatewayReference: req.params.gatewayReference }, { projection: { _id: 0 } });
+      if (!order) {
+        return res.status(404).json({ error: "Order not found" });
+      }
+      res.json({ success: true, order });
+    } catch (error) {
+      console.error("Mock gateway error:", error);
+      res.status(500).json({ error: "Mock gateway failed" });
+    }
+  });
+
+  /**
+   * POST /api/mock-gateway/orders/:gatewayReference/complete
+   * Body: { outcome: 'succeeded' | 'failed' } - pay or decline a mock order;
+   * the mock gateway then delivers its signed webhook to this server.
+   */
+  app.post("/api/mock-gateway/orders/:gatewayReference/complete", async (req, res) => {
+    try {
+      const { outcome = 'succeeded' } = req.body || {};
+      if (!['succeeded', 'failed'].includes(outcome)) {
+        return res.status(400).json({ error: "outcome must be 'succeeded' or 'failed'" });
+      }
+
+      const result = await completeMockOrder(
+        req.params.gatewayReference,
+        outcome,
+        `http://localhost:${PORT}/api/webhooks/gateway`
+      );
+      if (!result) {
+        return res.status(404).json({ error: "Order not found or already completed" });
+      }
+      res.json({ success: true, ...result });
+    } catch (error) {
+      console.error("Mock gateway error:", error);
+      res.status(500).json({ error: "Mock gateway failed" });
+    }
+  });
+}
+
+/**
+ * POST /api/transfers
+ * Body: { toUserId | toPhone, amountMinor (paise), note? } - instant wallet-to-wallet transfer.
+ * Send an Idempotency-Key header to make retries safe.
+ */
+app.post("/api/transfers", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ error: "User token required" });
+    }
+
+    const { toUserId, toPhone, note } = req.body || {};
+    const { value: amount, error: amountError } = readMinorAmount(req.body, 'amount');
+    if (amountError) {
+      return res.status(400).json({ error: amountError });
+    }
+    if (note !== undefined && (typeof note !== 'string' || note.length > 140)) {
+      return res.status(400).json({ error: "note must be a string of at most 140 characters" });
+    }
+
+    const recipient = await findRecipient({ toUserId, toPhone });
+    if (!recipient) {
+      return res.status(404).json({ error: "Recipient not found" });
+    }
+
+    // Checked here for a clear error, enforced again by the transfer's posting
+    const checkLimits = async () => {
+      const sender = await userLimits(userId, 'spend', amount);
+      if (sender.violation) return { violation: sender.violation };
+      if (recipient.userId === userId) return { counters: sender.counters };
+      const receiver = await userLimits(recipient.userId, 'receive', amount);
+      if (receiver.violation) return { violation: receiver.violation, extra: { recipientId: recipient.userId } };
+      return { counters: sender.counters, maxWallet: receiver.maxWallet };
+    };
+    const limits = await checkLimits();
+    if (limits.violation) {
+      return limitExceeded(res, limits.violation, limits.extra);
+    }
+
+    const result = await createTransfer({
+      fromUserId: userId,
+      toUserId: recipient.userId,
+      amount,
+      note: note || null,
+      idempotencyKey: req.get('Idempotency-Key') || null,
+      limits,
+    });
+    if (result.error) {
+      const { status, ...body } = result;
+      const recheck = status === 400 && body.required && await checkLimits();
+      if (recheck?.violation) {
+        return limitExceeded(res, recheck.violation, recheck.extra);
+      }
+      if (status === 400 && body.required) {
+        return insufficientBalance(res, body.required, await getAccountBalance(walletAccount(userId)));
+      }
+      return res.status(status).json(body);
+    }
+
+    if (result.replay) {
+      res.set('Idempotent-Replayed', 'true');
+    } else {
+      console.log(`🤝 User ${userId} sent ${formatMoney(amount)} to ${recipient.userId} | Remaining: ${formatMoney(result.balance)}`);
+      await audit(req, 'wallet.transfer', {
+        target: { type: 'wallet', id: userId },
+        before: { balance: result.balance + amount },
+        after: { balance: result.balance, amount, toUserId: recipient.userId, transferId: result.transfer.transferId },
+      });
+    }
+
+    res.json(withDisplay({
+      success: true,
+      transfer: withDisplay({ ...result.transfer, toName: recipient.name }, ['amount']),
+      balance: result.balance,
+    }, ['balance']));
+  } catch (error) {
+    console.error("Transfer error:", error);
+    res.status(500).json({ error: "Failed to transfer" });
+  }
+});
+
+/**
+ * POST /api/p2p/vouchers/sync
+ * Body: { vouchers: Voucher[] } - offline P2P vouchers received by the
+ * authenticated user. Each is a v2 voucher with `type: "p2p"` and
+ * `payeeId` set to the receiver, verified like merchant vouchers
+ * (certificate, signature, hash chain, duplicates). The receiver's wallet
+ * is credited once a voucher is accepted.
+ */
+app.post("/api/p2p/vouchers/sync", authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.userId;
+    if (!userId) {
+      return res.status(403).json({ error: "User token required" });
+    }
+
+    const { vouchers } = req.body || {};
+    if (!Array.isArray(vouchers)) {
+      return res.status(400).json({ error: "Invalid body" });
+    }
+
+    // Late P2P vouchers are rejected outright: the review queue is per merchant
+    const policy = { ...resolvePolicy(null), reviewExpired: false };
+
+    const syncedIds = [];
+    const rejected = [];
+    for (const v of vouchers) {
+      const outcome = await processSyncVoucher(v, { payeeUserId: userId, batch: null, policy });
+      if (outcome.rejected) {
+        rejected.push(outcome.rejected);
+      } else {
+        syncedIds.push(v.voucherId);
+      }
+    }
+
+    const result = {
+      syncedIds,
+      rejected,
+      balance: await getAccountBalance(walletAccount(userId)),
+    };
+    console.log(`🤝 P2P sync for ${userId}:`, { synced: syncedIds.length, rejected: rejected.length });
+    await audit(req, 'vouchers.synced', {
+      target: { type: 'user', id: userId },
+      after: { syncedIds, rejected, balance: result.balance },
+    });
+    res.json(result);
+  } catch (error) {
+    console.error("P2P sync error:", error);
+    res.status(500).json({ error: "Database error" });
+  }
+});
+
+/**
+ * Describe a ledger entry from the paying user's point of view
+ */
+function describeUserEntry(entry, voucher, userId) {
+  const payeeUserId = entry.reference?.payeeUserId;
+  const received = payeeUserId === userId;
+  switch (entry.type) {
+    case 'wallet_load':
+      return {
+        category: 'wallet_load',
+        description: entry.reference?.intentId ? 'Added to wallet via payment gateway' : 'Added to wallet'
+      };
+    case 'offline_load':
+      return { category: 'offline_load', description: 'Moved to offline allowance' };
+    case 'p2p_transfer':
+      return received
+        ? { category: 'p2p_received', description: `Received from ${entry.reference.userId}` }
+        : { category: 'p2p_sent', description: `Sent to ${payeeUserId}` };
+    case 'payment':
+    case 'offline_payment':
+      if (payeeUserId) {
+        return received
+          ? { category: 'p2p_received', description: `Received offline from ${entry.reference.userId}` }
+          : { category: 'p2p_sent', description: `Paid offline to ${payeeUserId}` };
+      }
+      return { category: 'payment', description: `Paid to ${voucher?.merchantName || entry.reference?.merchantId}` };
+    case 'refund':
+      return { category: 'refund', description: `Refund from ${voucher?.merchantName || entry.reference?.merchantId}` };
+    case 'dispute_reversal':
+      return { category: 'dispute_reversal', description: 'Dispute resolved in your favour' };
+    case 'opening_balance':
+      return { category: 'opening_balance', description: 'Opening balance' };
+    default:
+      return { category: entry.type, description: entry.type.replace(/_/g, ' ') };
+  }
+}
+
+/**
+ * Describe a ledger entry from the receiving merchant's point of view
+ */
+function describeMerchantEntry(entry, voucher) {
+  const payer = voucher?.payerName || entry.reference?.userId || 'Customer';
+  switch (entry.type) {
+    case 'settlement_payout':
+      return { category: 'settlement_payout', description: `Settlement payout ${entry.reference.payoutReference}` };
+    case 'refund':
+      return { category: 'refund_issued', description: `Refund to ${payer}` };
+    case 'dispute_hold':
+      return { category: 'dispute_hold', description: `Payment disputed by ${payer}, amount frozen` };
+    case 'dispute_release':
+      return { category: 'dispute_release', description: 'Dispute resolved in your favour, amount released' };
+    case 'dispute_reversal':
+      return { category: 'dispute_reversal', description: `Dispute resolved for ${payer}, amount reversed` };
+    default:
+      return { category: 'payment_received', description: `Payment from ${payer}` };
+  }
+}
+
+/**
+ * Refunds and dispute postings adjust an earlier voucher payment
+ */
+function isAdjustmentEntry(entry) {
+  return Boolean(entry.reference?.refundId || entry.reference?.disputeId);
+}
+
+/**
+ * Vouchers referenced by ledger entries, keyed by voucherId
+ */
+async function vouchersForEntries(entries) {
+  const voucherIds = entries.map(e => e.reference?.voucherId).filter(Boolean);
+  if (voucherIds.length === 0) return new Map();
+  const vouchers = await getDB().collection('vouchers').find({ voucherId: { $in: voucherIds } }).toArray();
+  return new Map(vouchers.map(v => [v.voucherId, v]));
+}
+
 // Start server after DB connection
 /**
  * GET /api/transactions/user
- * Get user transaction history (balance adds + payments sent)
+ * Get user transaction history from the ledger (wallet loads, allowance moves, payments)
  */
 app.get("/api/transactions/user", authMiddleware, async (req, res) => {
   try {
     const userId = req.user.userId;
     const db = getDB();
     
-    // Get user's balance history
     const user = await db.collection('users').findOne({ userId });
     if (!user) {
       return res.status(404).json({ error: "User not found" });
     }
 
-    // Get payments made by this user (from vouchers collection)
-    const payments = await db.collection('vouchers').find({ 
-      payerId: userId 
-    }).sort({ createdAt: -1 }).toArray();
-
-    // Combine balance history and payments
-    const transactions = [];
-
-    // Add balance additions
-    if (user.balanceHistory && Array.isArray(user.balanceHistory)) {
-      user.balanceHistory.forEach(h => {
-        transactions.push({
-          id: `bal_${h.timestamp}`,
-          type: h.type === 'add' ? 'credit' : 'debit',
-          category: h.type === 'add' ? 'wallet_load' : 'payment',
-          amount: h.amount,
-          description: h.type === 'add' ? 'Added to wallet' : 'Payment sent',
-          timestamp: h.timestamp,
-          balance: h.newBalance
-        });
-      });
-    }
-
-    // Add payments
-    payments.forEach(p => {
-      transactions.push({
-        id: p.voucherId,
-        type: 'debit',
-        category: 'payment',
-        amount: p.amount,
-        description: `Paid to ${p.merchantName || p.merchantId}`,
-        merchantId: p.merchantId,
-        timestamp: p.createdAt,
-        status: p.status
-      });
+    const wallet = walletAccount(userId);
+    const userAccounts = [wallet, escrowAccount(userId), debtAccount(userId)];
+    const entries = await listEntries(userAccounts);
+    const vouchers = await vouchersForEntries(entries);
+
+    const transactions = entries.map(e => {
+      const voucher = vouchers.get(e.reference?.voucherId);
+      // Allowance loads move money between the user's own accounts
+      const net = e.type === 'offline_load' ? netAmount(e, [wallet]) : netAmount(e, userAccounts);
+      const adjustment = isAdjustmentEntry(e);
+      return withDisplay({
+        id: e.reference?.refundId || (!adjustment && voucher?.voucherId) || e.entryId,
+        type: net >= 0 ? 'credit' : 'debit',
+        ...describeUserEntry(e, voucher, userId),
+        amount: e.type === 'offline_load' ? -net : Math.abs(net),
+        merchantId: e.reference?.merchantId,
+        counterpartyId: e.reference?.payeeUserId === userId ? e.reference.userId : e.reference?.payeeUserId,
+        originalVoucherId: adjustment ? e.reference.voucherId : undefined,
+        disputeId: e.reference?.disputeId,
+        timestamp: (!adjustment && voucher?.createdAt) || e.createdAt,
+        balance: balanceAfter(e, wallet) ?? undefined,
+        status: voucher?.status
+      }, ['amount', 'balance'], e.currency);
     });
 
     // Sort by timestamp (newest first)
@@ -1231,46 +4033,82 @@ app.get("/api/transactions/user", authMiddleware, async (req, res) => {
 
 /**
  * GET /api/transactions/merchant
- * Get merchant transaction history (payments received)
+ * Get merchant transaction history from the ledger (payments received)
  */
 app.get("/api/transactions/merchant", authMiddleware, async (req, res) => {
   try {
     const merchantId = req.user.merchantId || req.user.userId;
-    const db = getDB();
 
-    // Get payments received by this merchant
-    const payments = await db.collection('vouchers').find({ 
-      merchantId: merchantId 
-    }).sort({ createdAt: -1 }).toArray();
-
-    const transactions = payments.map(p => ({
-      id: p.voucherId,
-      type: 'credit',
-      category: 'payment_received',
-      amount: p.amount,
-      description: `Payment from ${p.payerName || p.payerId || 'Customer'}`,
-      payerId: p.payerId,
-      payerName: p.payerName,
-      timestamp: p.createdAt || p.syncedAt,
-      status: p.status
-    }));
-
-    // Calculate totals
-    const totalReceived = transactions.reduce((sum, t) => sum + t.amount, 0);
+    const receivable = merchantAccount(merchantId);
+    const merchantAccounts = [receivable, merchantHoldAccount(merchantId)];
+    const entries = await listEntries(merchantAccounts);
+    const vouchers = await vouchersForEntries(entries);
+
+    const transactions = entries.map(e => {
+      const voucher = vouchers.get(e.reference?.voucherId);
+      const payerId = e.reference?.userId;
+      // Dispute holds and releases move money between receivable and hold
+      const net = e.type === 'dispute_hold' || e.type === 'dispute_release'
+        ? netAmount(e, [receivable])
+        : netAmount(e, merchantAccounts);
+      const adjustment = isAdjustmentEntry(e);
+      return withDisplay({
+        id: e.reference?.refundId || (!adjustment && voucher?.voucherId) || e.entryId,
+        type: net >= 0 ? 'credit' : 'debit',
+        ...describeMerchantEntry(e, voucher),
+        amount: Math.abs(net),
+        payerId,
+        payerName: voucher?.payerName,
+        originalVoucherId: adjustment ? e.reference.voucherId : undefined,
+        disputeId: e.reference?.disputeId,
+        timestamp: (!adjustment && voucher?.createdAt) || e.createdAt,
+        status: voucher?.status || 'completed'
+      }, ['amount'], e.currency);
+    });
 
-    res.json({
+    // Held receivables (overspent or disputed vouchers) and payouts are not counted as received
+    const totalReceived = entries
+      .filter(e => e.type !== 'settlement_payout')
+      .reduce((sum, e) => sum + netAmount(e, [receivable]), 0);
+
+    res.json(withDisplay({
       success: true,
       transactions,
       count: transactions.length,
       totalReceived
-    });
+    }, ['totalReceived']));
   } catch (error) {
     console.error("Get merchant transactions error:", error);
     res.status(500).json({ error: "Failed to get transactions" });
   }
 });
 
-connectDB().then(() => {
+connectDB().then(async () => {
+  const migratedAmounts = await migrateAmountsToMinorUnits();
+  if (migratedAmounts > 0) {
+    console.log(`🪙 Converted ${migratedAmounts} stored documents to paise`);
+  }
+  const migratedKeys = await migrateLegacyKeys();
+  if (migratedKeys > 0) {
+    console.log(`🔑 Migrated ${migratedKeys} legacy public keys into the key registry`);
+  }
+  const migratedBalances = await migrateBalancesToLedger();
+  if (migratedBalances > 0) {
+    console.log(`📒 Migrated ${migratedBalances} user balances into the ledger`);
+  }
+  const migratedPayments = await migrateLegacyPayments();
+  if (migratedPayments > 0) {
+    console.log(`💳 Recorded ${migratedPayments} earlier online payments for settlement`);
+  }
+  const migratedMerchants = await migrateLegacyMerchants();
+  if (migratedMerchants > 0) {
+    console.log(`🏪 Approved ${migratedMerchants} merchants registered before onboarding`);
+  }
+  const bootstrapAdmin = await ensureBootstrapAdmin();
+  if (bootstrapAdmin) {
+    console.log(`🛂 Created bootstrap admin ${bootstrapAdmin.email}`);
+  }
+
   const server = app.listen(PORT, () => {
     console.log(`✅ Offline Pay backend running on:`);
     console.log(`   - Local: http://localhost:${PORT}`);
@@ -1279,6 +4117,57 @@ connectDB().then(() => {
     console.log(`✅ Server is ready and listening for connections...`);
     console.log(`✅ Process ID: ${process.pid}`);
     
+    if (SETTLEMENT_INTERVAL_MINUTES > 0) {
+      setInterval(async () => {
+        try {
+          const { batches, failed } = await runSettlementCycle();
+          if (batches.length > 0 || failed.length > 0) {
+            console.log(`🏦 Settled ${batches.length} merchant batch(es), ${failed.length} failed`);
+            await recordAuditOrQueue({
+              actor: { type: 'system', id: 'settlement_scheduler' },
+              action: 'settlement.run',
+              after: { batches: settledBatchSummary(batches), failed },
+            });
+          }
+        } catch (error) {
+          console.error("Settlement cycle error:", error);
+        }
+      }, SETTLEMENT_INTERVAL_MINUTES * 60 * 1000);
+    }
+
+    setInterval(async () => {
+      try {
+        const retried = await retryStalledSettlements();
+        if (retried > 0) {
+          console.log(`🔁 Retried settlement of ${retried} stalled voucher(s)`);
+        }
+      } catch (error) {
+        console.error("Stalled settlement retry error:", error);
+      }
+    }, Math.max(1, SETTLEMENT_CLAIM_TIMEOUT_SECONDS) * 1000);
+
+    setInterval(async () => {
+      try {
+        const appended = await retryQueuedAudits();
+        if (appended > 0) {
+          console.log(`📜 Appended ${appended} queued audit log entries`);
+        }
+      } catch (error) {
+        console.error("Queued audit entries retry error:", error);
+      }
+    }, 60 * 1000);
+
+    setInterval(async () => {
+      try {
+        const expired = await expireStaleIntents();
+        if (expired > 0) {
+          console.log(`⌛ Expired ${expired} unpaid top-up intent(s)`);
+        }
+      } catch (error) {
+        console.error("Top-up expiry error:", error);
+      }
+    }, Math.max(1, TOPUP_INTENT_TTL_MINUTES) * 60 * 1000);
+
     // Log every 5 seconds to show server is alive
     setInterval(() => {
       console.log(`💚 Server still running at ${new Date().toLocaleTimeString()}`);
@@ -0,0 +1,232 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+
+/**
+ * Signing key registry for users and merchants.
+ *
+ * Every key an owner has registered is kept (`user_keys` / `merchant_keys`)
+ * with a validity window [validFrom, validUntil). Registering a new key
+ * closes the window of the current one (status `rotated`); revoking a key
+ * closes its window and marks it `revoked` so signatures made with it are
+ * no longer accepted.
+ *
+ * Owners are passed as `{ userId }` or `{ merchantId }`.
+ *
+ * Keys are bound through a challenge-response: the server issues a nonce,
+ * the device signs keyChallengeMessage(...) with the new key, and only
+ * then is the key registered to the authenticated owner.
+ */
+
+const KEY_CHALLENGE_TTL_MS = 5 * 60 * 1000;
+
+/**
+ * Collections, owner filter and owner type/id for a key owner
+ */
+export function keyStore(owner) {
+  if (owner.merchantId) {
+    return { type: 'merchant', id: owner.merchantId, keys: 'merchant_keys', owners: 'merchants', filter: { merchantId: owner.merchantId } };
+  }
+  return { type: 'user', id: owner.userId, keys: 'user_keys', owners: 'users', filter: { userId: owner.userId } };
+}
+
+/**
+ * Stable key ID derived from the public key
+ */
+export function keyIdFor(publicKeyHex) {
+  return 'K_' + crypto.createHash('sha256').update(publicKeyHex.toLowerCase()).digest('hex').slice(0, 16);
+}
+
+/**
+ * Issue a one-time registration nonce for an owner
+ */
+export async function createKeyChallenge(owner) {
+  const challenge = {
+    challengeId: `KC_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    ...keyStore(owner).filter,
+    nonce: crypto.randomBytes(32).toString('hex'),
+    createdAt: new Date().toISOString(),
+    expireAt: new Date(Date.now() + KEY_CHALLENGE_TTL_MS),
+    used: false,
+  };
+  await getDB().collection('key_challenges').insertOne(challenge);
+  return challenge;
+}
+
+/**
+ * Mark an owner's challenge as used. Returns the challenge, or null if it
+ * does not exist, belongs to someone else, expired or was already used.
+ */
+export async function consumeKeyChallenge(owner, challengeId) {
+  return await getDB().collection('key_challenges').findOneAndUpdate(
+    { challengeId, ...keyStore(owner).filter, used: false, expireAt: { $gt: new Date() } },
+    { $set: { used: true, usedAt: new Date().toISOString() } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * SHA-256 hex digest the device signs to prove possession of a key:
+ * JSON of { nonce, userId | merchantId, publicKeyHex } in that order
+ */
+export function keyChallengeMessage({ nonce, owner, publicKeyHex }) {
+  const payload = { nonce, ...keyStore(owner).filter, publicKeyHex };
+  return crypto.createHash('sha256').update(JSON.stringify(payload)).digest('hex');
+}
+
+/**
+ * Find a registered key by public key hex (any owner of the same kind)
+ */
+export async function findKeyByPublicKey(owner, publicKeyHex) {
+  return await getDB().collection(keyStore(owner).keys).findOne({ keyId: keyIdFor(publicKeyHex) });
+}
+
+/**
+ * Current active key of an owner
+ */
+export async function getActiveKey(owner) {
+  const { keys, filter } = keyStore(owner);
+  return await getDB().collection(keys).findOne({ ...filter, status: 'active' });
+}
+
+/**
+ * Whether an owner has ever registered a key
+ */
+export async function hasRegisteredKey(owner) {
+  const { keys, filter } = keyStore(owner);
+  return (await getDB().collection(keys).countDocuments(filter, { limit: 1 })) > 0;
+}
+
+/**
+ * Key history of an owner, newest first
+ */
+export async function listKeys(owner) {
+  const { keys, filter } = keyStore(owner);
+  return await getDB().collection(keys).find(filter).sort({ validFrom: -1 }).toArray();
+}
+
+/**
+ * Register a new key for an owner, rotating out the current one.
+ * Returns { key, previous }.
+ */
+export async function registerKey(owner, publicKeyHex, metadata = {}) {
+  const db = getDB();
+  const { keys, owners, filter } = keyStore(owner);
+  const now = new Date().toISOString();
+
+  const previous = await db.collection(keys).findOneAndUpdate(
+    { ...filter, status: 'active' },
+    { $set: { status: 'rotated', validUntil: now, rotatedAt: now } }
+  );
+
+  const key = {
+    keyId: keyIdFor(publicKeyHex),
+    ...filter,
+    publicKeyHex,
+    status: 'active',
+    validFrom: now,
+    validUntil: null,
+    createdAt: now,
+    ...metadata,
+  };
+  await db.collection(keys).insertOne(key);
+
+  await db.collection(owners).updateOne(
+    filter,
+    { $set: { publicKeyHex, currentKeyId: key.keyId, registeredAt: now } }
+  );
+
+  return { key, previous };
+}
+
+/**
+ * Revoke one of an owner's keys. Returns the revoked key, or null if the
+ * owner has no such unrevoked key.
+ */
+export async function revokeKey(owner, keyId, reason) {
+  const db = getDB();
+  const { keys, owners, filter } = keyStore(owner);
+  const now = new Date().toISOString();
+
+  const key = await db.collection(keys).findOneAndUpdate(
+    { ...filter, keyId, status: { $ne: 'revoked' } },
+    [
+      {
+        $set: {
+          status: 'revoked',
+          revokedAt: now,
+          revocationReason: { $literal: reason },
+          validUntil: { $ifNull: ['$validUntil', now] },
+        },
+      },
+    ],
+    { returnDocument: 'after' }
+  );
+
+  if (key) {
+    await db.collection(owners).updateOne(
+      { ...filter, currentKeyId: keyId },
+      { $set: { publicKeyHex: null, currentKeyId: null } }
+    );
+  }
+
+  return key;
+}
+
+/**
+ * Resolve the registered key a signature was made with at time `at`.
+ * Returns { key } or { error } when the key is unknown, revoked or was
+ * not valid at that time.
+ */
+export async function resolveKeyAt(owner, publicKeyHex, at) {
+  const { keys, filter } = keyStore(owner);
+  const key = await getDB().collection(keys).findOne({ ...filter, keyId: keyIdFor(publicKeyHex) });
+
+  if (!key) {
+    return { error: 'Key not registered' };
+  }
+  if (key.status === 'revoked') {
+    return { error: 'Key revoked' };
+  }
+
+  const time = new Date(at);
+  if (time < new Date(key.validFrom) || (key.validUntil && time >= new Date(key.validUntil))) {
+    return { error: 'Key not valid at signing time' };
+  }
+
+  return { key };
+}
+
+/**
+ * Backfill the registry with keys stored directly on user documents
+ * before the registry existed
+ */
+export async function migrateLegacyKeys() {
+  const db = getDB();
+  const users = await db.collection('users')
+    .find({ publicKeyHex: { $type: 'string' }, currentKeyId: { $exists: false } })
+    .toArray();
+
+  for (const user of users) {
+    const keyId = keyIdFor(user.publicKeyHex);
+    const validFrom = user.registeredAt || user.createdAt || new Date(0).toISOString();
+    await db.collection('user_keys').updateOne(
+      { keyId },
+      {
+        $setOnInsert: {
+          keyId,
+          userId: user.userId,
+          publicKeyHex: user.publicKeyHex,
+          status: 'active',
+          validFrom,
+          validUntil: null,
+          createdAt: validFrom,
+          source: 'legacy',
+        },
+      },
+      { upsert: true }
+    );
+    await db.collection('users').updateOne({ userId: user.userId }, { $set: { currentKeyId: keyId } });
+  }
+
+  return users.length;
+}
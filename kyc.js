@@ -0,0 +1,347 @@
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { walletAccount, escrowAccount, getAccountBalances, USAGE_COUNTERS } from './ledger.js';
+import { CURRENCY, formatMoney, withDisplay } from './money.js';
+
+dotenv.config();
+
+/**
+ * KYC tiers and the limits attached to them.
+ *
+ * Users and merchants carry a `kycTier` (missing means 'basic'). Limits per
+ * tier, in paise, come from DEFAULT_KYC_LIMITS, overridden by the KYC_LIMITS
+ * env var holding any subset of the same table as JSON, e.g.
+ *   KYC_LIMITS='{"user":{"basic":{"dailySpend":300000}}}'
+ *
+ * User limits:
+ *   perTransaction  largest single payment, transfer or offline voucher
+ *   perLoad         largest single wallet top-up
+ *   dailyLoad       total wallet top-ups per day
+ *   dailySpend      total online payments and transfers per day
+ *   walletBalance   wallet plus offline allowance the user may hold
+ * Merchant limits:
+ *   perTransaction  largest single payment received
+ *   dailyReceive    total payments received per day
+ *
+ * Days start at midnight in LIMITS_UTC_OFFSET_MINUTES (default IST).
+ * Offline vouchers are only checked per voucher: their total is already
+ * bounded by the escrowed allowance, which counts towards walletBalance.
+ *
+ * Daily usage is kept in per-day counters (`usage_counters`, started from
+ * the day's ledger entries on first use). userLimits() / merchantLimits()
+ * check an operation and return the counters and wallet bound its ledger
+ * posting must carry; postEntry() then moves the counters with the money
+ * and fails if a limit was used up in the meantime, so concurrent requests
+ * cannot together pass a limit. Top-up intents reserve their amount on the
+ * day's load counter until they are paid, fail or expire.
+ */
+
+export const KYC_TIERS = ['basic', 'full'];
+export const DEFAULT_KYC_TIER = 'basic';
+
+export const DEFAULT_KYC_LIMITS = {
+  user: {
+    basic: { perTransaction: 100000, perLoad: 100000, dailyLoad: 500000, dailySpend: 500000, walletBalance: 500000 },
+    full: { perTransaction: 500000, perLoad: 1000000, dailyLoad: 5000000, dailySpend: 5000000, walletBalance: 10000000 },
+  },
+  merchant: {
+    basic: { perTransaction: 100000, dailyReceive: 2000000 },
+    full: { perTransaction: 1000000, dailyReceive: 50000000 },
+  },
+};
+
+const UTC_OFFSET_MINUTES = Number(process.env.LIMITS_UTC_OFFSET_MINUTES || 330);
+
+const LIMIT_LABELS = {
+  perTransaction: 'Per-transaction limit',
+  perLoad: 'Per-load limit',
+  dailyLoad: 'Daily load limit',
+  dailySpend: 'Daily spend limit',
+  walletBalance: 'Wallet balance limit',
+  dailyReceive: 'Daily receive limit',
+};
+
+const SPEND_TYPES = ['payment', 'p2p_transfer'];
+const RECEIVE_TYPES = ['payment', 'offline_payment'];
+
+function loadLimitsTable() {
+  const table = structuredClone(DEFAULT_KYC_LIMITS);
+  if (!process.env.KYC_LIMITS) return table;
+
+  try {
+    const override = JSON.parse(process.env.KYC_LIMITS);
+    for (const kind of Object.keys(table)) {
+      for (const tier of KYC_TIERS) {
+        Object.assign(table[kind][tier], override?.[kind]?.[tier]);
+      }
+    }
+  } catch (error) {
+    console.warn('⚠️  Ignoring invalid KYC_LIMITS:', error.message);
+  }
+  return table;
+}
+
+export const KYC_LIMITS = loadLimitsTable();
+
+/**
+ * Limits for a 'user' or 'merchant' at a tier
+ */
+export function tierLimits(kind, tier) {
+  return KYC_LIMITS[kind][KYC_TIERS.includes(tier) ? tier : DEFAULT_KYC_TIER];
+}
+
+/**
+ * Start of the current limits day, as an ISO string
+ */
+export function startOfLimitsDay(now = new Date()) {
+  const offsetMs = UTC_OFFSET_MINUTES * 60 * 1000;
+  const local = new Date(now.getTime() + offsetMs);
+  local.setUTCHours(0, 0, 0, 0);
+  return new Date(local.getTime() - offsetMs).toISOString();
+}
+
+async function sumEntries(filter) {
+  const [row] = await getDB().collection('ledger_entries').aggregate([
+    { $match: { ...filter, createdAt: { $gte: startOfLimitsDay() } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]).toArray();
+  return row?.total || 0;
+}
+
+async function pendingTopups(userId) {
+  const [row] = await getDB().collection('topup_intents').aggregate([
+    { $match: { userId, status: 'created', expiresAt: { $gt: new Date().toISOString() } } },
+    { $group: { _id: null, total: { $sum: '$amount' } } },
+  ]).toArray();
+  return row?.total || 0;
+}
+
+/**
+ * Today's counter for one daily limit of `owner` ('user:<id>' or
+ * 'merchant:<id>'). A missing counter starts from `initialUsage()`, what the
+ * ledger already recorded today.
+ */
+async function dailyCounter(owner, name, initialUsage) {
+  const dayStart = startOfLimitsDay();
+  const counterId = `${owner}:${name}:${dayStart}`;
+  const counters = getDB().collection(USAGE_COUNTERS);
+
+  const counter = await counters.findOne({ _id: counterId });
+  if (counter) return counter;
+
+  try {
+    await counters.insertOne({
+      _id: counterId,
+      used: await initialUsage(),
+      dayStart,
+      // Kept a day longer than needed so intents reserved late in the day can release
+      expireAt: new Date(Date.parse(dayStart) + 2 * 24 * 60 * 60 * 1000),
+    });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+  return await counters.findOne({ _id: counterId });
+}
+
+async function userCounters(userId) {
+  const owner = `user:${userId}`;
+  return {
+    dailyLoad: await dailyCounter(owner, 'dailyLoad', async () =>
+      await sumEntries({ 'reference.userId': userId, type: 'wallet_load' }) + await pendingTopups(userId)),
+    dailySpend: await dailyCounter(owner, 'dailySpend', () =>
+      sumEntries({ 'reference.userId': userId, type: { $in: SPEND_TYPES } })),
+  };
+}
+
+async function merchantCounters(merchantId) {
+  return {
+    dailyReceive: await dailyCounter(`merchant:${merchantId}`, 'dailyReceive', () =>
+      sumEntries({ 'reference.merchantId': merchantId, type: { $in: RECEIVE_TYPES } })),
+  };
+}
+
+/**
+ * Today's usage of a user: { dailyLoad, dailySpend, walletBalance, pendingTopups }.
+ * Top-ups still awaiting payment count towards load and balance headroom.
+ */
+async function userUsage(userId) {
+  const balances = await getAccountBalances([walletAccount(userId), escrowAccount(userId)]);
+  const pending = await pendingTopups(userId);
+  const counters = await userCounters(userId);
+  return {
+    dailyLoad: counters.dailyLoad.used,
+    dailySpend: counters.dailySpend.used,
+    walletBalance: balances[walletAccount(userId)] + balances[escrowAccount(userId)] + pending,
+    pendingTopups: pending,
+    escrow: balances[escrowAccount(userId)],
+    counters,
+  };
+}
+
+async function merchantUsage(merchantId) {
+  const counters = await merchantCounters(merchantId);
+  return { dailyReceive: counters.dailyReceive.used, counters };
+}
+
+// Counter movement for a posting of `amount` against a daily limit
+const counterMove = (counter, amount, max) => ({ counterId: counter._id, amount, ...(max !== undefined && { max }) });
+
+function violation(name, tier, max, used, requested) {
+  return {
+    code: 'KYC_LIMIT_EXCEEDED',
+    reason: `${LIMIT_LABELS[name]} of ${formatMoney(max)} exceeded`,
+    limit: withDisplay(
+      { name, tier, max, used, requested, remaining: Math.max(0, max - used) },
+      ['max', 'used', 'requested', 'remaining']
+    ),
+  };
+}
+
+function firstViolation(checks, tier, requested) {
+  for (const [name, max, used] of checks) {
+    if (used + requested > max) return violation(name, tier, max, used, requested);
+  }
+  return null;
+}
+
+async function findTier(collection, filter) {
+  const account = await getDB().collection(collection).findOne(filter, { projection: { kycTier: 1 } });
+  return account?.kycTier || DEFAULT_KYC_TIER;
+}
+
+/**
+ * Check an operation against a user's tier. `kind` is one of
+ *   'load'     money added from outside (top-up)
+ *   'spend'    online payment or transfer sent
+ *   'offline'  offline voucher paid by the user
+ *   'receive'  money received from another user
+ * Returns { violation: { code, reason, limit: { name, tier, max, used, requested, remaining } } },
+ * or { counters, maxWallet } for the ledger posting: `counters` go to
+ * postEntry() and `maxWallet` (load and receive) bounds the user's wallet line.
+ */
+export async function userLimits(userId, kind, amount) {
+  const tier = await findTier('users', { userId });
+  const limits = tierLimits('user', tier);
+
+  if (kind === 'load' || kind === 'receive') {
+    const usage = await userUsage(userId);
+    const violation = firstViolation([
+      ...(kind === 'load' ? [['perLoad', limits.perLoad, 0], ['dailyLoad', limits.dailyLoad, usage.dailyLoad]] : []),
+      ['walletBalance', limits.walletBalance, usage.walletBalance],
+    ], tier, amount);
+    if (violation) return { violation };
+    return {
+      counters: kind === 'load' ? [counterMove(usage.counters.dailyLoad, amount, limits.dailyLoad)] : [],
+      maxWallet: limits.walletBalance - usage.escrow - usage.pendingTopups,
+    };
+  }
+
+  if (kind === 'spend') {
+    const usage = await userUsage(userId);
+    const violation = firstViolation([
+      ['perTransaction', limits.perTransaction, 0],
+      ['dailySpend', limits.dailySpend, usage.dailySpend],
+    ], tier, amount);
+    if (violation) return { violation };
+    return { counters: [counterMove(usage.counters.dailySpend, amount, limits.dailySpend)] };
+  }
+
+  const violation = firstViolation([['perTransaction', limits.perTransaction, 0]], tier, amount);
+  return violation ? { violation } : { counters: [] };
+}
+
+/**
+ * Check a payment received by a merchant against its tier.
+ * Returns { violation } or { counters } like userLimits().
+ */
+export async function merchantLimits(merchantId, amount) {
+  const tier = await findTier('merchants', { merchantId });
+  const limits = tierLimits('merchant', tier);
+  const usage = await merchantUsage(merchantId);
+  const violation = firstViolation([
+    ['perTransaction', limits.perTransaction, 0],
+    ['dailyReceive', limits.dailyReceive, usage.dailyReceive],
+  ], tier, amount);
+  if (violation) return { violation };
+  return { counters: [counterMove(usage.counters.dailyReceive, amount, limits.dailyReceive)] };
+}
+
+/**
+ * Counter movement recording an offline voucher settled to a merchant.
+ * The payer already handed the money over, so it is counted without a bound.
+ */
+export async function offlineReceiveCounter(merchantId, amount) {
+  const { dailyReceive } = await merchantCounters(merchantId);
+  return counterMove(dailyReceive, amount);
+}
+
+/**
+ * Reserve `counters` for an operation posted later (a top-up intent).
+ * Returns false, with nothing reserved, if a limit would be passed.
+ */
+export async function reserveCounters(counters) {
+  const collection = getDB().collection(USAGE_COUNTERS);
+  const reserved = [];
+  for (const counter of counters) {
+    const result = await collection.updateOne(
+      { _id: counter.counterId, ...(counter.max !== undefined && { used: { $lte: counter.max - counter.amount } }) },
+      { $inc: { used: counter.amount } }
+    );
+    if (result.modifiedCount !== 1) {
+      await releaseCounters(reserved);
+      return false;
+    }
+    reserved.push(counter);
+  }
+  return true;
+}
+
+/**
+ * Give back counters taken by reserveCounters()
+ */
+export async function releaseCounters(counters) {
+  const collection = getDB().collection(USAGE_COUNTERS);
+  for (const counter of counters) {
+    await collection.updateOne({ _id: counter.counterId }, { $inc: { used: -counter.amount } });
+  }
+}
+
+/**
+ * Tier, limits, today's usage and remaining headroom of a user or merchant
+ */
+export async function getLimitStatus({ userId, merchantId }) {
+  const kind = userId ? 'user' : 'merchant';
+  const tier = userId ? await findTier('users', { userId }) : await findTier('merchants', { merchantId });
+  const limits = tierLimits(kind, tier);
+  const { counters, escrow, ...usage } = userId ? await userUsage(userId) : await merchantUsage(merchantId);
+
+  const remaining = {};
+  for (const name of Object.keys(limits)) {
+    remaining[name] = Math.max(0, limits[name] - (usage[name] || 0));
+  }
+  const formatted = (amounts) => Object.fromEntries(Object.entries(amounts).map(([k, v]) => [k, formatMoney(v)]));
+  return {
+    tier,
+    limits,
+    usage,
+    remaining,
+    currency: CURRENCY,
+    display: { limits: formatted(limits), usage: formatted(usage), remaining: formatted(remaining) },
+    dayStartedAt: startOfLimitsDay(),
+  };
+}
+
+/**
+ * Set the KYC tier of a user or merchant. Returns the updated account, with
+ * the tier it had before as `previousKycTier`, or null.
+ */
+export async function setKycTier({ userId, merchantId }, tier, adminId = null) {
+  const collection = userId ? 'users' : 'merchants';
+  const update = { kycTier: tier, kycUpdatedAt: new Date().toISOString(), kycUpdatedBy: adminId };
+  const previous = await getDB().collection(collection).findOneAndUpdate(
+    userId ? { userId } : { merchantId },
+    { $set: update },
+    { returnDocument: 'before', projection: { passwordHash: 0 } }
+  );
+  return previous && { ...previous, ...update, previousKycTier: previous.kycTier || DEFAULT_KYC_TIER };
+}
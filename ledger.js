@@ -0,0 +1,389 @@
+import crypto from 'crypto';
+import { getDB, supportsTransactions, withTransaction } from './db.js';
+import { CURRENCY, roundToMinorUnits } from './money.js';
+
+/**
+ * Double-entry ledger.
+ *
+ * Every money movement is a journal entry in `ledger_entries` whose lines
+ * sum to zero. A line's `amount` is added to its account: positive means
+ * the account holder gains money. Amounts are integer paise of CURRENCY,
+ * so sums are exact. Account balances are cached in
+ * `ledger_accounts` and can always be re-derived from the journal.
+ *
+ * Accounts:
+ *   wallet:<userId>           spendable user wallet
+ *   escrow:<userId>           offline allowance locked for vouchers
+ *   debt:<userId>             offline overdraft owed by the user (<= 0)
+ *   merchant:<merchantId>     amount receivable by the merchant
+ *   merchant_hold:<merchantId> receivables held for fraud review or disputes
+ *   wallet_hold:<userId>      P2P receipts held for fraud review
+ *   system:float              money entering / leaving the system
+ *   system:fees               fees earned by the platform
+ */
+
+export const SYSTEM_FLOAT = 'system:float';
+export const SYSTEM_FEES = 'system:fees';
+
+// Daily limit usage moved together with postings (see kyc.js)
+export const USAGE_COUNTERS = 'usage_counters';
+
+export function walletAccount(userId) {
+  return `wallet:${userId}`;
+}
+
+export function escrowAccount(userId) {
+  return `escrow:${userId}`;
+}
+
+export function debtAccount(userId) {
+  return `debt:${userId}`;
+}
+
+export function merchantAccount(merchantId) {
+  return `merchant:${merchantId}`;
+}
+
+export function merchantHoldAccount(merchantId) {
+  return `merchant_hold:${merchantId}`;
+}
+
+export function walletHoldAccount(userId) {
+  return `wallet_hold:${userId}`;
+}
+
+function accountOwner(accountId) {
+  const separator = accountId.indexOf(':');
+  return { type: accountId.slice(0, separator), ownerId: accountId.slice(separator + 1) };
+}
+
+/**
+ * Cached state of an account as { accountId, balance, version }.
+ * Accounts that were never posted to have balance 0 and version 0.
+ */
+export async function getAccount(accountId) {
+  const account = await getDB().collection('ledger_accounts').findOne({ accountId });
+  return { accountId, balance: account?.balance || 0, version: account?.version || 0 };
+}
+
+/**
+ * Cached balance of an account (0 if it has never been posted to)
+ */
+export async function getAccountBalance(accountId) {
+  return (await getAccount(accountId)).balance;
+}
+
+/**
+ * Cached balances for several accounts, as { accountId: balance }
+ */
+export async function getAccountBalances(accountIds) {
+  const found = await getDB().collection('ledger_accounts')
+    .find({ accountId: { $in: accountIds } })
+    .toArray();
+  const balances = Object.fromEntries(accountIds.map(id => [id, 0]));
+  for (const account of found) {
+    balances[account.accountId] = account.balance;
+  }
+  return balances;
+}
+
+/**
+ * Re-derive an account balance from the journal
+ */
+export async function deriveAccountBalance(accountId) {
+  const [result] = await getDB().collection('ledger_entries').aggregate([
+    { $match: { 'lines.accountId': accountId } },
+    { $unwind: '$lines' },
+    { $match: { 'lines.accountId': accountId } },
+    { $group: { _id: null, balance: { $sum: '$lines.amount' } } },
+  ]).toArray();
+  return result?.balance || 0;
+}
+
+// Thrown inside a transaction to abort it when a line cannot be applied
+class LineRejected extends Error {}
+
+/**
+ * Apply one line to its account in a single conditional update.
+ * Returns the updated account, or null if a bound or the expected
+ * version did not hold.
+ */
+async function applyLine(line, now, session) {
+  const filter = { accountId: line.accountId };
+  if (line.min !== undefined) filter.balance = { $gte: line.min - line.amount };
+  if (line.max !== undefined) filter.balance = { ...filter.balance, $lte: line.max - line.amount };
+  if (line.expectedVersion !== undefined) {
+    // A missing account is at version 0
+    filter.version = line.expectedVersion === 0 ? { $in: [0, null] } : line.expectedVersion;
+  }
+  // A missing account starts at 0, so a line may create it if that start is within its bounds
+  const bounded = line.min !== undefined || line.max !== undefined;
+  const upsert = (line.min === undefined || line.amount >= line.min) && (line.max === undefined || line.amount <= line.max);
+
+  try {
+    return await getDB().collection('ledger_accounts').findOneAndUpdate(
+      filter,
+      {
+        $inc: { balance: line.amount, version: 1 },
+        $set: { updatedAt: now },
+        $setOnInsert: { ...accountOwner(line.accountId), currency: CURRENCY, createdAt: now },
+      },
+      { upsert, returnDocument: 'after', session }
+    );
+  } catch (error) {
+    // The upsert found the account at another version, or outside the bounds
+    if (error.code === 11000 && (line.expectedVersion !== undefined || bounded)) return null;
+    throw error;
+  }
+}
+
+/**
+ * Add a posting's amount to a usage counter in one conditional update.
+ * Returns false if the counter would pass its `max` (or does not exist yet
+ * while bounded).
+ */
+async function applyCounter(counter, session) {
+  const filter = { _id: counter.counterId };
+  if (counter.max !== undefined) filter.used = { $lte: counter.max - counter.amount };
+
+  const result = await getDB().collection(USAGE_COUNTERS).updateOne(
+    filter,
+    { $inc: { used: counter.amount } },
+    { upsert: counter.max === undefined, session }
+  );
+  return result.matchedCount + result.upsertedCount === 1;
+}
+
+async function reverseCounters(applied) {
+  const counters = getDB().collection(USAGE_COUNTERS);
+  for (const counter of applied) {
+    await counters.updateOne({ _id: counter.counterId }, { $inc: { used: -counter.amount } });
+  }
+}
+
+// Remove documents stored for a posting that did not go through
+async function removeDocuments(inserted) {
+  for (const { collection, document } of inserted) {
+    await getDB().collection(collection).deleteOne({ _id: document._id });
+  }
+}
+
+/**
+ * Undo account balance changes of lines that were applied without an entry
+ */
+async function reverseLines(applied) {
+  const accounts = getDB().collection('ledger_accounts');
+  for (const line of applied) {
+    await accounts.updateOne({ accountId: line.accountId }, { $inc: { balance: -line.amount, version: 1 } });
+  }
+}
+
+function buildEntry({ type, postable, applied, reference, idempotencyKey, now }) {
+  const entry = {
+    entryId: `JE_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    type,
+    amount: postable.filter(line => line.amount > 0).reduce((sum, line) => sum + line.amount, 0),
+    currency: CURRENCY,
+    lines: applied,
+    reference,
+    createdAt: now,
+  };
+  if (idempotencyKey) entry.idempotencyKey = idempotencyKey;
+  return entry;
+}
+
+/**
+ * Post a balanced journal entry.
+ *
+ * lines: [{ accountId, amount, min?, max?, expectedVersion? }] - amounts
+ * are integer paise; `min` /
+ * `max` bound the account balance after the posting (e.g. min: 0 for "no
+ * overdraft"); `expectedVersion` fails the line if the account changed
+ * since it was read. Returns the stored entry, or null if any condition
+ * fails (nothing is posted in that case). With an `idempotencyKey`,
+ * posting the same key again returns the first entry.
+ *
+ * counters: [{ counterId, amount, max? }] - daily limit usage counters
+ * moved with the posting, so a limit is checked and used up in one step;
+ * `max` fails the posting if the counter would pass it.
+ *
+ * documents: [{ collection, document }] - records stored by the posting
+ * itself (e.g. the voucher it settles), so neither exists without the
+ * other. A document that is already stored fails the posting with its
+ * duplicate key error; an `idempotencyKey` is then not replayed.
+ *
+ * On a replica set the account updates and the journal insert commit in
+ * one transaction. On a standalone server each account update is still
+ * atomic and applied lines are reversed if a later one fails.
+ */
+export async function postEntry({ type, lines, reference = {}, idempotencyKey = null, counters = [], documents = [] }) {
+  const entries = getDB().collection('ledger_entries');
+  const replayable = idempotencyKey && documents.length === 0;
+
+  if (replayable) {
+    const existing = await entries.findOne({ idempotencyKey });
+    if (existing) return existing;
+  }
+
+  // Zero lines are kept only when they pin an account version
+  const postable = lines.filter(line => line.amount !== 0 || line.expectedVersion !== undefined);
+  const fractional = postable.find(line => !Number.isSafeInteger(line.amount));
+  if (fractional) {
+    throw new Error(`Ledger amounts must be integer paise (${type}): ${fractional.accountId} got ${fractional.amount}`);
+  }
+  const total = postable.reduce((sum, line) => sum + line.amount, 0);
+  if (total !== 0) {
+    throw new Error(`Unbalanced ledger entry (${type}): lines sum to ${total}`);
+  }
+
+  const now = new Date().toISOString();
+  const appliedLine = (line, account) => ({
+    accountId: line.accountId,
+    amount: line.amount,
+    balanceAfter: account.balance,
+    versionAfter: account.version,
+  });
+
+  try {
+    if (supportsTransactions()) {
+      return await withTransaction(async (session) => {
+        const applied = [];
+        for (const line of postable) {
+          const account = await applyLine(line, now, session);
+          if (!account) throw new LineRejected();
+          applied.push(appliedLine(line, account));
+        }
+        for (const counter of counters) {
+          if (!await applyCounter(counter, session)) throw new LineRejected();
+        }
+        for (const { collection, document } of documents) {
+          await getDB().collection(collection).insertOne(document, { session });
+        }
+        const entry = buildEntry({ type, postable, applied, reference, idempotencyKey, now });
+        await entries.insertOne(entry, { session });
+        return entry;
+      });
+    }
+
+    const applied = [];
+    for (const line of postable) {
+      const account = await applyLine(line, now);
+      if (!account) {
+        await reverseLines(applied);
+        return null;
+      }
+      applied.push(appliedLine(line, account));
+    }
+    const appliedCounters = [];
+    for (const counter of counters) {
+      if (!await applyCounter(counter)) {
+        await reverseCounters(appliedCounters);
+        await reverseLines(applied);
+        return null;
+      }
+      appliedCounters.push(counter);
+    }
+
+    const entry = buildEntry({ type, postable, applied, reference, idempotencyKey, now });
+    const inserted = [];
+    try {
+      for (const stored of documents) {
+        await getDB().collection(stored.collection).insertOne(stored.document);
+        inserted.push(stored);
+      }
+      await entries.insertOne(entry);
+    } catch (error) {
+      await removeDocuments(inserted);
+      await reverseCounters(appliedCounters);
+      await reverseLines(applied);
+      throw error;
+    }
+    return entry;
+  } catch (error) {
+    if (error instanceof LineRejected) return null;
+    // Lost a race with a concurrent posting of the same key
+    if (error.code === 11000 && replayable) {
+      return await entries.findOne({ idempotencyKey });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Journal entries touching any of the given accounts, newest first
+ */
+export async function listEntries(accountIds, { limit = 200 } = {}) {
+  return await getDB().collection('ledger_entries')
+    .find({ 'lines.accountId': { $in: accountIds } })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Net effect of an entry on a set of accounts
+ */
+export function netAmount(entry, accountIds) {
+  return entry.lines
+    .filter(line => accountIds.includes(line.accountId))
+    .reduce((sum, line) => sum + line.amount, 0);
+}
+
+/**
+ * Move balances kept on user documents (wallet `balance` and
+ * `offlineAllowance`) into the ledger as opening entries
+ */
+export async function migrateBalancesToLedger() {
+  const db = getDB();
+  const users = await db.collection('users')
+    .find({ $or: [{ balance: { $exists: true } }, { offlineAllowance: { $exists: true } }] })
+    .toArray();
+
+  for (const user of users) {
+    // Legacy user documents kept rupees
+    const wallet = roundToMinorUnits(user.balance);
+    const escrow = roundToMinorUnits(user.offlineAllowance?.balance);
+    const debt = roundToMinorUnits(user.offlineAllowance?.debt);
+
+    if (wallet || escrow || debt) {
+      await postEntry({
+        type: 'opening_balance',
+        lines: [
+          { accountId: walletAccount(user.userId), amount: wallet },
+          { accountId: escrowAccount(user.userId), amount: escrow },
+          { accountId: debtAccount(user.userId), amount: -debt },
+          { accountId: SYSTEM_FLOAT, amount: -(wallet + escrow - debt) },
+        ],
+        reference: { userId: user.userId },
+        idempotencyKey: `opening:${user.userId}`,
+      });
+    }
+
+    await db.collection('users').updateOne(
+      { userId: user.userId },
+      {
+        $set: { ledgerMigratedAt: new Date().toISOString() },
+        $unset: { balance: '', offlineAllowance: '' },
+        $rename: { balanceHistory: 'legacyBalanceHistory' },
+      }
+    );
+  }
+
+  return users.length;
+}
+
+/**
+ * Balance of an account right after an entry was posted (null if untouched)
+ */
+export function balanceAfter(entry, accountId) {
+  const line = entry.lines.find(l => l.accountId === accountId);
+  return line ? line.balanceAfter : null;
+}
+
+/**
+ * Version of an account right after an entry was posted (null if untouched)
+ */
+export function versionAfter(entry, accountId) {
+  const line = entry.lines.find(l => l.accountId === accountId);
+  return line?.versionAfter ?? null;
+}
@@ -0,0 +1,210 @@
+import { getDB } from './db.js';
+
+/**
+ * Money amounts.
+ *
+ * Every amount the server stores, computes with or returns is an integer
+ * number of minor units (paise) of its `currency`. Responses carry a
+ * `display` map with formatted values for the UI, e.g.
+ *   { balance: 12550, currency: 'INR', display: { balance: '₹125.50' } }
+ *
+ * Offline vouchers and certificates are signed over rupee amounts, so they
+ * keep major units on the wire: toMinorUnits() converts them on arrival and
+ * refuses anything finer than one paisa.
+ */
+
+export const CURRENCY = 'INR';
+
+const MINOR_UNITS = { INR: 100 };
+
+/**
+ * True for a positive whole number of minor units
+ */
+export function isMinorAmount(value) {
+  return Number.isSafeInteger(value) && value > 0;
+}
+
+/**
+ * Read a paise amount from a request body. Amounts are sent as
+ * `<field>Minor`; the plain `<field>` (rupees in older clients) is refused
+ * rather than misread. Returns { value } (undefined when optional and
+ * absent) or { error }.
+ */
+export function readMinorAmount(body, field, { optional = false } = {}) {
+  const minorField = `${field}Minor`;
+  if (body?.[field] !== undefined) {
+    return { error: `${field} is no longer accepted, send ${minorField} as a whole number of paise` };
+  }
+
+  const value = body?.[minorField];
+  if (value === undefined && optional) return { value };
+  if (!isMinorAmount(value)) {
+    return { error: `${minorField} must be a positive whole number of paise` };
+  }
+  return { value };
+}
+
+/**
+ * Convert a major-unit amount (rupees) to minor units, or null if it is
+ * not a finite number or has sub-paisa precision
+ */
+export function toMinorUnits(major, currency = CURRENCY) {
+  if (typeof major !== 'number' || !Number.isFinite(major)) return null;
+  const scaled = major * MINOR_UNITS[currency];
+  const minor = Math.round(scaled);
+  // Tolerate binary noise such as 0.1 + 0.2, not a third decimal place
+  if (Math.abs(scaled - minor) > 1e-6 || !Number.isSafeInteger(minor)) return null;
+  return minor;
+}
+
+/**
+ * Round a legacy major-unit amount to the nearest minor unit
+ */
+export function roundToMinorUnits(major, currency = CURRENCY) {
+  return Math.round((major || 0) * MINOR_UNITS[currency]);
+}
+
+/**
+ * Major-unit value of a minor amount, for signed wire formats only
+ */
+export function toMajorUnits(minor, currency = CURRENCY) {
+  return minor / MINOR_UNITS[currency];
+}
+
+/**
+ * Format minor units for display, e.g. 12550 -> '₹125.50'
+ */
+export function formatMoney(minor, currency = CURRENCY) {
+  return new Intl.NumberFormat('en-IN', { style: 'currency', currency }).format(toMajorUnits(minor, currency));
+}
+
+/**
+ * Add `currency` and a `display` map of formatted amounts to a response object
+ */
+export function withDisplay(body, fields, currency = CURRENCY) {
+  const display = {};
+  for (const field of fields) {
+    if (typeof body[field] === 'number') display[field] = formatMoney(body[field], currency);
+  }
+  return { ...body, currency, display };
+}
+
+// ---- Migration of stored major-unit amounts ----
+
+const MIGRATION_ID = 'amounts_minor_units';
+const MIGRATION_FLAG = 'minorUnitsPending';
+
+const scaled = (expr) => ({
+  $cond: [{ $isNumber: expr }, { $round: [{ $multiply: [expr, MINOR_UNITS[CURRENCY]] }, 0] }, expr],
+});
+
+const scaledFields = (prefix, fields) => Object.fromEntries(fields.map(f => [f, scaled(`${prefix}.${f}`)]));
+
+// Scale fields of an embedded document, leaving missing or null documents alone
+const embedded = (field, fields) => ({
+  $cond: [
+    { $eq: [{ $type: `$${field}` }, 'object'] },
+    { $mergeObjects: [`$${field}`, scaledFields(`$${field}`, fields)] },
+    `$${field}`,
+  ],
+});
+
+// Scale fields of every element of an embedded array
+const eachOf = (field, fields, extra = {}) => ({
+  $cond: [
+    { $isArray: `$${field}` },
+    { $map: { input: `$${field}`, in: { $mergeObjects: ['$$this', scaledFields('$$this', fields), extra] } } },
+    `$${field}`,
+  ],
+});
+
+const withCurrency = { currency: { $ifNull: ['$currency', CURRENCY] } };
+
+const MIGRATIONS = {
+  ledger_accounts: { balance: scaled('$balance'), ...withCurrency },
+  ledger_entries: {
+    amount: scaled('$amount'),
+    lines: eachOf('lines', ['amount', 'balanceAfter']),
+    reference: embedded('reference', ['grossAmount', 'adjustmentAmount']),
+    ...withCurrency,
+  },
+  vouchers: {
+    amount: scaled('$amount'),
+    refundedAmount: scaled('$refundedAmount'),
+    reversedAmount: scaled('$reversedAmount'),
+    settlement: embedded('settlement', ['fromAllowance', 'debt']),
+    ...withCurrency,
+  },
+  certificates: { spent: scaled('$spent'), spendLimit: scaled('$offlineLimit') },
+  settlement_batches: {
+    grossAmount: scaled('$grossAmount'),
+    adjustmentAmount: scaled('$adjustmentAmount'),
+    feeAmount: scaled('$feeAmount'),
+    netAmount: scaled('$netAmount'),
+    ...withCurrency,
+  },
+  refunds: { amount: scaled('$amount'), ...withCurrency },
+  disputes: { amount: scaled('$amount'), ...withCurrency },
+  topup_intents: { amount: scaled('$amount') },
+  mock_gateway_orders: { amount: scaled('$amount') },
+  review_queue: { amount: scaled('$amount') },
+  fraud_cases: {
+    totalExposure: scaled('$totalExposure'),
+    totalOverspend: scaled('$totalOverspend'),
+    totalSpent: scaled('$totalSpent'),
+    limit: scaled('$limit'),
+    vouchers: eachOf('vouchers', ['amount', 'overspend'], {
+      conflictsWith: {
+        $cond: [
+          { $eq: [{ $type: '$$this.conflictsWith' }, 'object'] },
+          { $mergeObjects: ['$$this.conflictsWith', { amount: scaled('$$this.conflictsWith.amount') }] },
+          '$$this.conflictsWith',
+        ],
+      },
+    }),
+  },
+  merchants: { voucherPolicy: embedded('voucherPolicy', ['maxAmount']) },
+};
+
+/**
+ * Convert amounts stored in rupees to paise and stamp `currency`.
+ *
+ * Documents present when the migration starts are flagged first, then
+ * converted and unflagged one by one in a single update each, so an
+ * interrupted run resumes without scaling anything twice. Runs before the
+ * server accepts requests. Returns the number of documents converted.
+ */
+export async function migrateAmountsToMinorUnits() {
+  const db = getDB();
+  const migrations = db.collection('migrations');
+
+  const state = await migrations.findOne({ _id: MIGRATION_ID });
+  if (state?.status === 'done') return 0;
+
+  if (!state || state.status === 'flagging') {
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      { $set: { status: 'flagging', startedAt: new Date().toISOString() } },
+      { upsert: true }
+    );
+    for (const collection of Object.keys(MIGRATIONS)) {
+      await db.collection(collection).updateMany({}, { $set: { [MIGRATION_FLAG]: true } });
+    }
+    await migrations.updateOne({ _id: MIGRATION_ID }, { $set: { status: 'converting' } });
+  }
+
+  let converted = 0;
+  for (const [collection, fields] of Object.entries(MIGRATIONS)) {
+    const result = await db.collection(collection).updateMany(
+      { [MIGRATION_FLAG]: true },
+      [{ $set: fields }, { $unset: MIGRATION_FLAG }]
+    );
+    converted += result.modifiedCount;
+  }
+
+  await migrations.updateOne(
+    { _id: MIGRATION_ID },
+    { $set: { status: 'done', completedAt: new Date().toISOString(), converted } }
+  );
+  return converted;
+}
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { toMinorUnits } from './money.js';
+
+test('toMinorUnits converts rupees to paise', () => {
+  assert.equal(toMinorUnits(125.5), 12550);
+  assert.equal(toMinorUnits(0), 0);
+  assert.equal(toMinorUnits(-3.25), -325);
+});
+
+test('toMinorUnits tolerates binary noise but not a third decimal place', () => {
+  assert.equal(toMinorUnits(0.1 + 0.2), 30);
+  assert.equal(toMinorUnits(1.005), null);
+  assert.equal(toMinorUnits(10.001), null);
+});
+
+test('toMinorUnits rejects non-numbers and unsafe amounts', () => {
+  assert.equal(toMinorUnits('10'), null);
+  assert.equal(toMinorUnits(NaN), null);
+  assert.equal(toMinorUnits(Infinity), null);
+  assert.equal(toMinorUnits(Number.MAX_SAFE_INTEGER), null);
+});
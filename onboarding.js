@@ -0,0 +1,244 @@
+import { getDB } from './db.js';
+
+/**
+ * Merchant onboarding and verification.
+ *
+ * not_submitted -> submitted -> approved | rejected | changes_requested
+ * changes_requested -> submitted (resubmission)
+ *
+ * Merchants submit business details and documents; an admin approves,
+ * rejects or asks for changes. Approval sets `isVerified`, which gates what
+ * the merchant can do: vouchers synced before it are stored as `held` and
+ * only settled once the merchant is approved, online payments and payouts
+ * need a verified merchant. `isVerified` is the one flag every check reads.
+ * Rejection is final. Every transition is appended to `onboarding.history`.
+ */
+
+export const ONBOARDING_STATUSES = ['not_submitted', 'submitted', 'changes_requested', 'approved', 'rejected'];
+
+export const BUSINESS_TYPES = ['individual', 'proprietorship', 'partnership', 'company'];
+
+export const DOCUMENT_TYPES = ['pan_card', 'business_registration', 'address_proof', 'bank_proof', 'gst_certificate'];
+const REQUIRED_DOCUMENTS = ['pan_card', 'address_proof', 'bank_proof'];
+
+// Admin decisions and the status each one leads to
+export const REVIEW_DECISIONS = {
+  approve: 'approved',
+  reject: 'rejected',
+  'request-changes': 'changes_requested',
+};
+
+const SUBMITTABLE_STATUSES = ['not_submitted', 'changes_requested'];
+
+const PAN_PATTERN = /^[A-Z]{5}[0-9]{4}[A-Z]$/;
+const GSTIN_PATTERN = /^[0-9]{2}[A-Z]{5}[0-9]{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const IFSC_PATTERN = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const ACCOUNT_NUMBER_PATTERN = /^[0-9]{9,18}$/;
+
+function historyEntry(status, actor, note = null) {
+  return { status, at: new Date().toISOString(), by: actor, note };
+}
+
+const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+
+/**
+ * Validate an onboarding application, returns { application } or { error }
+ */
+export function parseApplication(body) {
+  const { legalName, businessType, pan, gstin, address, bankAccount, documents } = body;
+
+  if (!isText(legalName)) {
+    return { error: 'legalName is required' };
+  }
+  if (!BUSINESS_TYPES.includes(businessType)) {
+    return { error: `businessType must be one of ${BUSINESS_TYPES.join(', ')}` };
+  }
+  if (typeof pan !== 'string' || !PAN_PATTERN.test(pan)) {
+    return { error: 'pan must be a valid PAN (e.g. ABCDE1234F)' };
+  }
+  if (gstin !== undefined && (typeof gstin !== 'string' || !GSTIN_PATTERN.test(gstin))) {
+    return { error: 'gstin must be a valid 15-character GSTIN' };
+  }
+  if (!isText(address)) {
+    return { error: 'address is required' };
+  }
+  if (!bankAccount || !isText(bankAccount.holderName)
+    || typeof bankAccount.accountNumber !== 'string' || !ACCOUNT_NUMBER_PATTERN.test(bankAccount.accountNumber)
+    || typeof bankAccount.ifsc !== 'string' || !IFSC_PATTERN.test(bankAccount.ifsc)) {
+    return { error: 'bankAccount must be { holderName, accountNumber, ifsc } with a valid account number and IFSC' };
+  }
+
+  const validDocuments = Array.isArray(documents) && documents.every(doc =>
+    doc && DOCUMENT_TYPES.includes(doc.type) && isText(doc.value)
+  );
+  if (!validDocuments) {
+    return { error: `documents must be a list of { type, value } with type one of ${DOCUMENT_TYPES.join(', ')}` };
+  }
+  const missing = REQUIRED_DOCUMENTS.filter(type => !documents.some(doc => doc.type === type));
+  if (missing.length > 0) {
+    return { error: `Missing documents: ${missing.join(', ')}` };
+  }
+
+  return {
+    application: {
+      legalName: legalName.trim(),
+      businessType,
+      pan,
+      ...(gstin !== undefined && { gstin }),
+      address: address.trim(),
+      bankAccount: {
+        holderName: bankAccount.holderName.trim(),
+        accountNumber: bankAccount.accountNumber,
+        ifsc: bankAccount.ifsc,
+      },
+      documents: documents.map(({ type, value }) => ({ type, value })),
+    },
+  };
+}
+
+/**
+ * Onboarding document of a newly registered merchant
+ */
+export function initialOnboarding() {
+  return { status: 'not_submitted', revision: 0, history: [] };
+}
+
+/**
+ * Approve merchants that registered before onboarding existed: they were
+ * already being paid, so they stay verified instead of having their
+ * vouchers held. New merchants get an onboarding document when they
+ * register, so only those older accounts match. Returns how many were migrated.
+ */
+export async function migrateLegacyMerchants() {
+  const now = new Date().toISOString();
+  const result = await getDB().collection('merchants').updateMany(
+    { onboarding: { $exists: false } },
+    {
+      $set: {
+        onboarding: {
+          status: 'approved',
+          revision: 0,
+          reviewNote: 'Registered before merchant onboarding',
+          reviewedAt: now,
+          reviewedBy: null,
+          history: [historyEntry('approved', { role: 'system', id: 'migration' }, 'Registered before merchant onboarding')],
+        },
+        isVerified: true,
+        verifiedAt: now,
+        updatedAt: now,
+      },
+    }
+  );
+  return result.modifiedCount;
+}
+
+/**
+ * Onboarding status of a merchant document
+ */
+export function onboardingStatus(merchant) {
+  return merchant?.onboarding?.status || 'not_submitted';
+}
+
+/**
+ * Onboarding state as returned by the API
+ */
+export function formatOnboarding(merchant) {
+  const onboarding = merchant.onboarding || {};
+  return {
+    merchantId: merchant.merchantId,
+    businessName: merchant.businessName,
+    status: onboardingStatus(merchant),
+    isVerified: merchant.isVerified || false,
+    application: onboarding.application || null,
+    revision: onboarding.revision || 0,
+    reviewNote: onboarding.reviewNote || null,
+    submittedAt: onboarding.submittedAt || null,
+    reviewedAt: onboarding.reviewedAt || null,
+    history: onboarding.history || [],
+  };
+}
+
+/**
+ * True if the merchant passed onboarding
+ */
+export async function isMerchantVerified(merchantId) {
+  const merchant = await getDB().collection('merchants').findOne({ merchantId }, { projection: { isVerified: 1 } });
+  return merchant?.isVerified === true;
+}
+
+/**
+ * Submit (or resubmit after changes were requested) an application.
+ * Returns { merchant } or { status, error }.
+ */
+export async function submitApplication(merchantId, application) {
+  const merchants = getDB().collection('merchants');
+  const now = new Date().toISOString();
+
+  const merchant = await merchants.findOneAndUpdate(
+    {
+      merchantId,
+      $or: [{ 'onboarding.status': { $in: SUBMITTABLE_STATUSES } }, { onboarding: { $exists: false } }],
+    },
+    {
+      $set: {
+        'onboarding.status': 'submitted',
+        'onboarding.application': application,
+        'onboarding.submittedAt': now,
+        updatedAt: now,
+      },
+      $inc: { 'onboarding.revision': 1 },
+      $push: { 'onboarding.history': historyEntry('submitted', { role: 'merchant', id: merchantId }) },
+    },
+    { returnDocument: 'after', projection: { passwordHash: 0 } }
+  );
+  if (merchant) {
+    return { merchant };
+  }
+
+  const current = await merchants.findOne({ merchantId });
+  if (!current) {
+    return { status: 404, error: 'Merchant not found' };
+  }
+  return { status: 409, error: `Application cannot be submitted while ${onboardingStatus(current)}` };
+}
+
+/**
+ * Record an admin decision ('approved', 'rejected' or 'changes_requested')
+ * on a submitted application. Returns { merchant } or { status, error }.
+ */
+export async function reviewApplication({ merchantId, status, note = null, adminId = null }) {
+  const now = new Date().toISOString();
+  const merchant = await getDB().collection('merchants').findOneAndUpdate(
+    { merchantId, 'onboarding.status': 'submitted' },
+    {
+      $set: {
+        'onboarding.status': status,
+        'onboarding.reviewNote': note,
+        'onboarding.reviewedAt': now,
+        'onboarding.reviewedBy': adminId,
+        isVerified: status === 'approved',
+        ...(status === 'approved' && { verifiedAt: now }),
+        updatedAt: now,
+      },
+      $push: { 'onboarding.history': historyEntry(status, { role: 'admin', id: adminId }, note) },
+    },
+    { returnDocument: 'after', projection: { passwordHash: 0 } }
+  );
+  if (!merchant) {
+    return { status: 404, error: 'Merchant not found or no application awaiting review' };
+  }
+  return { merchant };
+}
+
+/**
+ * Merchants by onboarding status, oldest submission first
+ */
+export async function listApplications(status = 'submitted') {
+  const filter = status === 'not_submitted'
+    ? { $or: [{ 'onboarding.status': status }, { onboarding: { $exists: false } }] }
+    : { 'onboarding.status': status };
+  return await getDB().collection('merchants')
+    .find(filter, { projection: { passwordHash: 0 } })
+    .sort({ 'onboarding.submittedAt': 1 })
+    .toArray();
+}
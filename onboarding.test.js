@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseApplication } from './onboarding.js';
+
+const valid = {
+  legalName: '  Sharma Stores ',
+  businessType: 'proprietorship',
+  pan: 'ABCDE1234F',
+  address: ' 12 MG Road, Pune ',
+  bankAccount: { holderName: 'Sharma Stores', accountNumber: '123456789012', ifsc: 'HDFC0001234' },
+  documents: [
+    { type: 'pan_card', value: 'doc-1', extra: 'dropped' },
+    { type: 'address_proof', value: 'doc-2' },
+    { type: 'bank_proof', value: 'doc-3' },
+  ],
+};
+
+test('parseApplication trims and keeps only known fields', () => {
+  const { application, error } = parseApplication({ ...valid, isVerified: true });
+  assert.equal(error, undefined);
+  assert.equal(application.legalName, 'Sharma Stores');
+  assert.equal(application.address, '12 MG Road, Pune');
+  assert.equal('isVerified' in application, false);
+  assert.equal('gstin' in application, false);
+  assert.deepEqual(application.documents[0], { type: 'pan_card', value: 'doc-1' });
+});
+
+test('parseApplication accepts a valid GSTIN', () => {
+  assert.equal(parseApplication({ ...valid, gstin: '27ABCDE1234F1Z5' }).application.gstin, '27ABCDE1234F1Z5');
+});
+
+test('parseApplication rejects invalid fields', () => {
+  const invalid = {
+    legalName: ' ',
+    businessType: 'trust',
+    pan: 'abcde1234f',
+    gstin: '27ABCDE1234F1Z',
+    address: undefined,
+    bankAccount: { ...valid.bankAccount, ifsc: 'HDFC1001234' },
+  };
+  for (const [field, value] of Object.entries(invalid)) {
+    const { error } = parseApplication({ ...valid, [field]: value });
+    assert.match(error, new RegExp(field), field);
+  }
+});
+
+test('parseApplication requires the mandatory documents', () => {
+  assert.match(parseApplication({ ...valid, documents: 'none' }).error, /documents must be a list/);
+  assert.match(parseApplication({ ...valid, documents: [{ type: 'selfie', value: 'x' }] }).error, /documents must be a list/);
+  assert.equal(
+    parseApplication({ ...valid, documents: valid.documents.slice(0, 1) }).error,
+    'Missing documents: address_proof, bank_proof'
+  );
+});
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+import { sendSms } from './sms.js';
+import { requireSecret } from './secrets.js';
+
+/**
+ * One-time passcodes sent by SMS.
+ *
+ * There is at most one code per (purpose, principal, phone); requesting a
+ * new one replaces it. Codes are stored only as an HMAC keyed with
+ * OTP_SECRET, expire after OTP_TTL_MINUTES and allow OTP_MAX_ATTEMPTS wrong
+ * guesses. Resends are throttled to one per OTP_RESEND_SECONDS and
+ * OTP_MAX_SENDS_PER_HOUR per phone. A code is consumed by its first
+ * successful check.
+ */
+
+const OTP_SECRET = requireSecret('OTP_SECRET', 'dev_otp_secret');
+const OTP_LENGTH = 6;
+export const OTP_TTL_MINUTES = Number(process.env.OTP_TTL_MINUTES || 10);
+export const OTP_MAX_ATTEMPTS = Number(process.env.OTP_MAX_ATTEMPTS || 5);
+export const OTP_RESEND_SECONDS = Number(process.env.OTP_RESEND_SECONDS || 60);
+const OTP_MAX_SENDS_PER_HOUR = Number(process.env.OTP_MAX_SENDS_PER_HOUR || 5);
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+
+function hashCode(otpId, code) {
+  return crypto.createHmac('sha256', OTP_SECRET).update(`${otpId}.${code}`).digest();
+}
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date.getTime() - now.getTime()) / 1000));
+
+/**
+ * Create a code for `phone` and send it with `message(code)`. Pass a null
+ * `message` for a phone without an account: the request is throttled the
+ * same way but nothing is sent, so responses do not reveal which numbers
+ * are registered. For the same reason the SMS goes out in the background:
+ * a slow or failing provider changes neither the response nor its timing.
+ * Returns { expiresInSeconds, resendAfterSeconds } or
+ * { status: 429, error, retryAfterSeconds } when throttled.
+ */
+export async function issueOtp({ purpose, principal, phone, message }) {
+  const otps = getDB().collection('otp_codes');
+  const key = { purpose, principal, phone };
+  const now = new Date();
+
+  const existing = await otps.findOne(key);
+  if (existing) {
+    const resendAt = new Date(existing.lastSentAt.getTime() + OTP_RESEND_SECONDS * 1000);
+    if (resendAt > now) {
+      return { status: 429, error: 'Please wait before requesting another code', retryAfterSeconds: secondsUntil(resendAt, now) };
+    }
+  }
+
+  const windowEnd = existing && new Date(existing.windowStartedAt.getTime() + SEND_WINDOW_MS);
+  const sameWindow = windowEnd && windowEnd > now;
+  if (sameWindow && existing.sendCount >= OTP_MAX_SENDS_PER_HOUR) {
+    return { status: 429, error: 'Too many codes requested, try again later', retryAfterSeconds: secondsUntil(windowEnd, now) };
+  }
+
+  const otpId = `OTP_${now.getTime()}_${crypto.randomBytes(4).toString('hex')}`;
+  const code = crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, '0');
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+
+  const record = {
+    otpId,
+    codeHash: hashCode(otpId, code).toString('hex'),
+    attempts: 0,
+    consumedAt: null,
+    expiresAt,
+    lastSentAt: now,
+    windowStartedAt: sameWindow ? existing.windowStartedAt : now,
+    sendCount: sameWindow ? existing.sendCount + 1 : 1,
+    // Keep the record (and its send count) for the throttle window
+    expireAt: new Date(Math.max(expiresAt.getTime(), now.getTime() + SEND_WINDOW_MS)),
+  };
+
+  try {
+    // Only the request that still sees the previous send wins a concurrent race
+    const result = await otps.updateOne(
+      existing ? { ...key, lastSentAt: existing.lastSentAt } : key,
+      { $set: record, $setOnInsert: { createdAt: now } },
+      { upsert: !existing }
+    );
+    if (result.matchedCount === 0 && result.upsertedCount === 0) {
+      return { status: 429, error: 'Please wait before requesting another code', retryAfterSeconds: OTP_RESEND_SECONDS };
+    }
+  } catch (error) {
+    if (error.code === 11000) {
+      return { status: 429, error: 'Please wait before requesting another code', retryAfterSeconds: OTP_RESEND_SECONDS };
+    }
+    throw error;
+  }
+
+  if (message) {
+    sendSms(phone, message(code)).catch(error => {
+      console.error(`❌ OTP SMS for ${purpose} could not be sent:`, error);
+    });
+  }
+
+  return { expiresInSeconds: OTP_TTL_MINUTES * 60, resendAfterSeconds: OTP_RESEND_SECONDS };
+}
+
+/**
+ * Check and consume a code. Returns { ok: true } or { status, error, ... }.
+ * `phone` and `code` must be strings: anything else is refused before it
+ * reaches a query.
+ */
+export async function consumeOtp({ purpose, principal, phone, code }) {
+  const otps = getDB().collection('otp_codes');
+  const invalid = { status: 400, error: 'Invalid or expired code' };
+
+  if (typeof phone !== 'string' || typeof code !== 'string' || !new RegExp(`^[0-9]{${OTP_LENGTH}}$`).test(code)) {
+    return invalid;
+  }
+
+  // Count the attempt before checking so parallel guesses cannot exceed the limit
+  const otp = await otps.findOneAndUpdate(
+    { purpose, principal, phone, consumedAt: null, expiresAt: { $gt: new Date() }, attempts: { $lt: OTP_MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (!otp) {
+    const current = await otps.findOne({ purpose, principal, phone, consumedAt: null, expiresAt: { $gt: new Date() } });
+    return current
+      ? { status: 429, error: 'Too many incorrect attempts, request a new code' }
+      : invalid;
+  }
+
+  const matches = crypto.timingSafeEqual(hashCode(otp.otpId, code), Buffer.from(otp.codeHash, 'hex'));
+  if (!matches) {
+    return { ...invalid, attemptsRemaining: OTP_MAX_ATTEMPTS - otp.attempts };
+  }
+
+  const consumed = await otps.updateOne(
+    { otpId: otp.otpId, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  return consumed.modifiedCount > 0 ? { ok: true } : invalid;
+}
@@ -0,0 +1,61 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestDB } from './testDb.js';
+
+process.env.OTP_SECRET = 'test_otp_secret';
+const { issueOtp, consumeOtp, OTP_MAX_ATTEMPTS } = await import('./otp.js');
+
+const db = await useTestDB();
+beforeEach(() => db.reset());
+
+const PHONE = '9000000001';
+const request = { purpose: 'password_reset', principal: 'user' };
+
+// Issue a code for `phone` and return it as the SMS would carry it
+async function issue(phone = PHONE) {
+  let sent = null;
+  await issueOtp({ ...request, phone, message: (code) => { sent = code; return `code ${code}`; } });
+  return sent;
+}
+
+const wrongCode = (code) => String((Number(code) + 1) % 1000000).padStart(6, '0');
+
+test('consumeOtp accepts the issued code once', async () => {
+  const code = await issue();
+  assert.deepEqual(await consumeOtp({ ...request, phone: PHONE, code }), { ok: true });
+  assert.equal((await consumeOtp({ ...request, phone: PHONE, code })).status, 400);
+});
+
+test('consumeOtp refuses a phone that is not a string', async () => {
+  const code = await issue();
+  const result = await consumeOtp({ ...request, phone: { $ne: null }, code });
+  assert.deepEqual(result, { status: 400, error: 'Invalid or expired code' });
+
+  // The code was neither used nor counted as a guess
+  const stored = await db.collection('otp_codes').findOne({ phone: PHONE });
+  assert.equal(stored.attempts, 0);
+  assert.deepEqual(await consumeOtp({ ...request, phone: PHONE, code }), { ok: true });
+});
+
+test('consumeOtp refuses a code that is not a string', async () => {
+  await issue();
+  for (const code of [{ $gt: '' }, 123456, ['123456'], null]) {
+    assert.equal((await consumeOtp({ ...request, phone: PHONE, code })).status, 400);
+  }
+  assert.equal((await db.collection('otp_codes').findOne({ phone: PHONE })).attempts, 0);
+});
+
+test('consumeOtp only checks the code of the same purpose and principal', async () => {
+  const code = await issue();
+  assert.equal((await consumeOtp({ ...request, principal: 'merchant', phone: PHONE, code })).status, 400);
+  assert.equal((await consumeOtp({ ...request, phone: '9000000002', code })).status, 400);
+});
+
+test('consumeOtp locks the code after OTP_MAX_ATTEMPTS wrong guesses', async () => {
+  const code = await issue();
+  for (let attempt = 1; attempt <= OTP_MAX_ATTEMPTS; attempt++) {
+    const result = await consumeOtp({ ...request, phone: PHONE, code: wrongCode(code) });
+    assert.equal(result.attemptsRemaining, OTP_MAX_ATTEMPTS - attempt);
+  }
+  assert.equal((await consumeOtp({ ...request, phone: PHONE, code })).status, 429);
+});
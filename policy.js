@@ -0,0 +1,106 @@
+import dotenv from 'dotenv';
+import { roundToMinorUnits, formatMoney } from './money.js';
+
+dotenv.config();
+
+/**
+ * Voucher validity policy.
+ *
+ * Defaults come from the environment; a merchant document may carry a
+ * `voucherPolicy` override with any subset of the same fields.
+ * `maxAmount` is in paise (VOUCHER_MAX_AMOUNT is configured in rupees).
+ */
+
+export const DEFAULT_VOUCHER_POLICY = {
+  maxAgeHours: Number(process.env.VOUCHER_MAX_AGE_HOURS || 72),
+  maxFutureSkewMinutes: Number(process.env.VOUCHER_MAX_FUTURE_SKEW_MINUTES || 5),
+  maxAmount: roundToMinorUnits(Number(process.env.VOUCHER_MAX_AMOUNT || 1000)),
+  reviewExpired: process.env.VOUCHER_REVIEW_EXPIRED !== 'false',
+};
+
+/**
+ * Machine-readable policy rejection codes
+ */
+export const POLICY_CODES = {
+  CREATED_AT_MISSING: 'CREATED_AT_MISSING',
+  CREATED_AT_INVALID: 'CREATED_AT_INVALID',
+  CREATED_IN_FUTURE: 'CREATED_IN_FUTURE',
+  VOUCHER_EXPIRED: 'VOUCHER_EXPIRED',
+  AMOUNT_INVALID: 'AMOUNT_INVALID',
+  AMOUNT_OVER_LIMIT: 'AMOUNT_OVER_LIMIT',
+};
+
+const NUMERIC_FIELDS = ['maxAgeHours', 'maxFutureSkewMinutes', 'maxAmount'];
+
+/**
+ * Effective policy for a merchant (defaults + merchant override)
+ */
+export function resolvePolicy(merchant) {
+  return { ...DEFAULT_VOUCHER_POLICY, ...(merchant?.voucherPolicy || {}) };
+}
+
+/**
+ * Validate a merchant policy override, returns { override } or { error }
+ */
+export function parsePolicyOverride(body) {
+  const override = {};
+  for (const field of NUMERIC_FIELDS) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== 'number' || !(body[field] >= 0)) {
+      return { error: `${field} must be a non-negative number` };
+    }
+    if (field === 'maxAmount' && !Number.isSafeInteger(body[field])) {
+      return { error: 'maxAmount must be a whole number of paise' };
+    }
+    override[field] = body[field];
+  }
+  if (body.reviewExpired !== undefined) {
+    if (typeof body.reviewExpired !== 'boolean') {
+      return { error: 'reviewExpired must be a boolean' };
+    }
+    override.reviewExpired = body.reviewExpired;
+  }
+  return { override };
+}
+
+/**
+ * Check a voucher's createdAt and amount (in paise) against a policy.
+ * Returns null, or { code, reason, reviewable } for the first violation.
+ * Only expired vouchers are reviewable: they may be honest but late.
+ */
+export function checkVoucherPolicy(voucher, policy, now = new Date()) {
+  if (!voucher.createdAt) {
+    return { code: POLICY_CODES.CREATED_AT_MISSING, reason: 'Missing createdAt', reviewable: false };
+  }
+
+  const createdAt = new Date(voucher.createdAt);
+  if (isNaN(createdAt)) {
+    return { code: POLICY_CODES.CREATED_AT_INVALID, reason: 'Invalid createdAt', reviewable: false };
+  }
+
+  if (!(voucher.amount > 0)) {
+    return { code: POLICY_CODES.AMOUNT_INVALID, reason: 'Amount must be positive', reviewable: false };
+  }
+
+  if (voucher.amount > policy.maxAmount) {
+    return {
+      code: POLICY_CODES.AMOUNT_OVER_LIMIT,
+      reason: `Amount exceeds per-voucher maximum of ${formatMoney(policy.maxAmount)}`,
+      reviewable: false,
+    };
+  }
+
+  if (createdAt.getTime() - now.getTime() > policy.maxFutureSkewMinutes * 60 * 1000) {
+    return { code: POLICY_CODES.CREATED_IN_FUTURE, reason: 'createdAt is in the future', reviewable: false };
+  }
+
+  if (now.getTime() - createdAt.getTime() > policy.maxAgeHours * 60 * 60 * 1000) {
+    return {
+      code: POLICY_CODES.VOUCHER_EXPIRED,
+      reason: `Voucher older than ${policy.maxAgeHours} hours`,
+      reviewable: true,
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkVoucherPolicy, POLICY_CODES } from './policy.js';
+import { formatMoney } from './money.js';
+
+const policy = { maxAgeHours: 72, maxFutureSkewMinutes: 5, maxAmount: 100000, reviewExpired: true };
+const now = new Date('2026-01-10T12:00:00.000Z');
+const hoursAgo = (hours) => new Date(now.getTime() - hours * 60 * 60 * 1000).toISOString();
+
+const check = (voucher) => checkVoucherPolicy({ createdAt: hoursAgo(1), amount: 5000, ...voucher }, policy, now);
+
+test('checkVoucherPolicy accepts a voucher within the policy', () => {
+  assert.equal(check({}), null);
+  assert.equal(check({ amount: 100000, createdAt: hoursAgo(72) }), null);
+});
+
+test('checkVoucherPolicy rejects a missing or invalid createdAt', () => {
+  assert.equal(check({ createdAt: undefined }).code, POLICY_CODES.CREATED_AT_MISSING);
+  assert.equal(check({ createdAt: 'yesterday' }).code, POLICY_CODES.CREATED_AT_INVALID);
+});
+
+test('checkVoucherPolicy rejects invalid and over-limit amounts', () => {
+  assert.equal(check({ amount: 0 }).code, POLICY_CODES.AMOUNT_INVALID);
+  assert.equal(check({ amount: -100 }).code, POLICY_CODES.AMOUNT_INVALID);
+  assert.deepEqual(check({ amount: 100001 }), {
+    code: POLICY_CODES.AMOUNT_OVER_LIMIT,
+    reason: `Amount exceeds per-voucher maximum of ${formatMoney(100000)}`,
+    reviewable: false,
+  });
+});
+
+test('checkVoucherPolicy allows clock skew but not a future createdAt', () => {
+  assert.equal(check({ createdAt: new Date(now.getTime() + 5 * 60 * 1000).toISOString() }), null);
+  assert.equal(check({ createdAt: new Date(now.getTime() + 6 * 60 * 1000).toISOString() }).code, POLICY_CODES.CREATED_IN_FUTURE);
+});
+
+test('checkVoucherPolicy marks only expired vouchers reviewable', () => {
+  const violation = check({ createdAt: hoursAgo(73) });
+  assert.equal(violation.code, POLICY_CODES.VOUCHER_EXPIRED);
+  assert.equal(violation.reviewable, true);
+  assert.equal(check({ amount: 0 }).reviewable, false);
+});
@@ -0,0 +1,179 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+import { walletAccount, merchantAccount, postEntry } from './ledger.js';
+import { CURRENCY } from './money.js';
+
+/**
+ * Merchant-initiated refunds of stored vouchers.
+ *
+ * A refund moves money from the merchant's receivable back to the payer's
+ * wallet. Refunding a voucher that was already paid out can take the
+ * receivable below zero; the next settlement payout nets the shortfall, as
+ * it does for disputes. The refunded total is reserved on the voucher first
+ * (`refundedAmount`), so concurrent refunds can never exceed the original
+ * amount. A fully refunded voucher moves to `refunded`. Vouchers under
+ * dispute cannot be refunded until the dispute is resolved.
+ */
+
+const REFUNDABLE_STATUSES = ['synced', 'settled'];
+
+/**
+ * Amount of a voucher that can still be refunded (not yet refunded or
+ * reversed by a dispute)
+ */
+export function refundableAmount(voucher) {
+  return voucher.amount - (voucher.refundedAmount || 0) - (voucher.reversedAmount || 0);
+}
+
+/**
+ * Refund `amount` (default: everything still refundable) of a voucher.
+ * Returns one of:
+ *   { refund }                 - refund completed
+ *   { refund, replay: true }   - Idempotency-Key seen before, original refund
+ *   { error, status, ... }     - refused
+ *
+ * If the posting throws, the reservation is released and the refund
+ * removed before rethrowing, so the same request can simply be retried.
+ */
+export async function createRefund({ merchantId, voucherId, amount, reason = null, idempotencyKey = null }) {
+  const db = getDB();
+  const vouchers = db.collection('vouchers');
+  const refunds = db.collection('refunds');
+
+  // A retry must ask for the same refund; without an amount it asked for whatever was refundable
+  const replayOf = (existing) => {
+    if (existing.voucherId !== voucherId || (amount !== undefined && existing.amount !== amount) || existing.reason !== reason) {
+      return { status: 422, error: 'Idempotency-Key was already used for a different refund' };
+    }
+    if (existing.status !== 'completed') {
+      return { status: 409, error: 'Refund is still in progress, retry shortly' };
+    }
+    return { refund: existing, replay: true };
+  };
+
+  if (idempotencyKey) {
+    const existing = await refunds.findOne({ merchantId, idempotencyKey });
+    if (existing) {
+      return replayOf(existing);
+    }
+  }
+
+  const voucher = await vouchers.findOne({ voucherId });
+  if (!voucher) {
+    return { status: 404, error: 'Voucher not found' };
+  }
+  if (voucher.merchantId !== merchantId) {
+    return { status: 403, error: 'Voucher belongs to another merchant' };
+  }
+  if (!REFUNDABLE_STATUSES.includes(voucher.status)) {
+    return { status: 409, error: `Voucher cannot be refunded while ${voucher.status}` };
+  }
+  if (voucher.disputeId) {
+    return { status: 409, error: 'Voucher is under dispute', disputeId: voucher.disputeId };
+  }
+
+  const refundAmount = amount === undefined ? refundableAmount(voucher) : amount;
+  if (refundAmount <= 0 || refundAmount > refundableAmount(voucher)) {
+    return {
+      status: 400,
+      error: 'Refund exceeds the refundable amount',
+      refundable: refundableAmount(voucher),
+    };
+  }
+
+  const payerId = voucher.issuedTo || voucher.payerId;
+  const refund = {
+    refundId: `RF_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    voucherId,
+    merchantId,
+    userId: payerId,
+    amount: refundAmount,
+    currency: CURRENCY,
+    reason,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+  };
+  if (idempotencyKey) refund.idempotencyKey = idempotencyKey;
+
+  try {
+    await refunds.insertOne(refund);
+  } catch (error) {
+    if (error.code === 11000 && idempotencyKey) {
+      return replayOf(await refunds.findOne({ merchantId, idempotencyKey }));
+    }
+    throw error;
+  }
+
+  // Reserve the amount on the voucher. Vouchers claimed by a settlement
+  // batch that has not paid out yet are left alone until it finishes.
+  const reserved = await vouchers.findOneAndUpdate(
+    {
+      voucherId,
+      status: { $in: REFUNDABLE_STATUSES },
+      disputeId: { $exists: false },
+      $or: [{ settlementBatchId: { $exists: false } }, { status: 'settled' }],
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$reversedAmount', 0] }, refundAmount] },
+          '$amount',
+        ],
+      },
+    },
+    { $inc: { refundedAmount: refundAmount } },
+    { returnDocument: 'after' }
+  );
+  if (!reserved) {
+    await refunds.deleteOne({ refundId: refund.refundId });
+    const current = await vouchers.findOne({ voucherId });
+    if (current.disputeId) {
+      return { status: 409, error: 'Voucher is under dispute', disputeId: current.disputeId };
+    }
+    if (current.settlementBatchId && current.status === 'synced') {
+      return { status: 409, error: 'Voucher is being settled, retry shortly' };
+    }
+    return {
+      status: 400,
+      error: 'Refund exceeds the refundable amount',
+      refundable: refundableAmount(current),
+    };
+  }
+
+  let entry;
+  try {
+    entry = await postEntry({
+      type: 'refund',
+      lines: [
+        { accountId: merchantAccount(merchantId), amount: -refundAmount },
+        { accountId: walletAccount(payerId), amount: refundAmount },
+      ],
+      reference: { userId: payerId, merchantId, voucherId, refundId: refund.refundId },
+      idempotencyKey: `refund:${refund.refundId}`,
+    });
+  } catch (error) {
+    await vouchers.updateOne({ voucherId }, { $inc: { refundedAmount: -refundAmount } });
+    await refunds.deleteOne({ refundId: refund.refundId });
+    throw error;
+  }
+  const fullyRefunded = refundableAmount(reserved) <= 0;
+  await vouchers.updateOne(
+    fullyRefunded ? { voucherId } : { voucherId, refundStatus: { $ne: 'full' } },
+    fullyRefunded
+      ? { $set: { status: 'refunded', refundStatus: 'full', refundedAt: entry.createdAt } }
+      : { $set: { refundStatus: 'partial' } }
+  );
+
+  return {
+    refund: await refunds.findOneAndUpdate(
+      { refundId: refund.refundId },
+      { $set: { status: 'completed', ledgerEntryId: entry.entryId, completedAt: entry.createdAt } },
+      { returnDocument: 'after' }
+    ),
+  };
+}
+
+/**
+ * Refunds matching a filter (e.g. { voucherId } or { merchantId }), oldest first
+ */
+export async function listRefunds(filter) {
+  return await getDB().collection('refunds').find(filter).sort({ createdAt: 1 }).toArray();
+}
@@ -0,0 +1,83 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestDB } from './testDb.js';
+import { createRefund } from './refunds.js';
+import { getAccountBalance, walletAccount } from './ledger.js';
+
+const db = await useTestDB();
+beforeEach(() => db.reset());
+
+const USER = 'USER_1';
+const MERCHANT = 'MERCHANT_1';
+const VOUCHER = 'V_1';
+
+beforeEach(() => db.collection('vouchers').insertOne({
+  voucherId: VOUCHER,
+  issuedTo: USER,
+  merchantId: MERCHANT,
+  amount: 50000,
+  status: 'synced',
+}));
+
+const voucher = () => db.collection('vouchers').findOne({ voucherId: VOUCHER });
+
+test('createRefund refunds the whole voucher by default', async () => {
+  const { refund } = await createRefund({ merchantId: MERCHANT, voucherId: VOUCHER });
+
+  assert.equal(refund.status, 'completed');
+  assert.equal(refund.amount, 50000);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 50000);
+  assert.equal((await voucher()).status, 'refunded');
+});
+
+test('createRefund refuses more than is left to refund', async () => {
+  await createRefund({ merchantId: MERCHANT, voucherId: VOUCHER, amount: 30000 });
+
+  const result = await createRefund({ merchantId: MERCHANT, voucherId: VOUCHER, amount: 30000 });
+  assert.equal(result.status, 400);
+  assert.equal(result.refundable, 20000);
+  assert.equal((await voucher()).refundedAmount, 30000);
+});
+
+test('a failed posting releases the reservation so the refund can be retried', async () => {
+  const request = { merchantId: MERCHANT, voucherId: VOUCHER, amount: 20000, idempotencyKey: 'key-1' };
+
+  db.failNext('ledger_entries', 'insertOne');
+  await assert.rejects(createRefund(request));
+  assert.equal((await voucher()).refundedAmount, 0);
+  assert.equal(await db.collection('refunds').countDocuments({}), 0);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 0);
+
+  const { refund, replay } = await createRefund(request);
+  assert.equal(replay, undefined);
+  assert.equal(refund.status, 'completed');
+  assert.equal((await voucher()).refundedAmount, 20000);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 20000);
+});
+
+test('a replayed Idempotency-Key returns the completed refund', async () => {
+  const request = { merchantId: MERCHANT, voucherId: VOUCHER, amount: 20000, idempotencyKey: 'key-1' };
+  const first = await createRefund(request);
+
+  const again = await createRefund(request);
+  assert.equal(again.replay, true);
+  assert.equal(again.refund.refundId, first.refund.refundId);
+  assert.equal(await getAccountBalance(walletAccount(USER)), 20000);
+});
+
+test('a replay never reports a refund that is still pending as done', async () => {
+  await db.collection('refunds').insertOne({
+    refundId: 'RF_1',
+    voucherId: VOUCHER,
+    merchantId: MERCHANT,
+    userId: USER,
+    amount: 20000,
+    reason: null,
+    status: 'pending',
+    idempotencyKey: 'key-1',
+  });
+
+  const result = await createRefund({ merchantId: MERCHANT, voucherId: VOUCHER, amount: 20000, idempotencyKey: 'key-1' });
+  assert.equal(result.status, 409);
+  assert.equal(result.refund, undefined);
+});
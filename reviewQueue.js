@@ -0,0 +1,79 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+import { toMinorUnits } from './money.js';
+
+/**
+ * Manual review queue for vouchers that were validly signed but broke a
+ * reviewable policy rule (e.g. synced too late). An admin approves or
+ * rejects each entry; approval re-runs sync for the stored upload.
+ */
+
+// 'processing' while an admin's decision is being applied
+export const REVIEW_STATUSES = ['pending', 'processing', 'approved', 'rejected'];
+
+/**
+ * Queue an uploaded voucher for review. Re-uploads of the same voucher
+ * return the existing entry.
+ */
+export async function queueForReview({ voucher, merchantId, code, reason }) {
+  const now = new Date().toISOString();
+
+  return await getDB().collection('review_queue').findOneAndUpdate(
+    { voucherId: voucher.voucherId },
+    {
+      $setOnInsert: {
+        reviewId: `RV_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+        voucherId: voucher.voucherId,
+        merchantId,
+        issuedTo: voucher.issuedTo,
+        amount: toMinorUnits(voucher.amount),
+        code,
+        reason,
+        voucher,
+        status: 'pending',
+        createdAt: now,
+      },
+    },
+    { upsert: true, returnDocument: 'after' }
+  );
+}
+
+/**
+ * List review entries, oldest first
+ */
+export async function listReviews(filter = {}) {
+  return await getDB().collection('review_queue').find(filter).sort({ createdAt: 1 }).toArray();
+}
+
+/**
+ * Move a pending review into `processing` so only one admin resolves it.
+ * Returns the review, or null if it is not pending.
+ */
+export async function claimReview(reviewId) {
+  return await getDB().collection('review_queue').findOneAndUpdate(
+    { reviewId, status: 'pending' },
+    { $set: { status: 'processing' } },
+    { returnDocument: 'after' }
+  );
+}
+
+/**
+ * Put a claimed review back into the queue (e.g. after a failed approval)
+ */
+export async function releaseReview(reviewId) {
+  await getDB().collection('review_queue').updateOne(
+    { reviewId, status: 'processing' },
+    { $set: { status: 'pending' } }
+  );
+}
+
+/**
+ * Record the outcome of a review
+ */
+export async function resolveReview(reviewId, status, resolution) {
+  return await getDB().collection('review_queue').findOneAndUpdate(
+    { reviewId },
+    { $set: { status, resolution, resolvedAt: new Date().toISOString() } },
+    { returnDocument: 'after' }
+  );
+}
@@ -0,0 +1,28 @@
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Secrets from the environment.
+ *
+ * A missing secret stops the server from starting. Only in explicit
+ * development mode (NODE_ENV=development) is a built-in development value
+ * used instead; those values are public, so nothing signed or hashed with
+ * them can be trusted.
+ */
+
+export const DEV_MODE = process.env.NODE_ENV === 'development';
+
+/**
+ * The value of the env var `name`, or `devFallback` in development mode.
+ * Throws when the secret is missing outside development mode.
+ */
+export function requireSecret(name, devFallback) {
+  if (process.env[name]) return process.env[name];
+
+  if (!DEV_MODE) {
+    throw new Error(`${name} must be set (the built-in development value is only used with NODE_ENV=development)`);
+  }
+  console.warn(`⚠️  ${name} not set, using the public development value`);
+  return devFallback;
+}
@@ -0,0 +1,160 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { generateToken, ACCESS_TOKEN_TTL_SECONDS } from './auth.js';
+
+dotenv.config();
+
+/**
+ * Device sessions for users and merchants.
+ *
+ * Logging in opens a session and returns a short-lived access token (a JWT
+ * carrying the session ID as `sid`) plus an opaque refresh token
+ * `<sessionId>.<secret>`. Only the refresh token's hash is stored. Each
+ * refresh rotates it; presenting an already rotated refresh token means it
+ * leaked, so the whole session is revoked. authMiddleware refuses access
+ * tokens of revoked sessions.
+ *
+ * Owners are passed as `{ userId }` or `{ merchantId }`.
+ */
+
+export const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function ownerFilter(owner) {
+  return owner.merchantId ? { merchantId: owner.merchantId } : { userId: owner.userId };
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function refreshExpiry(now = new Date()) {
+  return new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function issueTokens(session, refreshSecret) {
+  const refreshToken = `${session.sessionId}.${refreshSecret}`;
+  return {
+    token: generateToken({ ...session.claims, sid: session.sessionId }),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+    sessionId: session.sessionId,
+  };
+}
+
+function formatSession(session, currentSessionId = null) {
+  return {
+    sessionId: session.sessionId,
+    device: session.device,
+    current: session.sessionId === currentSessionId,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt.toISOString(),
+    revokedAt: session.revokedAt,
+    revokedReason: session.revokedReason || null,
+  };
+}
+
+/**
+ * Open a session for the token claims ({ userId | merchantId, phone, role })
+ * and return { token, refreshToken, expiresIn, sessionId }.
+ */
+export async function createSession(claims, device = {}) {
+  const now = new Date();
+  const refreshSecret = crypto.randomBytes(32).toString('base64url');
+  const session = {
+    sessionId: `S_${now.getTime()}_${crypto.randomBytes(6).toString('hex')}`,
+    ...ownerFilter(claims),
+    claims,
+    device: {
+      name: device.name || null,
+      userAgent: device.userAgent || null,
+      ip: device.ip || null,
+    },
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: refreshExpiry(now),
+    revokedAt: null,
+  };
+  session.refreshTokenHash = hashToken(`${session.sessionId}.${refreshSecret}`);
+
+  await getDB().collection('sessions').insertOne(session);
+  return issueTokens(session, refreshSecret);
+}
+
+/**
+ * Exchange a refresh token for a new access and refresh token.
+ * Returns { token, refreshToken, expiresIn, sessionId } or { status, error }.
+ */
+export async function refreshSession(refreshToken) {
+  const sessions = getDB().collection('sessions');
+  const invalid = { status: 401, error: 'Invalid or expired refresh token' };
+
+  const sessionId = typeof refreshToken === 'string' ? refreshToken.split('.')[0] : null;
+  if (!sessionId) return invalid;
+
+  const now = new Date();
+  const hash = hashToken(refreshToken);
+  const refreshSecret = crypto.randomBytes(32).toString('base64url');
+
+  const session = await sessions.findOneAndUpdate(
+    { sessionId, refreshTokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(`${sessionId}.${refreshSecret}`),
+        previousRefreshTokenHash: hash,
+        lastUsedAt: now.toISOString(),
+        expiresAt: refreshExpiry(now),
+      },
+    },
+    { returnDocument: 'after' }
+  );
+  if (session) {
+    return issueTokens(session, refreshSecret);
+  }
+
+  // A rotated token used again: someone else holds a copy of it
+  const reused = await sessions.findOneAndUpdate(
+    { sessionId, previousRefreshTokenHash: hash, revokedAt: null },
+    { $set: { revokedAt: now.toISOString(), revokedReason: 'refresh_token_reuse' } }
+  );
+  if (reused) {
+    console.warn(`⚠️  Refresh token reuse on session ${sessionId}, session revoked`);
+  }
+  return invalid;
+}
+
+/**
+ * An owner's active sessions, most recently used first
+ */
+export async function listSessions(owner, currentSessionId = null) {
+  const sessions = await getDB().collection('sessions')
+    .find({ ...ownerFilter(owner), revokedAt: null, expiresAt: { $gt: new Date() } })
+    .sort({ lastUsedAt: -1 })
+    .toArray();
+  return sessions.map(s => formatSession(s, currentSessionId));
+}
+
+/**
+ * Revoke one of an owner's sessions. Returns the session or null.
+ */
+export async function revokeSession(owner, sessionId, reason = 'revoked') {
+  const session = await getDB().collection('sessions').findOneAndUpdate(
+    { sessionId, ...ownerFilter(owner), revokedAt: null },
+    { $set: { revokedAt: new Date().toISOString(), revokedReason: reason } },
+    { returnDocument: 'after' }
+  );
+  return session && formatSession(session);
+}
+
+/**
+ * Revoke every active session of an owner (e.g. after a password change).
+ * Returns how many were revoked.
+ */
+export async function revokeAllSessions(owner, reason = 'revoked') {
+  const result = await getDB().collection('sessions').updateMany(
+    { ...ownerFilter(owner), revokedAt: null },
+    { $set: { revokedAt: new Date().toISOString(), revokedReason: reason } }
+  );
+  return result.modifiedCount;
+}
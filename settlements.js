@@ -0,0 +1,396 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import {
+  SYSTEM_FLOAT,
+  SYSTEM_FEES,
+  merchantAccount,
+  postEntry,
+  getAccountBalance,
+  netAmount,
+} from './ledger.js';
+import { refundableAmount } from './refunds.js';
+import { CURRENCY, toMajorUnits } from './money.js';
+
+dotenv.config();
+
+/**
+ * Merchant settlement batches.
+ *
+ * A settlement cycle groups each merchant's synced vouchers (already
+ * settled against the payer's allowance, not flagged) and completed online
+ * payments (`payments`, stored with their ledger posting) into a batch,
+ * charges the settlement fee and pays the rest out of the merchant's
+ * receivable. Batched vouchers and payments move to `settled`. Amounts
+ * refunded before the payout are left out of it, and disputed vouchers wait
+ * until the dispute is resolved. Only verified merchants are paid out; vouchers synced before
+ * onboarding approval are held and never reach a batch until released.
+ *
+ * Vouchers and payments are claimed by stamping `settlementBatchId` first, so a cycle
+ * interrupted half-way is finished by the next one. A batch that fails is
+ * recorded as `failed` with the reason and retried by later cycles; the
+ * other merchants are still paid out.
+ */
+
+export const SETTLEMENT_FEE_PERCENT = Number(process.env.SETTLEMENT_FEE_PERCENT || 1);
+// How often the server runs a settlement cycle (0 disables the scheduler)
+export const SETTLEMENT_INTERVAL_MINUTES = Number(process.env.SETTLEMENT_INTERVAL_MINUTES || 60);
+
+const MAX_PAYOUT_ATTEMPTS = 5;
+
+const eligibleVouchers = (merchantId) => ({
+  ...(merchantId && { merchantId }),
+  status: 'synced',
+  type: { $ne: 'p2p' },
+  'settlement.settledAt': { $exists: true },
+  settlementBatchId: { $exists: false },
+  disputeId: { $exists: false },
+});
+
+const eligiblePayments = (merchantId) => ({
+  ...(merchantId && { merchantId }),
+  status: 'completed',
+  settlementBatchId: { $exists: false },
+});
+
+/**
+ * Payment record stored with the ledger posting of an online payment, so
+ * the next settlement cycle pays it out to the merchant
+ */
+export function paymentRecord({ userId, merchantId, amount }) {
+  return {
+    paymentId: `PAY_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`,
+    userId,
+    merchantId,
+    amount,
+    currency: CURRENCY,
+    status: 'completed',
+    createdAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Record online payments posted before they had payment records, so the
+ * receivables they credited are settled too. Returns the number recorded.
+ */
+export async function migrateLegacyPayments() {
+  const db = getDB();
+  const entries = await db.collection('ledger_entries')
+    .find({ type: 'payment', 'reference.paymentId': { $exists: false } })
+    .toArray();
+
+  let recorded = 0;
+  for (const entry of entries) {
+    const { userId, merchantId } = entry.reference;
+    const result = await db.collection('payments').updateOne(
+      { paymentId: `PAY_${entry.entryId}` },
+      {
+        $setOnInsert: {
+          userId,
+          merchantId,
+          amount: netAmount(entry, [merchantAccount(merchantId)]),
+          currency: entry.currency,
+          status: 'completed',
+          ledgerEntryId: entry.entryId,
+          createdAt: entry.createdAt,
+        },
+      },
+      { upsert: true }
+    );
+    recorded += result.upsertedCount;
+  }
+  return recorded;
+}
+
+/**
+ * Fee in paise for a payable amount in paise, rounded to the nearest paisa
+ */
+export function settlementFee(amount, feePercent = SETTLEMENT_FEE_PERCENT) {
+  return Math.round((amount * feePercent) / 100);
+}
+
+/**
+ * Post the payout for claimed vouchers and payments, record the batch and
+ * mark them settled. Safe to run again for the same batch.
+ *
+ * A receivable that went negative (a dispute reversed or a refund made on a
+ * voucher that was already paid out) is netted: the shortfall is deducted
+ * from this payout.
+ */
+async function finalizeSettlementBatch(batchId, merchantId) {
+  const db = getDB();
+
+  const vouchers = await db.collection('vouchers')
+    .find({ settlementBatchId: batchId })
+    .sort({ syncedAt: 1 })
+    .toArray();
+  const payments = await db.collection('payments')
+    .find({ settlementBatchId: batchId })
+    .sort({ createdAt: 1 })
+    .toArray();
+  if (vouchers.length === 0 && payments.length === 0) return null;
+
+  const idempotencyKey = `settlement:${batchId}`;
+  const payoutReference = `PO_${batchId.slice(3)}`;
+  const grossAmount = vouchers.reduce((sum, v) => sum + refundableAmount(v), 0)
+    + payments.reduce((sum, p) => sum + p.amount, 0);
+  const period = [...vouchers.map(v => v.syncedAt), ...payments.map(p => p.createdAt)].sort();
+  let entry = await db.collection('ledger_entries').findOne({ idempotencyKey });
+
+  for (let attempt = 0; !entry && attempt < MAX_PAYOUT_ATTEMPTS; attempt++) {
+    const receivable = await getAccountBalance(merchantAccount(merchantId));
+    const adjustmentAmount = Math.min(grossAmount, Math.max(0, grossAmount - receivable));
+    const payable = grossAmount - adjustmentAmount;
+    const feeAmount = settlementFee(payable);
+
+    entry = await postEntry({
+      type: 'settlement_payout',
+      lines: [
+        { accountId: merchantAccount(merchantId), amount: -payable, min: 0 },
+        { accountId: SYSTEM_FEES, amount: feeAmount },
+        { accountId: SYSTEM_FLOAT, amount: payable - feeAmount },
+      ],
+      reference: {
+        merchantId,
+        settlementBatchId: batchId,
+        payoutReference,
+        grossAmount,
+        adjustmentAmount,
+        feePercent: SETTLEMENT_FEE_PERCENT,
+      },
+      idempotencyKey,
+    });
+  }
+  if (!entry) {
+    throw new Error(`Receivable of ${merchantId} kept changing while settling batch ${batchId}`);
+  }
+
+  const batches = db.collection('settlement_batches');
+  await batches.updateOne(
+    { batchId },
+    {
+      $set: {
+        batchId,
+        merchantId,
+        voucherIds: vouchers.map(v => v.voucherId),
+        voucherCount: vouchers.length,
+        paymentIds: payments.map(p => p.paymentId),
+        paymentCount: payments.length,
+        grossAmount: entry.reference.grossAmount,
+        adjustmentAmount: entry.reference.adjustmentAmount,
+        feePercent: entry.reference.feePercent,
+        feeAmount: netAmount(entry, [SYSTEM_FEES]),
+        netAmount: netAmount(entry, [SYSTEM_FLOAT]),
+        currency: CURRENCY,
+        periodStart: period[0],
+        periodEnd: period[period.length - 1],
+        payoutReference,
+        status: 'paid_out',
+        ledgerEntryId: entry.entryId,
+        createdAt: entry.createdAt,
+        paidOutAt: entry.createdAt,
+      },
+      $unset: { failureReason: '', failedAt: '' },
+    },
+    { upsert: true }
+  );
+
+  await db.collection('vouchers').updateMany(
+    { settlementBatchId: batchId, status: 'synced' },
+    { $set: { status: 'settled', paidOutAt: entry.createdAt } }
+  );
+  await db.collection('payments').updateMany(
+    { settlementBatchId: batchId, status: 'completed' },
+    { $set: { status: 'settled', paidOutAt: entry.createdAt } }
+  );
+
+  return await batches.findOne({ batchId });
+}
+
+// Claim all eligible vouchers and payments of one merchant for a new batch. Returns the batch ID or null.
+async function claimSettlementBatch(merchantId) {
+  const db = getDB();
+  const batchId = `ST_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+
+  const claimedVouchers = await db.collection('vouchers').updateMany(
+    eligibleVouchers(merchantId),
+    { $set: { settlementBatchId: batchId } }
+  );
+  const claimedPayments = await db.collection('payments').updateMany(
+    eligiblePayments(merchantId),
+    { $set: { settlementBatchId: batchId } }
+  );
+  return claimedVouchers.modifiedCount + claimedPayments.modifiedCount > 0 ? batchId : null;
+}
+
+/**
+ * Batch all eligible vouchers and payments of one merchant. Returns the batch, or null
+ * if there was nothing to settle.
+ */
+export async function createSettlementBatch(merchantId) {
+  const batchId = await claimSettlementBatch(merchantId);
+  return batchId && await finalizeSettlementBatch(batchId, merchantId);
+}
+
+// Mark a batch failed; its vouchers stay claimed so the next cycle retries it
+async function recordBatchFailure(batchId, merchantId, error) {
+  const now = new Date().toISOString();
+  await getDB().collection('settlement_batches').updateOne(
+    { batchId },
+    {
+      $set: { status: 'failed', failureReason: error.message, failedAt: now },
+      $inc: { failedAttempts: 1 },
+      $setOnInsert: { batchId, merchantId, currency: CURRENCY, createdAt: now },
+    },
+    { upsert: true }
+  );
+}
+
+/**
+ * Finish interrupted batches, then batch every verified merchant with
+ * eligible vouchers or payments. A failing batch does not stop the others.
+ * Returns { batches, failed } with the batches created or completed and
+ * { batchId, merchantId, error } for each that failed.
+ */
+export async function runSettlementCycle() {
+  const db = getDB();
+  const vouchers = db.collection('vouchers');
+  const payments = db.collection('payments');
+  const batches = [];
+  const failed = [];
+
+  const settle = async (batchId, merchantId) => {
+    try {
+      const batch = await finalizeSettlementBatch(batchId, merchantId);
+      if (batch) batches.push(batch);
+    } catch (error) {
+      console.error(`❌ Settlement batch ${batchId} of ${merchantId} failed:`, error.message);
+      failed.push({ batchId, merchantId, error: error.message });
+      await recordBatchFailure(batchId, merchantId, error);
+    }
+  };
+
+  const unfinishedBatches = (collection, status) => collection.aggregate([
+    { $match: { status, settlementBatchId: { $exists: true } } },
+    { $group: { _id: '$settlementBatchId', merchantId: { $first: '$merchantId' } } },
+  ]).toArray();
+  const unfinished = new Map();
+  for (const { _id: batchId, merchantId } of [
+    ...await unfinishedBatches(vouchers, 'synced'),
+    ...await unfinishedBatches(payments, 'completed'),
+  ]) {
+    unfinished.set(batchId, merchantId);
+  }
+  for (const [batchId, merchantId] of unfinished) {
+    await settle(batchId, merchantId);
+  }
+
+  const merchantIds = await db.collection('merchants').distinct('merchantId', {
+    merchantId: {
+      $in: [
+        ...await vouchers.distinct('merchantId', eligibleVouchers()),
+        ...await payments.distinct('merchantId', eligiblePayments()),
+      ],
+    },
+    isVerified: true,
+  });
+  for (const merchantId of merchantIds) {
+    const batchId = await claimSettlementBatch(merchantId);
+    if (batchId) await settle(batchId, merchantId);
+  }
+
+  return { batches, failed };
+}
+
+/**
+ * Settlement batches of a merchant, newest first
+ */
+export async function listSettlementBatches(merchantId) {
+  return await getDB().collection('settlement_batches')
+    .find({ merchantId })
+    .sort({ createdAt: -1 })
+    .toArray();
+}
+
+/**
+ * A merchant's batch with its itemized vouchers and payments, or null if
+ * not found
+ */
+export async function getSettlementStatement(merchantId, batchId) {
+  const db = getDB();
+  const batch = await db.collection('settlement_batches').findOne({ batchId, merchantId });
+  if (!batch) return null;
+
+  const vouchers = await db.collection('vouchers')
+    .find({ settlementBatchId: batchId })
+    .sort({ syncedAt: 1 })
+    .toArray();
+  const payments = await db.collection('payments')
+    .find({ settlementBatchId: batchId })
+    .sort({ createdAt: 1 })
+    .toArray();
+
+  return {
+    batch,
+    items: vouchers.map(v => ({
+      voucherId: v.voucherId,
+      payerId: v.issuedTo,
+      amount: v.amount,
+      refundedAmount: v.refundedAmount || 0,
+      createdAt: v.createdAt,
+      syncedAt: v.syncedAt,
+    })),
+    payments: payments.map(p => ({
+      paymentId: p.paymentId,
+      payerId: p.userId,
+      amount: p.amount,
+      createdAt: p.createdAt,
+    })),
+  };
+}
+
+function csvCell(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Statement amounts are written in rupees with two decimals for accounting tools
+function csvAmount(minor) {
+  return toMajorUnits(minor || 0).toFixed(2);
+}
+
+/**
+ * Render a statement as CSV: batch header, one row per voucher, one row
+ * per online payment (if any), totals
+ */
+export function statementToCsv({ batch, items, payments = [] }) {
+  const rows = [
+    ['Settlement batch', batch.batchId],
+    ['Merchant', batch.merchantId],
+    ['Payout reference', batch.payoutReference],
+    ['Status', batch.status],
+    ['Currency', batch.currency || CURRENCY],
+    ['Period', batch.periodStart, batch.periodEnd],
+    [],
+    ['voucherId', 'payerId', 'amount', 'refundedAmount', 'createdAt', 'syncedAt'],
+    ...items.map(item => [
+      item.voucherId,
+      item.payerId,
+      csvAmount(item.amount),
+      csvAmount(item.refundedAmount),
+      item.createdAt,
+      item.syncedAt,
+    ]),
+    ...(payments.length > 0 ? [
+      [],
+      ['paymentId', 'payerId', 'amount', 'createdAt'],
+      ...payments.map(payment => [payment.paymentId, payment.payerId, csvAmount(payment.amount), payment.createdAt]),
+    ] : []),
+    [],
+    ['Gross amount', csvAmount(batch.grossAmount)],
+    ['Adjustments', csvAmount(batch.adjustmentAmount)],
+    [`Fee (${batch.feePercent}%)`, csvAmount(batch.feeAmount)],
+    ['Net payable', csvAmount(batch.netAmount)],
+  ];
+  return rows.map(row => row.map(csvCell).join(',')).join('\n') + '\n';
+}
@@ -0,0 +1,112 @@
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { useTestDB } from './testDb.js';
+import {
+  settlementFee,
+  paymentRecord,
+  migrateLegacyPayments,
+  runSettlementCycle,
+  getSettlementStatement,
+  statementToCsv,
+} from './settlements.js';
+import { SYSTEM_FLOAT, walletAccount, merchantAccount, postEntry, getAccountBalance } from './ledger.js';
+
+const db = await useTestDB();
+beforeEach(async () => {
+  db.reset();
+  await db.collection('merchants').insertOne({ merchantId: MERCHANT, isVerified: true });
+});
+
+const USER = 'USER_1';
+const MERCHANT = 'MERCHANT_1';
+
+// An online payment as POST /api/balance/deduct posts it
+function pay(amount, { recorded = true } = {}) {
+  const payment = paymentRecord({ userId: USER, merchantId: MERCHANT, amount });
+  return postEntry({
+    type: 'payment',
+    lines: [
+      { accountId: walletAccount(USER), amount: -amount },
+      { accountId: merchantAccount(MERCHANT), amount },
+    ],
+    reference: { userId: USER, merchantId: MERCHANT, ...(recorded && { paymentId: payment.paymentId }) },
+    documents: recorded ? [{ collection: 'payments', document: payment }] : [],
+  });
+}
+
+// A synced offline voucher and the receivable its sync credited
+async function syncVoucher(voucherId, amount) {
+  const settledAt = new Date().toISOString();
+  await postEntry({
+    type: 'offline_payment',
+    lines: [
+      { accountId: SYSTEM_FLOAT, amount: -amount },
+      { accountId: merchantAccount(MERCHANT), amount },
+    ],
+    reference: { merchantId: MERCHANT, voucherId },
+    documents: [{
+      collection: 'vouchers',
+      document: { voucherId, issuedTo: USER, merchantId: MERCHANT, amount, status: 'synced', syncedAt: settledAt, settlement: { settledAt } },
+    }],
+  });
+}
+
+test('settlementFee takes the percentage of the amount', () => {
+  assert.equal(settlementFee(100000, 1), 1000);
+  assert.equal(settlementFee(100000, 2.5), 2500);
+  assert.equal(settlementFee(100000, 0), 0);
+});
+
+test('settlementFee rounds to the nearest paisa', () => {
+  assert.equal(settlementFee(149, 1), 1);
+  assert.equal(settlementFee(150, 1), 2);
+  assert.equal(settlementFee(49, 1), 0);
+});
+
+test('a settlement cycle pays out online payments with the vouchers', async () => {
+  await syncVoucher('V_1', 30000);
+  await pay(20000);
+
+  const { batches, failed } = await runSettlementCycle();
+  assert.deepEqual(failed, []);
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].grossAmount, 50000);
+  assert.equal(batches[0].voucherCount, 1);
+  assert.equal(batches[0].paymentCount, 1);
+  assert.equal(batches[0].feeAmount, settlementFee(50000));
+  assert.equal(await getAccountBalance(merchantAccount(MERCHANT)), 0);
+
+  const payment = await db.collection('payments').findOne({ merchantId: MERCHANT });
+  assert.equal(payment.status, 'settled');
+  assert.equal(payment.settlementBatchId, batches[0].batchId);
+
+  const statement = await getSettlementStatement(MERCHANT, batches[0].batchId);
+  assert.equal(statement.payments.length, 1);
+  assert.match(statementToCsv(statement), new RegExp(`^${payment.paymentId},${USER},200\\.00,`, 'm'));
+
+  assert.deepEqual(await runSettlementCycle(), { batches: [], failed: [] });
+});
+
+test('a merchant paid only online is settled', async () => {
+  await pay(20000);
+  await pay(5000);
+
+  const { batches } = await runSettlementCycle();
+  assert.equal(batches.length, 1);
+  assert.equal(batches[0].voucherCount, 0);
+  assert.equal(batches[0].grossAmount, 25000);
+  assert.equal(await getAccountBalance(merchantAccount(MERCHANT)), 0);
+});
+
+test('migrateLegacyPayments records earlier online payments once so they are settled', async () => {
+  await pay(20000, { recorded: false });
+  await pay(5000);
+
+  assert.equal(await migrateLegacyPayments(), 1);
+  assert.equal(await migrateLegacyPayments(), 0);
+  assert.equal(await db.collection('payments').countDocuments({}), 2);
+
+  const { batches } = await runSettlementCycle();
+  assert.equal(batches[0].grossAmount, 25000);
+  assert.equal(await getAccountBalance(merchantAccount(MERCHANT)), 0);
+});
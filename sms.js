@@ -0,0 +1,69 @@
+import fs from 'fs/promises';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+/**
+ * Outgoing SMS.
+ *
+ * A provider is an object { name, send({ to, message }) } whose send()
+ * resolves once the message was handed over (or throws). SMS_PROVIDER picks
+ * one by name; built in are
+ *   console  logs the message (default outside production)
+ *   file     appends one JSON line per message to SMS_OUTBOX_FILE
+ * Real gateways are added with registerSmsProvider(name, factory), where the
+ * factory builds the provider from the environment on first use.
+ * Production has no default: SMS_PROVIDER must be set.
+ */
+
+const SMS_OUTBOX_FILE = process.env.SMS_OUTBOX_FILE || './sms-outbox.log';
+
+const factories = {
+  console: () => ({
+    name: 'console',
+    async send({ to, message }) {
+      console.log(`📱 SMS to ${to}: ${message}`);
+    },
+  }),
+  file: () => ({
+    name: 'file',
+    async send({ to, message }) {
+      const line = JSON.stringify({ to, message, sentAt: new Date().toISOString() });
+      await fs.appendFile(SMS_OUTBOX_FILE, line + '\n');
+    },
+  }),
+};
+
+let provider = null;
+
+/**
+ * Make a provider available under `name` for SMS_PROVIDER
+ */
+export function registerSmsProvider(name, factory) {
+  factories[name] = factory;
+  if (provider?.name === name) provider = null;
+}
+
+/**
+ * The configured provider
+ */
+export function getSmsProvider() {
+  if (provider) return provider;
+
+  const name = process.env.SMS_PROVIDER || (process.env.NODE_ENV === 'production' ? null : 'console');
+  if (!name) {
+    throw new Error('SMS_PROVIDER is not configured');
+  }
+  if (!factories[name]) {
+    throw new Error(`Unknown SMS_PROVIDER "${name}"`);
+  }
+  provider = factories[name]();
+  return provider;
+}
+
+/**
+ * Send one SMS through the configured provider
+ */
+export async function sendSms(to, message) {
+  await getSmsProvider().send({ to, message });
+}
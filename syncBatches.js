@@ -0,0 +1,95 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+
+/**
+ * Idempotent voucher sync batches.
+ *
+ * A merchant device sends an `Idempotency-Key` header with each upload.
+ * The first request with a key claims the batch and stores its per-voucher
+ * result; retries with the same key get that stored result back. A batch
+ * left `processing` by a dropped request can be resumed once it is stale.
+ */
+
+const STALE_BATCH_MS = 60 * 1000;
+
+function hashBody(body) {
+  return crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+}
+
+/**
+ * Claim a sync batch for processing.
+ * Returns one of:
+ *   { batch }           - caller should process the upload
+ *   { replay: result }  - batch already completed, return its result
+ *   { error, status }   - key reused for another body, or still in progress
+ */
+export async function beginSyncBatch(merchantId, idempotencyKey, body) {
+  const batches = getDB().collection('sync_batches');
+  const requestHash = hashBody(body);
+  const now = new Date();
+
+  const batch = {
+    batchId: `SB_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+    merchantId,
+    idempotencyKey,
+    requestHash,
+    status: 'processing',
+    attempts: 1,
+    startedAt: now.toISOString(),
+    createdAt: now.toISOString(),
+  };
+
+  try {
+    await batches.insertOne(batch);
+    return { batch };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+  }
+
+  const existing = await batches.findOne({ merchantId, idempotencyKey });
+  if (existing.requestHash !== requestHash) {
+    return { status: 422, error: 'Idempotency-Key was already used for a different upload' };
+  }
+  if (existing.status === 'completed') {
+    return { replay: existing.result };
+  }
+
+  // Take over a batch whose original request died mid-upload
+  const resumed = await batches.findOneAndUpdate(
+    {
+      batchId: existing.batchId,
+      status: 'processing',
+      startedAt: { $lt: new Date(now.getTime() - STALE_BATCH_MS).toISOString() },
+    },
+    { $set: { startedAt: now.toISOString() }, $inc: { attempts: 1 } },
+    { returnDocument: 'after' }
+  );
+  if (!resumed) {
+    return { status: 409, error: 'Sync batch is still being processed, retry later' };
+  }
+  return { batch: resumed };
+}
+
+/**
+ * Store the final result of a sync batch
+ */
+export async function completeSyncBatch(batchId, result) {
+  await getDB().collection('sync_batches').updateOne(
+    { batchId },
+    { $set: { status: 'completed', result, completedAt: new Date().toISOString() } }
+  );
+}
+
+/**
+ * Look up a merchant's sync batch by idempotency key
+ */
+export async function getSyncBatch(merchantId, idempotencyKey) {
+  return await getDB().collection('sync_batches').findOne({ merchantId, idempotencyKey });
+}
+
+/**
+ * Drop a batch whose processing failed so a retry can start over
+ */
+export async function releaseSyncBatch(batchId) {
+  await getDB().collection('sync_batches').deleteOne({ batchId, status: 'processing' });
+}
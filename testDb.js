@@ -0,0 +1,292 @@
+import { isDeepStrictEqual } from 'util';
+import { MongoClient, ObjectId } from 'mongodb';
+import { Query, Aggregator, update } from 'mingo';
+import { connectDB } from './db.js';
+
+/**
+ * In-memory stand-in for MongoDB in unit tests.
+ *
+ *   const db = await useTestDB();
+ *
+ * Replaces the driver's connection with collections held in memory and runs
+ * connectDB(), so the unique indexes declared in db.js are enforced the same
+ * way (duplicate key errors carry code 11000). Queries, updates and
+ * pipelines are evaluated with mingo. It reports a standalone server, so
+ * ledger postings take the compensating-update path.
+ *
+ * `db.failNext(collection, method)` makes the next call of that method
+ * throw, to exercise failure handling; `db.reset()` empties every
+ * collection between tests.
+ */
+
+const isOperatorObject = (value) => value && typeof value === 'object' && !Array.isArray(value)
+  && !(value instanceof Date) && !(value instanceof ObjectId) && Object.keys(value).some(key => key.startsWith('$'));
+
+// Copies of stored documents, so callers never hold the stored objects
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (value instanceof Date) return new Date(value);
+  if (value instanceof ObjectId || value === null || typeof value !== 'object') return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+}
+
+const valueAt = (doc, path) => path.split('.').reduce((value, key) => value?.[key], doc);
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  let target = doc;
+  for (const key of keys) target = target[key] ??= {};
+  target[last] = value;
+}
+
+const matches = (doc, filter = {}) => new Query(filter).test(doc);
+
+function duplicateKeyError(collection, keyPattern, keyValue) {
+  const error = new Error(`E11000 duplicate key error collection: ${collection} dup key: ${JSON.stringify(keyValue)}`);
+  error.code = 11000;
+  error.keyPattern = keyPattern;
+  error.keyValue = keyValue;
+  return error;
+}
+
+// Fields of an upserted document taken from the equality conditions of its filter
+function upsertSeed(filter) {
+  const doc = {};
+  for (const [path, value] of Object.entries(filter)) {
+    if (!path.startsWith('$') && !isOperatorObject(value)) setPath(doc, path, clone(value));
+  }
+  return doc;
+}
+
+// Apply an update document or pipeline; returns the updated document
+function applyUpdate(doc, spec, inserting) {
+  if (Array.isArray(spec)) {
+    return new Aggregator(spec).run([doc])[0];
+  }
+  const { $setOnInsert, ...modifier } = spec;
+  if (inserting && $setOnInsert) {
+    modifier.$set = { ...$setOnInsert, ...modifier.$set };
+  }
+  if (Object.keys(modifier).length > 0) {
+    update(doc, clone(modifier));
+  }
+  return doc;
+}
+
+class FakeCursor {
+  constructor(load) {
+    this.load = load;
+    this.options = {};
+  }
+
+  sort(spec) { this.options.sort = spec; return this; }
+  skip(count) { this.options.skip = count; return this; }
+  limit(count) { this.options.limit = count; return this; }
+  project(projection) { this.options.projection = projection; return this; }
+
+  async toArray() {
+    return this.load(this.options);
+  }
+
+  async *[Symbol.asyncIterator]() {
+    yield* await this.toArray();
+  }
+}
+
+class FakeCollection {
+  constructor(db, name) {
+    this.db = db;
+    this.name = name;
+    this.docs = [];
+    this.indexes = [];
+  }
+
+  async createIndex(keys, options = {}) {
+    this.indexes.push({ keys, ...options });
+    return Object.keys(keys).join('_');
+  }
+
+  // Throw if `candidate` would break a unique index (ignoring the document it replaces)
+  checkUnique(candidate, replacing = null) {
+    const others = this.docs.filter(doc => doc !== replacing);
+    for (const index of [{ keys: { _id: 1 }, unique: true }, ...this.indexes]) {
+      if (!index.unique) continue;
+      const covered = (doc) => {
+        if (index.partialFilterExpression && !matches(doc, index.partialFilterExpression)) return null;
+        const values = Object.keys(index.keys).map(path => valueAt(doc, path));
+        if (index.sparse && values.every(value => value === undefined)) return null;
+        return JSON.stringify(values.map(value => value ?? null));
+      };
+      const key = covered(candidate);
+      if (key !== null && others.some(doc => covered(doc) === key)) {
+        const keyValue = Object.fromEntries(Object.keys(index.keys).map(path => [path, valueAt(candidate, path) ?? null]));
+        throw duplicateKeyError(this.name, index.keys, keyValue);
+      }
+    }
+  }
+
+  select(filter = {}, { sort, skip, limit, projection } = {}) {
+    let cursor = new Query(filter).find(this.docs, projection);
+    if (sort) cursor = cursor.sort(sort);
+    if (skip) cursor = cursor.skip(skip);
+    if (limit) cursor = cursor.limit(limit);
+    return cursor.all();
+  }
+
+  find(filter = {}, options = {}) {
+    this.db.maybeFail(this.name, 'find');
+    return new FakeCursor((cursorOptions) => clone(this.select(filter, { ...options, ...cursorOptions })));
+  }
+
+  async findOne(filter = {}, options = {}) {
+    this.db.maybeFail(this.name, 'findOne');
+    return clone(this.select(filter, { ...options, limit: 1 })[0] ?? null);
+  }
+
+  async countDocuments(filter = {}, { limit } = {}) {
+    this.db.maybeFail(this.name, 'countDocuments');
+    return this.select(filter, { limit }).length;
+  }
+
+  async distinct(path, filter = {}) {
+    this.db.maybeFail(this.name, 'distinct');
+    const values = this.select(filter).flatMap(doc => valueAt(doc, path) ?? []);
+    return clone(values.filter((value, index) => values.findIndex(other => isDeepStrictEqual(other, value)) === index));
+  }
+
+  async insertOne(doc) {
+    this.db.maybeFail(this.name, 'insertOne');
+    doc._id ??= new ObjectId();
+    const stored = clone(doc);
+    this.checkUnique(stored);
+    this.docs.push(stored);
+    return { acknowledged: true, insertedId: doc._id };
+  }
+
+  async insertMany(docs) {
+    for (const doc of docs) await this.insertOne(doc);
+    return { acknowledged: true, insertedCount: docs.length };
+  }
+
+  // Update the first match (or upsert); returns { before, after, upserted }
+  modify(filter, spec, { upsert = false, sort } = {}) {
+    const [found] = sort ? this.select(filter, { sort, limit: 1 }) : [this.docs.find(doc => matches(doc, filter))];
+    if (found) {
+      const stored = this.docs.find(doc => doc === found) || this.docs.find(doc => isDeepStrictEqual(doc, found));
+      const after = applyUpdate(clone(stored), spec, false);
+      this.checkUnique(after, stored);
+      this.docs[this.docs.indexOf(stored)] = after;
+      return { before: stored, after, upserted: false };
+    }
+    if (!upsert) return null;
+
+    const after = applyUpdate(upsertSeed(filter), spec, true);
+    after._id ??= new ObjectId();
+    this.checkUnique(after);
+    this.docs.push(after);
+    return { before: null, after, upserted: true };
+  }
+
+  async findOneAndUpdate(filter, spec, options = {}) {
+    this.db.maybeFail(this.name, 'findOneAndUpdate');
+    const result = this.modify(filter, spec, options);
+    if (!result) return null;
+    return clone(options.returnDocument === 'after' ? result.after : result.before);
+  }
+
+  async updateOne(filter, spec, options = {}) {
+    this.db.maybeFail(this.name, 'updateOne');
+    const result = this.modify(filter, spec, options);
+    return {
+      acknowledged: true,
+      matchedCount: result && !result.upserted ? 1 : 0,
+      modifiedCount: result && !result.upserted && !isDeepStrictEqual(result.before, result.after) ? 1 : 0,
+      upsertedCount: result?.upserted ? 1 : 0,
+      upsertedId: result?.upserted ? result.after._id : null,
+    };
+  }
+
+  async updateMany(filter, spec) {
+    this.db.maybeFail(this.name, 'updateMany');
+    let matchedCount = 0;
+    let modifiedCount = 0;
+    this.docs = this.docs.map(doc => {
+      if (!matches(doc, filter)) return doc;
+      const after = applyUpdate(clone(doc), spec, false);
+      this.checkUnique(after, doc);
+      matchedCount++;
+      if (!isDeepStrictEqual(doc, after)) modifiedCount++;
+      return after;
+    });
+    return { acknowledged: true, matchedCount, modifiedCount };
+  }
+
+  async deleteOne(filter) {
+    this.db.maybeFail(this.name, 'deleteOne');
+    const index = this.docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) this.docs.splice(index, 1);
+    return { acknowledged: true, deletedCount: index >= 0 ? 1 : 0 };
+  }
+
+  async deleteMany(filter = {}) {
+    this.db.maybeFail(this.name, 'deleteMany');
+    const before = this.docs.length;
+    this.docs = this.docs.filter(doc => !matches(doc, filter));
+    return { acknowledged: true, deletedCount: before - this.docs.length };
+  }
+
+  aggregate(pipeline) {
+    this.db.maybeFail(this.name, 'aggregate');
+    return new FakeCursor(() => clone(new Aggregator(pipeline).run(this.docs)));
+  }
+}
+
+class FakeDb {
+  constructor() {
+    this.collections = new Map();
+    this.failures = [];
+  }
+
+  collection(name) {
+    if (!this.collections.has(name)) this.collections.set(name, new FakeCollection(this, name));
+    return this.collections.get(name);
+  }
+
+  admin() {
+    return { command: async () => ({ ok: 1 }) };
+  }
+
+  /**
+   * Make the next `method` call on `collection` throw `error`
+   */
+  failNext(collection, method, error = new Error(`Simulated ${collection}.${method} failure`)) {
+    this.failures.push({ collection, method, error });
+  }
+
+  maybeFail(collection, method) {
+    const index = this.failures.findIndex(f => f.collection === collection && f.method === method);
+    if (index >= 0) throw this.failures.splice(index, 1)[0].error;
+  }
+
+  /**
+   * Empty every collection (indexes stay) and drop pending failures
+   */
+  reset() {
+    for (const collection of this.collections.values()) collection.docs = [];
+    this.failures = [];
+  }
+}
+
+/**
+ * Connect db.js to a fresh in-memory database and return it
+ */
+export async function useTestDB() {
+  const db = new FakeDb();
+  MongoClient.prototype.connect = async function () { return this; };
+  MongoClient.prototype.db = () => db;
+  MongoClient.prototype.close = async () => {};
+  await connectDB();
+  return db;
+}
@@ -0,0 +1,234 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { getDB } from './db.js';
+import { SYSTEM_FLOAT, walletAccount, postEntry } from './ledger.js';
+import { createGatewayOrder } from './gateway.js';
+import { CURRENCY, formatMoney, withDisplay } from './money.js';
+import { reserveCounters, releaseCounters } from './kyc.js';
+
+dotenv.config();
+
+/**
+ * Wallet top-ups through the payment gateway.
+ *
+ * created -> succeeded | failed | expired
+ *
+ * The client creates an intent and pays the gateway order behind it; the
+ * wallet is credited only when the gateway's signed `payment.succeeded`
+ * webhook arrives. Webhooks are recorded by `eventId` so redelivered events
+ * are ignored, and the credit itself is keyed on the intent so a second
+ * success event for the same order can never load the wallet twice.
+ * A success that arrives after the intent expired is still credited (the
+ * user has paid) and flagged as `lateConfirmation`.
+ *
+ * An intent holds its amount on the user's daily load limit from creation
+ * (`limitCounters`); a failed or expired intent gives it back.
+ */
+
+export const TOPUP_INTENT_TTL_MINUTES = Number(process.env.TOPUP_INTENT_TTL_MINUTES || 15);
+
+function formatIntent(intent) {
+  return withDisplay({
+    intentId: intent.intentId,
+    amount: intent.amount,
+    currency: intent.currency,
+    status: intent.status,
+    gatewayReference: intent.gatewayReference,
+    checkoutUrl: intent.checkoutUrl,
+    failureReason: intent.failureReason,
+    lateConfirmation: intent.lateConfirmation,
+    createdAt: intent.createdAt,
+    expiresAt: intent.expiresAt,
+    completedAt: intent.completedAt,
+  }, ['amount'], intent.currency);
+}
+
+/**
+ * Create a top-up intent and its gateway order, reserving `limitCounters`
+ * (from userLimits()). Returns { intent }, or { error, status } if the
+ * reservation no longer fits the limit.
+ */
+export async function createTopupIntent({ userId, amount, limitCounters = [] }) {
+  if (!await reserveCounters(limitCounters)) {
+    return { status: 409, error: 'Daily load limit was used up by another top-up, try again' };
+  }
+
+  const now = new Date();
+  const intentId = `TI_${now.getTime()}_${crypto.randomBytes(3).toString('hex')}`;
+  let intent;
+  try {
+    const { gatewayReference, checkoutUrl } = await createGatewayOrder({ intentId, amount, currency: CURRENCY });
+    intent = {
+      intentId,
+      userId,
+      amount,
+      currency: CURRENCY,
+      status: 'created',
+      gatewayReference,
+      checkoutUrl,
+      limitCounters: limitCounters.map(({ counterId, amount }) => ({ counterId, amount })),
+      createdAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + TOPUP_INTENT_TTL_MINUTES * 60 * 1000).toISOString(),
+    };
+    await getDB().collection('topup_intents').insertOne(intent);
+  } catch (error) {
+    await releaseCounters(limitCounters);
+    throw error;
+  }
+
+  console.log(`🧾 Top-up intent ${intentId} for user ${userId}: ${formatMoney(amount)}`);
+  return { intent: formatIntent(intent) };
+}
+
+/**
+ * Move an intent out of `fromStatus` into a final state and give back its
+ * limit reservation. Returns false if it was no longer in `fromStatus`.
+ */
+async function closeIntent(intent, fromStatus, update) {
+  const closed = await getDB().collection('topup_intents').updateOne(
+    { intentId: intent.intentId, status: fromStatus },
+    { $set: update }
+  );
+  if (closed.modifiedCount === 0) return false;
+  await releaseCounters(intent.limitCounters || []);
+  return true;
+}
+
+/**
+ * Mark unpaid intents past their expiry as expired. Returns how many expired.
+ */
+export async function expireStaleIntents(filter = {}) {
+  const stale = await getDB().collection('topup_intents')
+    .find({ ...filter, status: 'created', expiresAt: { $lte: new Date().toISOString() } })
+    .toArray();
+
+  let expired = 0;
+  for (const intent of stale) {
+    if (await closeIntent(intent, 'created', { status: 'expired' })) expired++;
+  }
+  return expired;
+}
+
+/**
+ * One of the user's intents, or null
+ */
+export async function getTopupIntent(userId, intentId) {
+  await expireStaleIntents({ userId, intentId });
+  const intent = await getDB().collection('topup_intents').findOne({ userId, intentId });
+  return intent && formatIntent(intent);
+}
+
+/**
+ * The user's intents, newest first
+ */
+export async function listTopupIntents(userId, { limit = 50 } = {}) {
+  await expireStaleIntents({ userId });
+  const intents = await getDB().collection('topup_intents')
+    .find({ userId })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+  return intents.map(formatIntent);
+}
+
+async function confirmPayment(intent, data) {
+  const intents = getDB().collection('topup_intents');
+
+  if (data.amount !== intent.amount || data.currency !== intent.currency) {
+    const failed = { status: 'failed', failureReason: 'Gateway amount does not match the intent', completedAt: new Date().toISOString() };
+    // An expired intent already gave its reservation back
+    if (!await closeIntent(intent, 'created', failed)) {
+      await intents.updateOne({ intentId: intent.intentId, status: 'expired' }, { $set: failed });
+    }
+    console.warn(`⚠️  Top-up ${intent.intentId}: gateway reported ${data.amount} ${data.currency}, expected ${intent.amount} ${intent.currency}`);
+    return { outcome: 'amount_mismatch' };
+  }
+
+  const entry = await postEntry({
+    type: 'wallet_load',
+    lines: [
+      { accountId: SYSTEM_FLOAT, amount: -intent.amount },
+      { accountId: walletAccount(intent.userId), amount: intent.amount },
+    ],
+    reference: { userId: intent.userId, intentId: intent.intentId, gatewayReference: intent.gatewayReference },
+    idempotencyKey: `topup:${intent.intentId}`,
+    // Paid after expiry gave the reservation back: count the load again
+    counters: intent.status === 'expired' ? intent.limitCounters || [] : [],
+  });
+
+  await intents.updateOne(
+    { intentId: intent.intentId, status: { $in: ['created', 'expired'] } },
+    {
+      $set: {
+        status: 'succeeded',
+        ledgerEntryId: entry.entryId,
+        completedAt: entry.createdAt,
+        ...(intent.status === 'expired' && { lateConfirmation: true }),
+      },
+    }
+  );
+
+  console.log(`💰 Top-up ${intent.intentId}: user ${intent.userId} credited ${formatMoney(intent.amount)}`);
+  return { outcome: 'credited', entryId: entry.entryId };
+}
+
+async function applyGatewayEvent(event) {
+  const intents = getDB().collection('topup_intents');
+  const gatewayReference = event.data?.gatewayReference;
+
+  await expireStaleIntents({ gatewayReference });
+  const intent = await intents.findOne({ gatewayReference });
+  if (!intent) {
+    return { outcome: 'unknown_reference' };
+  }
+
+  if (event.type === 'payment.succeeded') {
+    if (!['created', 'expired'].includes(intent.status)) {
+      return { outcome: `already_${intent.status}` };
+    }
+    return await confirmPayment(intent, event.data);
+  }
+
+  if (event.type === 'payment.failed') {
+    const failed = await closeIntent(intent, 'created', {
+      status: 'failed',
+      failureReason: event.data.failureReason || 'Payment failed',
+      completedAt: new Date().toISOString(),
+    });
+    return { outcome: failed ? 'failed' : `already_${intent.status}` };
+  }
+
+  return { outcome: 'ignored_type' };
+}
+
+/**
+ * Process a verified gateway webhook event.
+ * Returns { outcome, duplicate? }; a redelivered eventId is not applied again.
+ */
+export async function handleGatewayEvent(event) {
+  const events = getDB().collection('gateway_events');
+
+  try {
+    await events.insertOne({
+      eventId: event.eventId,
+      type: event.type,
+      gatewayReference: event.data?.gatewayReference,
+      receivedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return { outcome: 'duplicate', duplicate: true };
+    }
+    throw error;
+  }
+
+  try {
+    const result = await applyGatewayEvent(event);
+    await events.updateOne({ eventId: event.eventId }, { $set: { outcome: result.outcome } });
+    return result;
+  } catch (error) {
+    // Forget the event so the gateway's retry is processed
+    await events.deleteOne({ eventId: event.eventId });
+    throw error;
+  }
+}
@@ -0,0 +1,73 @@
+import crypto from 'crypto';
+import { getDB } from './db.js';
+import { walletAccount, postEntry, balanceAfter } from './ledger.js';
+
+/**
+ * Online peer-to-peer transfers: an instant wallet-to-wallet ledger posting.
+ * An optional Idempotency-Key makes client retries return the first transfer.
+ */
+
+function formatTransfer(entry) {
+  return {
+    transferId: entry.reference.transferId,
+    fromUserId: entry.reference.userId,
+    toUserId: entry.reference.payeeUserId,
+    amount: entry.amount,
+    note: entry.reference.note,
+    createdAt: entry.createdAt,
+  };
+}
+
+/**
+ * Find the receiving user by userId or phone
+ */
+export async function findRecipient({ toUserId, toPhone }) {
+  const users = getDB().collection('users');
+  if (toUserId) return await users.findOne({ userId: toUserId });
+  if (toPhone) return await users.findOne({ phone: toPhone });
+  return null;
+}
+
+/**
+ * Move `amount` from one user's wallet to another's. `limits` holds the
+ * sender's daily limit `counters` and the recipient's `maxWallet` (from
+ * userLimits()), enforced by the posting itself.
+ * Returns one of:
+ *   { transfer, balance }                - transfer posted
+ *   { transfer, balance, replay: true }  - Idempotency-Key seen before
+ *   { error, status, ... }               - refused
+ */
+export async function createTransfer({ fromUserId, toUserId, amount, note = null, idempotencyKey = null, limits = {} }) {
+  if (fromUserId === toUserId) {
+    return { status: 400, error: 'Cannot transfer to yourself' };
+  }
+
+  const transferId = `TR_${Date.now()}_${crypto.randomBytes(3).toString('hex')}`;
+  const entry = await postEntry({
+    type: 'p2p_transfer',
+    lines: [
+      { accountId: walletAccount(fromUserId), amount: -amount, min: 0 },
+      { accountId: walletAccount(toUserId), amount, ...(limits.maxWallet !== undefined && { max: limits.maxWallet }) },
+    ],
+    reference: { userId: fromUserId, payeeUserId: toUserId, transferId, note },
+    idempotencyKey: idempotencyKey && `transfer:${fromUserId}:${idempotencyKey}`,
+    counters: limits.counters || [],
+  });
+
+  if (!entry) {
+    // Insufficient balance, or a limit used up since it was checked (the caller re-checks)
+    return { status: 400, error: 'Insufficient balance', required: amount };
+  }
+
+  const transfer = formatTransfer(entry);
+  const replay = transfer.transferId !== transferId;
+  if (replay && (transfer.toUserId !== toUserId || transfer.amount !== amount || transfer.note !== note)) {
+    return { status: 422, error: 'Idempotency-Key was already used for a different transfer' };
+  }
+
+  return {
+    transfer,
+    balance: balanceAfter(entry, walletAccount(fromUserId)),
+    ...(replay && { replay: true }),
+  };
+}
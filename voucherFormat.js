@@ -0,0 +1,137 @@
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { canonicalize } from './canonical.js';
+
+dotenv.config();
+
+/**
+ * Versioned voucher envelopes.
+ *
+ * v1 (legacy): the device signs SHA-256 of JSON.stringify of
+ *   { voucherId, merchantId, amount, createdAt, issuedTo[, seq, prevHash] }
+ *   in exactly that key order.
+ *
+ * v2: `version: 2` plus currency, nonce and keyId. The device signs SHA-256
+ *   of the RFC 8785 canonical JSON of every field in V2_SIGNED_FIELDS that
+ *   is present, so key order and number formatting no longer matter.
+ *   A v2 voucher with `type: "p2p"` pays another user: it names `payeeId`
+ *   instead of `merchantId` and is synced by the receiving user.
+ *
+ * In both versions `amount` is signed in rupees (at most two decimals);
+ * the server converts it to paise when the voucher is synced.
+ *
+ * `signature`, `certificate` and `acceptance` travel with the voucher but
+ * are never part of the signed payload.
+ */
+
+export const V2_SIGNED_FIELDS = [
+  'version',
+  'type',
+  'voucherId',
+  'merchantId',
+  'payeeId',
+  'issuedTo',
+  'amount',
+  'currency',
+  'nonce',
+  'keyId',
+  'createdAt',
+  'seq',
+  'prevHash',
+];
+
+export const SUPPORTED_CURRENCIES = ['INR'];
+export const VOUCHER_TYPES = ['merchant', 'p2p'];
+
+// v1 vouchers are accepted until this date (ISO), or indefinitely if unset
+const V1_ACCEPTED_UNTIL = process.env.VOUCHER_V1_ACCEPTED_UNTIL || null;
+
+/**
+ * Envelope version of an uploaded voucher (v1 vouchers have no `version`)
+ */
+export function voucherVersion(voucher) {
+  return voucher.version === undefined ? 1 : voucher.version;
+}
+
+/**
+ * Voucher type: 'merchant' (the default) or 'p2p'
+ */
+export function voucherType(voucher) {
+  return voucher.type === undefined ? 'merchant' : voucher.type;
+}
+
+/**
+ * Check version-specific fields, returns an error reason or null
+ */
+export function validateVoucherEnvelope(voucher, now = new Date()) {
+  const version = voucherVersion(voucher);
+
+  if (!VOUCHER_TYPES.includes(voucherType(voucher))) {
+    return 'Unsupported voucher type';
+  }
+  if (voucherType(voucher) === 'p2p') {
+    if (version !== 2) {
+      return 'P2P vouchers require format v2';
+    }
+    if (typeof voucher.payeeId !== 'string' || !voucher.payeeId || voucher.merchantId !== undefined) {
+      return 'P2P vouchers name a payeeId and no merchantId';
+    }
+  }
+
+  if (version === 1) {
+    if (V1_ACCEPTED_UNTIL && now > new Date(V1_ACCEPTED_UNTIL)) {
+      return 'Voucher format v1 is no longer accepted';
+    }
+    return null;
+  }
+
+  if (version !== 2) {
+    return 'Unsupported voucher version';
+  }
+  if (!SUPPORTED_CURRENCIES.includes(voucher.currency)) {
+    return 'Unsupported currency';
+  }
+  if (typeof voucher.nonce !== 'string' || voucher.nonce.length < 16 || voucher.nonce.length > 128) {
+    return 'Invalid nonce';
+  }
+  if (typeof voucher.keyId !== 'string' || !voucher.keyId) {
+    return 'Missing keyId';
+  }
+  return null;
+}
+
+/**
+ * Rebuild the payload the device signed, without signature or attachments
+ */
+export function signedPayload(voucher) {
+  if (voucherVersion(voucher) === 1) {
+    const payload = {
+      voucherId: voucher.voucherId,
+      merchantId: voucher.merchantId,
+      amount: voucher.amount,
+      createdAt: voucher.createdAt,
+      issuedTo: voucher.issuedTo,
+    };
+    if (voucher.seq !== undefined || voucher.prevHash !== undefined) {
+      payload.seq = voucher.seq;
+      payload.prevHash = voucher.prevHash;
+    }
+    return payload;
+  }
+
+  const payload = {};
+  for (const field of V2_SIGNED_FIELDS) {
+    if (voucher[field] !== undefined) {
+      payload[field] = voucher[field];
+    }
+  }
+  return payload;
+}
+
+/**
+ * SHA-256 hex digest of a signed payload, as the device computed it
+ */
+export function payloadDigest(payload) {
+  const data = payload.version === undefined ? JSON.stringify(payload) : canonicalize(payload);
+  return crypto.createHash('sha256').update(data).digest('hex');
+}